@@ -20,6 +20,7 @@ require('dotenv').config(); // Loads variables from .env into process.env at sta
 // -----------------------------------------------------------------------------
 require('./app_api/models/db'); // Establishes Mongoose connection and sets event handlers
 require('./app_api/config/passport'); // Registers Passport LocalStrategy for authentication
+require('./app_api/jobs').start(); // Schedules maintenance jobs (e.g. purge of soft-deleted trips)
 
 const app = express();
 
@@ -30,8 +31,17 @@ const app = express();
 // HTTP request logging; 'dev' format is concise and readable for local usage
 app.use(logger('dev'));
 
-// Parses JSON request bodies and URL-encoded forms into req.body
-app.use(express.json());
+// Parses JSON request bodies (including merge-patch/json-patch media types)
+// and URL-encoded forms into req.body. Payment webhooks also keep the raw
+// bytes in req.rawBody, which their signature is computed over.
+app.use(
+    express.json({
+        type: ['application/json', 'application/*+json'],
+        verify: (req, res, buf) => {
+            if (req.originalUrl.startsWith('/api/payments/webhook')) req.rawBody = buf;
+        },
+    })
+);
 app.use(express.urlencoded({ extended: false }));
 
 // Parses Cookie header and populates req.cookies; neutral with JWT-in-header flow
@@ -46,13 +56,15 @@ app.use(passport.initialize());
 // Cross-Origin Resource Sharing for the Angular dev client
 // - Scope is limited to /api
 // - Preflight (OPTIONS) requests return 200 to unblock browser requests
+// - ETag is exposed so clients can send conditional If-Match / If-None-Match
 app.use('/api', (req, res, next) => {
     res.header('Access-Control-Allow-Origin', process.env.CLIENT_URL || 'http://localhost:4200');
     res.header(
         'Access-Control-Allow-Headers',
-        'Origin, X-Requested-With, Content-Type, Accept, Authorization'
+        'Origin, X-Requested-With, Content-Type, Accept, Authorization, If-Match, If-None-Match'
     );
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+    res.header('Access-Control-Expose-Headers', 'ETag');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     if (req.method === 'OPTIONS') return res.sendStatus(200);
     next();
 });
@@ -7,6 +7,12 @@
  * Responsibilities:
  * - Defines a LocalStrategy that verifies credentials against MongoDB.
  * - Returns a valid user document on success for JWT generation.
+ * - Fails with one generic message for unknown emails and wrong passwords.
+ * - Refuses accounts disabled by an admin (only after a correct password),
+ *   flagged with info.code 'DISABLED' so the caller can tell it apart from
+ *   a failed attempt.
+ * - Re-hashes the password with the current parameters when the stored hash
+ *   is a legacy or outdated one (the plain password is only known here).
  */
 
 const passport = require('passport');
@@ -16,6 +22,9 @@ const mongoose = require('mongoose');
 // Import the registered User model
 const Users = require('../models/user');
 const User = mongoose.model('users');
+const { hashPassword } = require('../utils/passwordHasher');
+
+const INVALID_CREDENTIALS = 'Incorrect email or password.';
 
 // -----------------------------------------------------------------------------
 // Configure the LocalStrategy
@@ -30,14 +39,31 @@ passport.use(
                 // Query MongoDB for a user document with the given email
                 const q = await User.findOne({ email: username }).exec();
 
-                // If no user is found, authentication fails
+                // Unknown email and wrong password fail identically, so the
+                // response never reveals which addresses have accounts. Hashing
+                // anyway keeps the response time the same as for a real account.
                 if (!q) {
-                    return done(null, false, { message: 'Incorrect username.' });
+                    await hashPassword(password);
+                    return done(null, false, { message: INVALID_CREDENTIALS });
+                }
+                if (!(await q.validPassword(password))) {
+                    return done(null, false, { message: INVALID_CREDENTIALS });
+                }
+                if (q.disabledAt) {
+                    return done(null, false, {
+                        code: 'DISABLED',
+                        message: 'This account has been disabled.',
+                    });
                 }
 
-                // Validate the provided password using model helper (hashed comparison)
-                if (!q.validPassword(password)) {
-                    return done(null, false, { message: 'Incorrect Password.' });
+                // Transparent upgrade; a failure here must not block the login
+                if (q.passwordNeedsRehash()) {
+                    try {
+                        await q.setPassword(password);
+                        await q.save({ validateBeforeSave: false });
+                    } catch (err) {
+                        console.error(`[AUTH] Password rehash for ${q.email} failed:`, err.message);
+                    }
                 }
 
                 // Successful authentication returns the user document
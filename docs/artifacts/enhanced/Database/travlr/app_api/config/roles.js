@@ -0,0 +1,80 @@
+/**
+ * Roles and Permissions
+ * ---------------------
+ * Every role is a named set of permissions; routes ask for permissions via
+ * requirePermission() in routes/index.js, never for role names, so new roles
+ * only need an entry here.
+ *
+ * Trip writes are additionally checked per field: `trips:write` may change
+ * any field, while the narrower trip permissions below only cover the fields
+ * listed in TRIP_FIELD_PERMISSIONS.
+ */
+
+// -----------------------------------------------------------------------------
+// Permission catalogue
+// -----------------------------------------------------------------------------
+const PERMISSIONS = {
+    'trips:write': 'Create, update, delete, restore and import trips',
+    'trips:write:content': 'Edit trip descriptions and images',
+    'trips:write:pricing': 'Edit trip per-person prices',
+    'trips:read:deleted': 'See soft-deleted trips (includeDeleted=true)',
+    'trips:analytics': 'Read trip analytics',
+    'trips:revisions': 'Read trip revision history',
+    'departures:write': 'Create, update and delete departures',
+    'pricing:write': 'Manage promo codes and pricing rules',
+    'reviews:moderate': 'Moderate trip reviews',
+    'bookings:read': "View any user's bookings",
+    'bookings:manage': "Cancel any user's bookings",
+    'credit-notes:read': 'List credit notes',
+    'lockouts:manage': 'View and clear login lockouts',
+    'users:manage': 'View users and assign roles',
+};
+
+const ALL = Object.keys(PERMISSIONS);
+
+// -----------------------------------------------------------------------------
+// Roles
+// -----------------------------------------------------------------------------
+const ROLES = {
+    user: [],
+    admin: ALL,
+    'content-editor': ['trips:write:content', 'trips:revisions'],
+    'pricing-manager': ['trips:write:pricing', 'trips:revisions'],
+    analyst: ['trips:analytics'],
+    support: ['bookings:read'],
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Trip fields each narrower write permission may change
+const TRIP_FIELD_PERMISSIONS = {
+    'trips:write:content': ['description', 'image'],
+    'trips:write:pricing': ['perPerson'],
+};
+
+// Permissions granted to a role; unknown roles get none.
+const permissionsFor = (role) => (Object.hasOwn(ROLES, role) ? ROLES[role] : []);
+
+// True when `role` holds `permission`.
+const can = (role, permission) => permissionsFor(role).includes(permission);
+
+// Trip fields among `fields` that `role` may not change.
+const forbiddenTripFields = (role, fields) => {
+    if (can(role, 'trips:write')) return [];
+    const allowed = new Set(
+        Object.entries(TRIP_FIELD_PERMISSIONS)
+            .filter(([permission]) => can(role, permission))
+            .flatMap(([, f]) => f)
+    );
+    return fields.filter((f) => !allowed.has(f));
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    ROLE_NAMES,
+    TRIP_FIELD_PERMISSIONS,
+    permissionsFor,
+    can,
+    forbiddenTripFields,
+};
@@ -1,8 +1,10 @@
 /**
  *Authentication + Account Recovery Controller
  * --------------------------------------------
- * Handles user registration, login, and password reset flows.
- * Uses Passport (local strategy) for authentication and issues JWTs for API access.
+ * Handles user registration, email verification, login, token refresh, logout,
+ * and password reset flows.
+ * Uses Passport (local strategy) for authentication and issues short-lived JWTs
+ * plus rotating refresh tokens (see services/tokenService) for API access.
  */
 
 const passport = require('passport');
@@ -10,10 +12,55 @@ const mongoose = require('mongoose'); // kept for parity with other controllers
 const crypto = require('crypto');
 const transporter = require('../config/mail');
 const User = require('../models/user');
+const tokenService = require('../services/tokenService');
+const lockoutService = require('../services/lockoutService');
+const mfaService = require('../services/mfaService');
+
+// Client details stored with a refresh token.
+const clientMeta = (req) => ({ userAgent: req.get('user-agent') || null, ip: req.ip || null });
+
+// REQUIRE_EMAIL_VERIFICATION: none (default) | login | write. "login" refuses
+// unverified logins; "write" lets them read but not write (see routes/index).
+const verificationMode = () => String(process.env.REQUIRE_EMAIL_VERIFICATION || 'none');
+
+// 429 for a throttled or locked-out client; Retry-After is in seconds.
+const tooMany = (res, retryAfter, message) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message });
+};
+
+// Minimum seconds between two verification emails to the same account.
+const resendSeconds = () => Number(process.env.EMAIL_VERIFY_RESEND_SECONDS) || 60;
+
+/**
+ * Emails a fresh verification link to the user and saves the token.
+ * Returns the link so non-production responses can expose it for testing.
+ */
+const sendVerificationEmail = async (user) => {
+    const plainToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    const verifyUrl = `${process.env.CLIENT_URL}/verify-email?token=${plainToken}`;
+    const html = `
+      <p>Welcome to Travlr! Please confirm your email address.</p>
+      <p><a href="${verifyUrl}">Click here to verify your email</a></p>
+      <p>This link expires in 24 hours. If you didn't sign up, ignore this email.</p>
+    `;
+    await transporter.sendMail({
+        to: user.email,
+        from: process.env.FROM_EMAIL,
+        subject: 'Verify your Travlr email address',
+        html,
+    });
+    return verifyUrl;
+};
 
 /**
  * POST /register
- * Creates a new user account and returns a signed JWT as a raw string.
+ * Creates a new, unverified user account, emails a verification link and
+ * returns { token, refreshToken, expiresIn }. When
+ * REQUIRE_EMAIL_VERIFICATION=login no tokens are issued until the address is
+ * verified; the response only carries a message.
  * Expects: { name, email, password }
  * 400 when required fields are missing or persistence fails.
  */
@@ -27,16 +74,34 @@ const register = async (req, res) => {
         name: req.body.name,
         email: req.body.email,
         password: '',
+        emailVerified: false,
     });
-    user.setPassword(req.body.password);
 
     try {
+        await user.setPassword(req.body.password);
         const q = await user.save();
         if (!q) return res.status(400).json({ message: 'User not saved' });
 
-        // JWT is generated from the persisted user document.
-        const token = user.generateJWT();
-        return res.status(200).json(token);
+        // A failed email does not undo the account; the user can ask for a resend.
+        let verifyUrl = null;
+        try {
+            verifyUrl = await sendVerificationEmail(user);
+        } catch (e) {
+            console.log('[REGISTER] verification email error:', e);
+        }
+        const dev =
+            verifyUrl && process.env.NODE_ENV !== 'production' ? { devVerifyUrl: verifyUrl } : {};
+
+        if (verificationMode() === 'login') {
+            return res.status(200).json({
+                message: 'Check your email to verify your address, then log in.',
+                ...dev,
+            });
+        }
+
+        // Tokens are generated from the persisted user document.
+        const tokens = await tokenService.issue(user, clientMeta(req));
+        return res.status(200).json({ ...tokens, ...dev });
     } catch (e) {
         return res.status(400).json({ message: 'Registration error', error: String(e) });
     }
@@ -45,33 +110,193 @@ const register = async (req, res) => {
 /**
  * POST /login
  * Authenticates credentials using Passport local strategy.
- * On success returns a signed JWT as a raw string.
+ * On success returns { token, refreshToken, expiresIn }: a short-lived
+ * access JWT, a refresh token starting a new session, and the access
+ * token lifetime in seconds.
  * Expects: { email, password }
- * 401 when credentials are invalid.
+ * 401 when credentials are invalid (same message whether or not the account
+ * exists); 403 for disabled accounts, which does not count as a failed
+ * attempt, and for unverified accounts when REQUIRE_EMAIL_VERIFICATION=login;
+ * 429 with Retry-After while the account or client IP is locked out after
+ * repeated failures (see services/lockoutService).
+ * Accounts with two-factor authentication get { mfaRequired: true,
+ * challengeToken, expiresIn } instead; POST /auth/mfa/verify completes the
+ * login. Admins who must enroll under MFA_REQUIRED_FOR_ADMINS get a session
+ * flagged `mfaEnrollmentRequired`, usable for enrollment but not admin routes.
  */
-const login = (req, res) => {
+const login = async (req, res) => {
     if (!req.body.email || !req.body.password) {
         return res.status(400).json({ message: 'All fields required' });
     }
 
+    const attempt = { email: req.body.email, ip: req.ip };
+    const lockedOut = 'Too many failed login attempts. Try again later.';
+    try {
+        const lock = await lockoutService.checkLogin(attempt);
+        if (lock.locked) return tooMany(res, lock.retryAfter, lockedOut);
+    } catch (e) {
+        return res.status(500).json({ message: e.message || 'Server error' });
+    }
+
     // Passport handles user lookup + password verification.
-    passport.authenticate('local', (err, user, info) => {
+    return passport.authenticate('local', async (err, user, info) => {
         if (err) return res.status(404).json(err);
-        if (user) {
-            const token = user.generateJWT();
-            return res.status(200).json(token);
-        } else {
+        // The password was right, so this is not a failed attempt
+        if (info?.code === 'DISABLED') return res.status(403).json({ message: info.message });
+        if (!user) {
+            try {
+                const lock = await lockoutService.recordLoginFailure(attempt);
+                if (lock.locked) return tooMany(res, lock.retryAfter, lockedOut);
+            } catch (e) {
+                console.log('[LOGIN] failure counter error:', e);
+            }
             return res.status(401).json(info);
         }
+
+        await lockoutService.recordLoginSuccess(attempt).catch((e) => {
+            console.log('[LOGIN] failure counter reset error:', e);
+        });
+        if (verificationMode() === 'login' && !user.isEmailVerified()) {
+            return res.status(403).json({ message: 'Verify your email address before logging in' });
+        }
+        if (user.mfa?.enabled) {
+            return res.status(200).json({ mfaRequired: true, ...mfaService.createChallenge(user) });
+        }
+        const enroll = mfaService.requiredFor(user.role) ? { mfaEnrollmentRequired: true } : {};
+        return tokenService
+            .issue(user, clientMeta(req))
+            .then((tokens) => res.status(200).json({ ...tokens, ...enroll }))
+            .catch((e) => res.status(500).json({ message: e.message || 'Server error' }));
     })(req, res);
 };
 
+/**
+ * POST /auth/refresh
+ * Exchanges a refresh token for a new token pair. The presented refresh
+ * token is rotated out; replaying it later revokes the whole session.
+ * Expects: { refreshToken }
+ * 401 when the token is invalid, expired, revoked or reused.
+ */
+const refresh = async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ message: 'Refresh token required' });
+
+    try {
+        const result = await tokenService.refresh(refreshToken, clientMeta(req));
+        if (!result.ok) return res.status(401).json({ message: result.reason });
+        return res.status(200).json(result.tokens);
+    } catch (e) {
+        return res.status(500).json({ message: e.message || 'Server error' });
+    }
+};
+
+/**
+ * POST /auth/logout
+ * Revokes the caller's access token immediately and, when supplied, the
+ * session of the given refresh token.
+ * Expects: { refreshToken? } with a valid Bearer token.
+ */
+const logout = async (req, res) => {
+    try {
+        await tokenService.logout(req.auth, (req.body || {}).refreshToken);
+        return res.status(200).json({ message: 'Logged out' });
+    } catch (e) {
+        return res.status(500).json({ message: e.message || 'Server error' });
+    }
+};
+
+/**
+ * POST /auth/logout-all
+ * Logs the caller out on every device: all access and refresh tokens issued
+ * so far stop working. Responds with the number of sessions revoked.
+ */
+const logoutAll = async (req, res) => {
+    try {
+        const sessions = await tokenService.logoutAll(req.auth._id);
+        return res.status(200).json({ message: 'Logged out on all devices', sessions });
+    } catch (e) {
+        return res.status(500).json({ message: e.message || 'Server error' });
+    }
+};
+
+/**
+ * GET /auth/verify?token=...
+ * POST /auth/verify
+ * Confirms the account's email address with the emailed token.
+ * Expects: { token } in the body, or the `token` query parameter.
+ * 400 when the token is invalid or expired.
+ */
+const verifyEmail = async (req, res) => {
+    const rawToken = String((req.body && req.body.token) || req.query.token || '');
+    if (!rawToken || rawToken.length < 64) {
+        return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    const tokenHash = crypto.createHash('sha256').update(rawToken).digest('hex');
+    try {
+        const user = await User.findOneAndUpdate(
+            { emailVerifyToken: tokenHash, emailVerifyExpires: { $gt: Date.now() } },
+            {
+                $set: { emailVerified: true },
+                $unset: { emailVerifyToken: 1, emailVerifyExpires: 1, emailVerifySentAt: 1 },
+            }
+        ).exec();
+        if (!user)
+            return res.status(400).json({ message: 'Invalid or expired verification token' });
+
+        return res.status(200).json({ message: 'Email address verified.' });
+    } catch (e) {
+        return res.status(500).json({ message: e.message || 'Server error' });
+    }
+};
+
+/**
+ * POST /auth/verify/resend
+ * Emails a new verification link. Response is generic by design; repeated
+ * requests for the same account within EMAIL_VERIFY_RESEND_SECONDS get 429
+ * with a Retry-After header.
+ * Expects: { email }
+ */
+const resendVerification = async (req, res) => {
+    const { email } = req.body || {};
+    if (!email) return res.status(400).json({ message: 'Email required' });
+
+    const genericOk = {
+        message: "If that email belongs to an unverified account, we'll send a new link.",
+    };
+
+    try {
+        const user = await User.findOne({ email }).exec();
+        if (!user || user.isEmailVerified()) return res.status(200).json(genericOk);
+
+        const waitMs = user.emailVerifySentAt
+            ? user.emailVerifySentAt.getTime() + resendSeconds() * 1000 - Date.now()
+            : 0;
+        if (waitMs > 0) {
+            res.set('Retry-After', String(Math.ceil(waitMs / 1000)));
+            return res
+                .status(429)
+                .json({ message: 'Please wait before requesting another verification email' });
+        }
+
+        const verifyUrl = await sendVerificationEmail(user);
+        const resp = { ...genericOk };
+        if (process.env.NODE_ENV !== 'production') resp.devVerifyUrl = verifyUrl;
+        return res.status(200).json(resp);
+    } catch (e) {
+        console.log('[VERIFY] resend error:', e);
+        return res.status(200).json(genericOk);
+    }
+};
+
 /**
  * POST /auth/forgot
  * Initiates password reset flow by generating a short-lived token
  * and emailing a one-time reset link. Response is generic by design.
  * Expects: { email }
- * Always returns 200 with a neutral message to avoid user enumeration.
+ * Returns 200 with a neutral message to avoid user enumeration. Requests per
+ * email address are throttled (FORGOT_MAX_REQUESTS per FORGOT_WINDOW_MINUTES)
+ * whether or not an account exists; excess requests get 429 + Retry-After.
  */
 const forgot = async (req, res) => {
     const { email } = req.body || {};
@@ -79,6 +304,15 @@ const forgot = async (req, res) => {
 
     if (!email) return res.status(400).json({ message: 'Email required' });
 
+    try {
+        const throttle = await lockoutService.allowForgot(email);
+        if (!throttle.allowed) {
+            return tooMany(res, throttle.retryAfter, 'Too many reset requests. Try again later.');
+        }
+    } catch (e) {
+        return res.status(500).json({ message: e.message || 'Server error' });
+    }
+
     // Generic OK response; avoids leaking existence of an account.
     const genericOk = {
         message: "If that email exists, we'll send instructions to reset your password.",
@@ -139,6 +373,7 @@ const forgot = async (req, res) => {
  * POST /auth/reset
  * POST /auth/reset/:token (fallback)
  * Completes the password reset using a previously issued token.
+ * Every existing session of the account is revoked.
  * Expects: { token?, password } or :token path param.
  * 400 when token is invalid/expired or password is missing.
  */
@@ -167,12 +402,25 @@ const reset = async (req, res) => {
     if (!user) return res.status(400).json({ message: 'Invalid or expired reset token' });
 
     // Persist the new password and clear token fields.
-    user.setPassword(password);
+    await user.setPassword(password);
     user.resetPasswordToken = undefined;
     user.resetPasswordExpires = undefined;
     await user.save();
 
+    // A reset usually means the old password leaked; end every session.
+    await tokenService.logoutAll(user._id, 'password_reset');
+
     return res.status(200).json({ message: 'Password updated. You can now log in.' });
 };
 
-module.exports = { register, login, forgot, reset };
+module.exports = {
+    register,
+    verifyEmail,
+    resendVerification,
+    login,
+    refresh,
+    logout,
+    logoutAll,
+    forgot,
+    reset,
+};
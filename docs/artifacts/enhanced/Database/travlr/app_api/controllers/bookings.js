@@ -0,0 +1,232 @@
+/* Controller layer for Bookings.
+ * Responsibilities:
+ *   - Placing time-limited seat holds on trip departures
+ *   - Confirming and cancelling bookings (owner, or bookings:manage for cancellation)
+ *   - Listing the authenticated user's bookings, and all bookings for bookings:read
+ * State transitions and seat accounting live in services/bookingService.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const Booking = require('../models/booking');
+const CreditNote = require('../models/creditNote');
+const bookingService = require('../services/bookingService');
+const cancellationService = require('../services/cancellationService');
+const { can } = require('../config/roles');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const created = (res, data) => res.status(201).json(data); // 201 Created with resource
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// Service refusal codes mapped to HTTP statuses.
+const REFUSAL_STATUS = {
+    NOT_FOUND: 404,
+    SOLD_OUT: 409,
+    PAYMENT_REQUIRED: 402,
+    INVALID_PROMO: 422,
+    INVALID_STATE: 409,
+    EXPIRED: 410,
+};
+
+// Sends a service result: the presented booking, or the refusal reason.
+const sendResult = (res, result, status = 200) => {
+    if (!result.ok) {
+        return res.status(REFUSAL_STATUS[result.code] || 400).json({ message: result.reason });
+    }
+    return res.status(status).json(Booking.present(result.booking));
+};
+
+// Restricts booking lookups to the caller's own bookings unless the caller's
+// role holds `permission`.
+const ownerScope = (req, permission) =>
+    permission && can(req.auth?.role, permission) ? {} : { user: req.auth._id };
+
+// -----------------------------------------------------------------------------
+// POST /bookings
+// Body: { tripCode, departureId?, seats, promo? }. Places a hold that must be
+// confirmed before it expires (BOOKING_HOLD_MINUTES); the seats are reserved
+// meanwhile. The price follows GET /trips/:tripCode/quote; an unusable promo
+// code is rejected with 422.
+// -----------------------------------------------------------------------------
+const bookingsCreate = async (req, res) => {
+    try {
+        const b = req.body || {};
+        const tripCode = String(b.tripCode || '').trim();
+        if (!tripCode) return badReq(res, 'Trip code required');
+
+        const seats = b.seats === undefined ? 1 : Number(b.seats);
+        const max = bookingService.MAX_SEATS_PER_BOOKING;
+        if (!Number.isInteger(seats) || seats < 1 || seats > max) {
+            return badReq(res, `Seats must be an integer between 1 and ${max}`);
+        }
+        if (b.departureId !== undefined && !ObjectId.isValid(b.departureId)) {
+            return badReq(res, 'Invalid departure id');
+        }
+
+        const result = await bookingService.placeHold({
+            userId: req.auth._id,
+            tripCode,
+            departureId: b.departureId,
+            seats,
+            promoCode: b.promo ? String(b.promo) : null,
+        });
+        return sendResult(res, result, 201);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /bookings/:bookingId
+// Owners see their own bookings; bookings:read sees any booking.
+// -----------------------------------------------------------------------------
+const bookingsFindOne = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.bookingId)) return notFound(res, 'Booking not found');
+        const booking = await Booking.findOne({
+            _id: req.params.bookingId,
+            ...ownerScope(req, 'bookings:read'),
+        })
+            .lean()
+            .exec();
+        if (!booking) return notFound(res, 'Booking not found');
+        return ok(res, Booking.present(booking));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /bookings/:bookingId/confirm
+// Confirms the caller's own paid hold. A succeeded payment webhook already
+// confirms the booking, so this is mainly a retry path; 402 while unpaid and
+// 410 once the hold has expired.
+// -----------------------------------------------------------------------------
+const bookingsConfirm = async (req, res) => {
+    try {
+        const result = await bookingService.confirm(req.params.bookingId, ownerScope(req));
+        return sendResult(res, result);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /bookings/:bookingId/cancellation
+// Previews the refund the trip's cancellation policy would give a confirmed
+// booking if it were cancelled now. Owners and bookings:read may ask.
+// -----------------------------------------------------------------------------
+const bookingsCancellationQuote = async (req, res) => {
+    try {
+        const result = await cancellationService.quote(
+            req.params.bookingId,
+            ownerScope(req, 'bookings:read')
+        );
+        if (!result.ok) return sendResult(res, result);
+        return ok(res, result.quote);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /bookings/:bookingId/cancel
+// Cancels a held or confirmed booking and frees its seats. Confirmed bookings
+// are refunded according to the trip's cancellation policy and receive a
+// credit note (`creditNote`, null for unpaid holds). bookings:manage may
+// cancel any booking.
+// -----------------------------------------------------------------------------
+const bookingsCancel = async (req, res) => {
+    try {
+        const result = await cancellationService.cancel(
+            req.params.bookingId,
+            ownerScope(req, 'bookings:manage'),
+            { issuedBy: req.auth._id }
+        );
+        if (!result.ok) return sendResult(res, result);
+        return ok(res, {
+            ...Booking.present(result.booking),
+            creditNote: result.creditNote && CreditNote.present(result.creditNote),
+        });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /me/bookings
+// The authenticated user's bookings, newest first. Optional ?status= filter.
+// -----------------------------------------------------------------------------
+const myBookings = async (req, res) => {
+    try {
+        const filter = { user: req.auth._id };
+        if (req.query.status !== undefined) {
+            const status = String(req.query.status);
+            if (!Booking.STATUSES.includes(status)) {
+                return badReq(res, `Status must be one of: ${Booking.STATUSES.join(', ')}`);
+            }
+            filter.status = status;
+        }
+
+        const docs = await Booking.find(filter).sort({ createdAt: -1 }).lean().exec();
+        const bookings = docs.map((d) => Booking.present(d));
+        return ok(res, bookings);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /bookings
+// All bookings, newest first (bookings:read). Query parameters:
+//   - userId: only this user's bookings
+//   - tripCode: only bookings of this trip
+//   - status: held | confirmed | cancelled | expired
+//   - limit: page size (default 50, max 200)
+// -----------------------------------------------------------------------------
+const bookingsList = async (req, res) => {
+    try {
+        const q = req.query || {};
+        const filter = {};
+        if (q.userId !== undefined) {
+            if (!ObjectId.isValid(q.userId)) return badReq(res, 'Invalid user id');
+            filter.user = q.userId;
+        }
+        if (q.tripCode) filter.tripCode = String(q.tripCode).trim();
+        if (q.status !== undefined) {
+            const status = String(q.status);
+            if (!Booking.STATUSES.includes(status)) {
+                return badReq(res, `Status must be one of: ${Booking.STATUSES.join(', ')}`);
+            }
+            filter.status = status;
+        }
+        const limit = q.limit === undefined ? 50 : parseInt(q.limit, 10);
+        if (Number.isNaN(limit) || limit < 1 || limit > 200) {
+            return badReq(res, 'Limit must be between 1 and 200');
+        }
+
+        const docs = await Booking.find(filter).sort({ createdAt: -1 }).limit(limit).lean().exec();
+        return ok(
+            res,
+            docs.map((d) => Booking.present(d))
+        );
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    bookingsList,
+    bookingsCreate,
+    bookingsFindOne,
+    bookingsConfirm,
+    bookingsCancellationQuote,
+    bookingsCancel,
+    myBookings,
+};
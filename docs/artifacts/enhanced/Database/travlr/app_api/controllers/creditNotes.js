@@ -0,0 +1,58 @@
+/* Controller layer for Credit Notes.
+ * Responsibilities:
+ *   - Listing the credit notes issued for cancelled paid bookings (credit-notes:read)
+ * Notes are issued by services/cancellationService when a booking is cancelled.
+ */
+
+const CreditNote = require('../models/creditNote'); // Refund records in 'credit_notes'
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// -----------------------------------------------------------------------------
+// GET /credit-notes
+// Lists credit notes newest first. Query parameters:
+//   - tripCode: only notes for this trip
+//   - from / to: optional ISO date range on the issue date
+//   - pending: when "true", only notes with a refund still to execute
+//   - limit: page size (default 50, max 200)
+// -----------------------------------------------------------------------------
+const creditNotesList = async (req, res) => {
+    try {
+        const q = req.query || {};
+        const filter = {};
+        if (q.tripCode) filter.tripCode = String(q.tripCode).trim();
+        if (String(q.pending).toLowerCase() === 'true') {
+            // Notes issued before refundStatus existed have only refundedAt
+            filter.refundedAt = null;
+            filter.refundStatus = { $ne: 'not_due' };
+        }
+
+        const range = {};
+        const from = new Date(q.from);
+        const to = new Date(q.to);
+        if (q.from && !Number.isNaN(from.getTime())) range.$gte = from;
+        if (q.to && !Number.isNaN(to.getTime())) range.$lte = to;
+        if (Object.keys(range).length) filter.createdAt = range;
+
+        const limit = q.limit === undefined ? DEFAULT_LIMIT : parseInt(q.limit, 10);
+        if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return badReq(res, `Limit must be between 1 and ${MAX_LIMIT}`);
+        }
+
+        const docs = await CreditNote.find(filter).sort({ number: -1 }).limit(limit).lean().exec();
+        const notes = docs.map((d) => CreditNote.present(d));
+        return ok(res, notes);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = { creditNotesList };
@@ -0,0 +1,212 @@
+/* Controller layer for Trip departures.
+ * Responsibilities:
+ *   - Listing the departures of a trip with remaining seat counts
+ *   - Creating, updating and removing departures (departures:write)
+ *   - Guarding capacity so it never drops below seats already sold or held
+ *   - Offering new or added seats to the trip's waitlist
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const Trip = require('../models/travlr'); // Mongoose model bound to the 'trips' collection
+const Departure = require('../models/departure'); // Dated seat inventory in 'departures'
+const waitlistService = require('../services/waitlistService');
+const wishlistService = require('../services/wishlistService');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const created = (res, data) => res.status(201).json(data); // 201 Created with resource
+const badReq = (res, msg, extra = {}) => res.status(400).json({ message: msg, ...extra }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const conflict = (res, msg) => res.status(409).json({ message: msg }); // 409 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// -----------------------------------------------------------------------------
+// Input helpers
+// -----------------------------------------------------------------------------
+
+// Loads the active trip addressed by :tripCode, or null.
+const findTrip = (req) => {
+    const code = String(req.params.tripCode || '').trim();
+    return Trip.findOne({ code, deletedAt: null }).select('_id code name').lean().exec();
+};
+
+// Loads a departure of `trip` by :departureId, or null for unknown/invalid ids.
+const findDeparture = (trip, req) => {
+    if (!ObjectId.isValid(req.params.departureId)) return null;
+    return Departure.findOne({ _id: req.params.departureId, trip: trip._id }).exec();
+};
+
+/* Validates and normalizes a departure payload.
+ * `date` and `capacity` are required; `price` is optional (null clears it).
+ * `seatsSold` is only accepted when `allowSeatsSold` is set (creation), as
+ * afterwards it is owned by the booking flow.
+ */
+const readDepartureBody = (b = {}, { allowSeatsSold = false } = {}) => {
+    const date = new Date(b.date);
+    if (!b.date || Number.isNaN(date.getTime())) {
+        return { ok: false, reason: 'Valid departure date required' };
+    }
+    const capacity = Number(b.capacity);
+    if (!Number.isInteger(capacity) || capacity < 0) {
+        return { ok: false, reason: 'Capacity must be a non-negative integer' };
+    }
+    const body = { date, capacity, price: b.price === undefined ? null : b.price };
+    if (allowSeatsSold && b.seatsSold !== undefined) {
+        const seatsSold = Number(b.seatsSold);
+        if (!Number.isInteger(seatsSold) || seatsSold < 0) {
+            return { ok: false, reason: 'Seats sold must be a non-negative integer' };
+        }
+        body.seatsSold = seatsSold;
+    }
+    return { ok: true, body };
+};
+
+// Offers free seats to the waitlist; returns the departure as it stands afterwards.
+const promoteWaitlist = async (departure) => {
+    const offers = await waitlistService.promote(departure._id);
+    return offers.length ? Departure.findById(departure._id).lean().exec() : departure;
+};
+
+// Maps a Mongoose ValidationError to { field: message }.
+const validationErrors = (err) => {
+    const errors = {};
+    Object.keys(err.errors || {}).forEach((k) => {
+        errors[k] = err.errors[k].message;
+    });
+    return errors;
+};
+
+// -----------------------------------------------------------------------------
+// GET /trips/:tripCode/departures
+// Lists a trip's departures by date. Query parameters:
+//   - from / to: optional ISO date range on the departure date
+//   - available: when "true", only departures with unsold seats
+// -----------------------------------------------------------------------------
+const departuresList = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const query = { trip: trip._id };
+        const range = {};
+        const from = new Date(req.query.from);
+        const to = new Date(req.query.to);
+        if (req.query.from && !Number.isNaN(from.getTime())) range.$gte = from;
+        if (req.query.to && !Number.isNaN(to.getTime())) range.$lte = to;
+        if (Object.keys(range).length) query.date = range;
+        if (String(req.query.available).toLowerCase() === 'true') {
+            Object.assign(query, Departure.availableFilter());
+        }
+
+        const docs = await Departure.find(query).sort({ date: 1 }).lean().exec();
+        const departures = docs.map((d) => Departure.present(d));
+        return ok(res, departures);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /trips/:tripCode/departures
+// Adds a departure to a trip. Duplicate dates for the same trip return 409.
+// Waitlisted users of the trip are offered its seats straight away, and users
+// who saved the trip are emailed about the new date.
+// -----------------------------------------------------------------------------
+const departuresAdd = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const v = readDepartureBody(req.body, { allowSeatsSold: true });
+        if (!v.ok) return badReq(res, v.reason);
+
+        const doc = await new Departure({ ...v.body, trip: trip._id, tripCode: trip.code }).save();
+        const current = await promoteWaitlist(doc.toObject());
+        wishlistService.notifyNewDeparture(trip, doc).catch(() => {});
+        return created(res, Departure.present(current));
+    } catch (err) {
+        if (err?.code === 11000) return conflict(res, 'A departure already exists on that date');
+        if (err?.name === 'ValidationError') {
+            return badReq(res, 'Validation failed', { errors: validationErrors(err) });
+        }
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// PUT /trips/:tripCode/departures/:departureId
+// Replaces a departure's date, capacity and price. The capacity check is part
+// of the update filter so a concurrent sale or hold cannot push past it.
+// Added capacity is offered to the waitlist.
+// -----------------------------------------------------------------------------
+const departuresUpdate = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const existing = await findDeparture(trip, req);
+        if (!existing) return notFound(res, 'Departure not found');
+
+        const v = readDepartureBody(req.body);
+        if (!v.ok) return badReq(res, v.reason);
+
+        const updated = await Departure.findOneAndUpdate(
+            { _id: existing._id, ...Departure.fitsCapacityFilter(v.body.capacity) },
+            v.body,
+            { new: true, runValidators: true }
+        )
+            .lean()
+            .exec();
+        if (!updated) {
+            return conflict(res, 'Capacity cannot be lower than seats already sold or held');
+        }
+
+        const current =
+            updated.capacity > existing.capacity ? await promoteWaitlist(updated) : updated;
+        return ok(res, Departure.present(current));
+    } catch (err) {
+        if (err?.code === 11000) return conflict(res, 'A departure already exists on that date');
+        if (err?.name === 'ValidationError') {
+            return badReq(res, 'Validation failed', { errors: validationErrors(err) });
+        }
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /trips/:tripCode/departures/:departureId
+// Removes a departure that has no seats sold or held.
+// -----------------------------------------------------------------------------
+const departuresDelete = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const existing = await findDeparture(trip, req);
+        if (!existing) return notFound(res, 'Departure not found');
+
+        const removed = await Departure.findOneAndDelete({
+            _id: existing._id,
+            seatsSold: 0,
+            seatsHeld: { $in: [0, null] },
+        })
+            .lean()
+            .exec();
+        if (!removed) return conflict(res, 'Departures with seats sold or held cannot be deleted');
+
+        return ok(res, Departure.present(removed));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    departuresList,
+    departuresAdd,
+    departuresUpdate,
+    departuresDelete,
+};
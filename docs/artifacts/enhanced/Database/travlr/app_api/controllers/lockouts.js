@@ -0,0 +1,93 @@
+/* Controller layer for login lockouts.
+ * Responsibilities:
+ *   - Listing the brute-force counters and active lockouts (lockouts:manage),
+ *     covering logins, password-reset emails and second-factor codes
+ *   - Clearing a counter to lift its lockout (lockouts:manage)
+ * Counting and lockout rules live in services/lockoutService.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const LoginThrottle = require('../models/loginThrottle');
+const lockoutService = require('../services/lockoutService');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// -----------------------------------------------------------------------------
+// GET /lockouts
+// Lists counters, most recently active first. Query parameters:
+//   - kind: account | ip | forgot | mfa
+//   - email: counters keyed on this address (account and forgot)
+//   - ip: the counter of this client IP
+//   - userId: the second-factor counter of this user
+//   - active: when "true", only keys that are locked right now
+//   - limit: page size (default 50, max 200)
+// Each counter carries `locked` and `retryAfter` (seconds).
+// -----------------------------------------------------------------------------
+const lockoutsList = async (req, res) => {
+    try {
+        const q = req.query || {};
+        if (q.kind && !LoginThrottle.KINDS.includes(q.kind)) {
+            return badReq(res, `Kind must be one of: ${LoginThrottle.KINDS.join(', ')}`);
+        }
+        const limit = q.limit === undefined ? DEFAULT_LIMIT : parseInt(q.limit, 10);
+        if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return badReq(res, `Limit must be between 1 and ${MAX_LIMIT}`);
+        }
+
+        let key;
+        let kind = q.kind;
+        if (q.email) key = lockoutService.normalizeEmail(q.email);
+        else if (q.ip) [key, kind] = [String(q.ip), kind || 'ip'];
+        else if (q.userId) [key, kind] = [String(q.userId), kind || 'mfa'];
+
+        const now = new Date();
+        const docs = await lockoutService.list(
+            {
+                kind,
+                key,
+                active: String(q.active).toLowerCase() === 'true',
+                limit,
+            },
+            now
+        );
+        const counters = docs.map((d) => {
+            const retryAfter =
+                d.lockedUntil && d.lockedUntil > now
+                    ? Math.ceil((d.lockedUntil.getTime() - now.getTime()) / 1000)
+                    : 0;
+            return { ...d, locked: retryAfter > 0, retryAfter };
+        });
+        return ok(res, counters);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /lockouts/:lockoutId
+// Removes a counter, lifting its lockout. Responds with the removed counter.
+// -----------------------------------------------------------------------------
+const lockoutsClear = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.lockoutId)) return notFound(res, 'Lockout not found');
+
+        const removed = await lockoutService.clear(req.params.lockoutId);
+        if (!removed) return notFound(res, 'Lockout not found');
+        return ok(res, removed);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = { lockoutsList, lockoutsClear };
@@ -0,0 +1,402 @@
+/* Controller layer for the signed-in user's own account.
+ * Responsibilities:
+ *   - Viewing the profile and changing the name and preferences
+ *   - Changing the password (current password required)
+ *   - Changing the email address: the new address is confirmed by an emailed
+ *     token before it replaces the old one
+ *   - Downloading a copy of the account's data and scheduling (or cancelling)
+ *     its erasure (see services/privacyService)
+ * Password and email changes end every existing session. Wrong current
+ * passwords count towards the login lockout (see services/lockoutService).
+ */
+
+const crypto = require('crypto');
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const transporter = require('../config/mail');
+const User = require('../models/user');
+const WishlistItem = require('../models/wishlistItem');
+const WaitlistEntry = require('../models/waitlistEntry');
+const tokenService = require('../services/tokenService');
+const lockoutService = require('../services/lockoutService');
+const privacyService = require('../services/privacyService');
+const { ROLES } = require('../config/roles');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const forbidden = (res, msg) => res.status(403).json({ message: msg }); // 403 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const conflict = (res, msg) => res.status(409).json({ message: msg }); // 409 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+const PROFILE_FIELDS = ['name', 'preferences'];
+const PREFERENCE_FIELDS = ['locale', 'wishlistAlerts'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const lockedOut = 'Too many failed login attempts. Try again later.';
+
+// Client details stored with a refresh token.
+const clientMeta = (req) => ({ userAgent: req.get('user-agent') || null, ip: req.ip || null });
+
+// Service refusal codes mapped to HTTP statuses.
+const REFUSAL_STATUS = {
+    NOT_FOUND: 404,
+    LAST_ADMIN: 409,
+};
+
+const sendRefusal = (res, result) =>
+    res.status(REFUSAL_STATUS[result.code] || 400).json({ message: result.reason });
+
+// The caller's own view of their account.
+const presentSelf = (u, erasure = null) => ({
+    _id: u._id,
+    name: u.name,
+    email: u.email,
+    role: u.role,
+    permissions: ROLES[u.role] || [],
+    emailVerified: u.emailVerified !== false,
+    pendingEmail: u.pendingEmail || null,
+    mfaEnabled: Boolean(u.mfa?.enabled),
+    preferences: {
+        locale: u.preferences?.locale ?? null,
+        wishlistAlerts: u.preferences?.wishlistAlerts !== false,
+    },
+    createdAt: new ObjectId(u._id).getTimestamp(),
+    erasureScheduledFor: erasure ? erasure.scheduledFor : null,
+});
+
+const tooMany = (res, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ message: lockedOut });
+};
+
+/**
+ * Checks `password` against the caller's account, counting failures towards
+ * the login lockout. Resolves to { user } or { status, retryAfter? } to
+ * refuse with.
+ */
+const confirmPassword = async (req, password) => {
+    const attempt = { email: req.auth.email, ip: req.ip };
+    const lock = await lockoutService.checkLogin(attempt);
+    if (lock.locked) return { status: 429, retryAfter: lock.retryAfter };
+
+    const user = await User.findById(req.auth._id).exec();
+    if (!user) return { status: 404 };
+    if (!(await user.validPassword(String(password || '')))) {
+        const after = await lockoutService.recordLoginFailure(attempt);
+        if (after.locked) return { status: 429, retryAfter: after.retryAfter };
+        return { status: 403 };
+    }
+    await lockoutService.recordLoginSuccess(attempt);
+    return { user };
+};
+
+const sendPasswordRefusal = (res, check) => {
+    if (check.status === 429) return tooMany(res, check.retryAfter);
+    if (check.status === 404) return notFound(res, 'User not found');
+    return forbidden(res, 'Current password is incorrect');
+};
+
+// -----------------------------------------------------------------------------
+// GET /me
+// The caller's profile; `erasureScheduledFor` is set while a deletion is
+// pending.
+// -----------------------------------------------------------------------------
+const meFind = async (req, res) => {
+    try {
+        const [user, erasure] = await Promise.all([
+            User.findById(req.auth._id).lean().exec(),
+            privacyService.pendingFor(req.auth._id),
+        ]);
+        if (!user) return notFound(res, 'User not found');
+        return ok(res, presentSelf(user, erasure));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// PUT /me
+// Body: { name?, preferences?: { locale?, wishlistAlerts? } }. Preferences
+// not supplied keep their values. Email, password and role have their own
+// flows and are refused here.
+// -----------------------------------------------------------------------------
+const meUpdate = async (req, res) => {
+    try {
+        const body = req.body || {};
+        const unknown = Object.keys(body).filter((k) => !PROFILE_FIELDS.includes(k));
+        if (unknown.length) {
+            return badReq(res, `Only ${PROFILE_FIELDS.join(' and ')} can be changed here`);
+        }
+
+        const set = {};
+        if (body.name !== undefined) {
+            const name = String(body.name).trim();
+            if (!name) return badReq(res, 'Name cannot be empty');
+            set.name = name;
+        }
+        if (body.preferences !== undefined) {
+            const prefs = body.preferences;
+            if (!prefs || typeof prefs !== 'object' || Array.isArray(prefs)) {
+                return badReq(res, 'Preferences must be an object');
+            }
+            const unknownPrefs = Object.keys(prefs).filter((k) => !PREFERENCE_FIELDS.includes(k));
+            if (unknownPrefs.length) {
+                return badReq(res, `Unknown preferences: ${unknownPrefs.join(', ')}`);
+            }
+            if (prefs.wishlistAlerts !== undefined && typeof prefs.wishlistAlerts !== 'boolean') {
+                return badReq(res, 'wishlistAlerts must be true or false');
+            }
+            for (const key of PREFERENCE_FIELDS) {
+                if (prefs[key] !== undefined) set[`preferences.${key}`] = prefs[key];
+            }
+        }
+
+        const updated = await User.findByIdAndUpdate(
+            req.auth._id,
+            { $set: set },
+            { new: true, runValidators: true }
+        )
+            .lean()
+            .exec();
+        if (!updated) return notFound(res, 'User not found');
+        return ok(res, presentSelf(updated, await privacyService.pendingFor(req.auth._id)));
+    } catch (err) {
+        if (err?.name === 'ValidationError') return badReq(res, err.message);
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /me/password
+// Body: { currentPassword, newPassword }. Every existing session is ended;
+// the response carries a fresh { token, refreshToken, expiresIn } for this
+// client. 403 when the current password is wrong, 429 while locked out.
+// -----------------------------------------------------------------------------
+const meChangePassword = async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        if (!currentPassword || !newPassword) {
+            return badReq(res, 'Current and new password required');
+        }
+
+        const check = await confirmPassword(req, currentPassword);
+        if (!check.user) return sendPasswordRefusal(res, check);
+
+        const { user } = check;
+        await user.setPassword(newPassword);
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpires = undefined;
+        await user.save();
+        await tokenService.logoutAll(user._id, 'password_change');
+
+        // logoutAll bumped tokenVersion; issue from the stored document
+        const fresh = await User.findById(user._id).exec();
+        const tokens = await tokenService.issue(fresh, {
+            ...clientMeta(req),
+            mfa: Boolean(req.auth.mfa),
+        });
+        return ok(res, { message: 'Password changed. Other sessions were logged out.', ...tokens });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /me/email
+// Body: { email, password }. Emails a confirmation link to the new address;
+// the current address stays in use until POST /auth/email/confirm. A new
+// request replaces any pending one. 409 when the address is already taken.
+// -----------------------------------------------------------------------------
+const meRequestEmailChange = async (req, res) => {
+    try {
+        const { password } = req.body || {};
+        const email = String((req.body || {}).email || '')
+            .trim()
+            .toLowerCase();
+        if (!email || !password) return badReq(res, 'New email and password required');
+        if (!EMAIL_PATTERN.test(email)) return badReq(res, 'Email address is invalid');
+
+        const check = await confirmPassword(req, password);
+        if (!check.user) return sendPasswordRefusal(res, check);
+
+        const { user } = check;
+        if (email === user.email) return badReq(res, 'That is already your email address');
+        if (await User.exists({ email })) return conflict(res, 'Email address is already in use');
+
+        const plainToken = user.createEmailChangeToken(email);
+        await user.save({ validateBeforeSave: false });
+
+        const confirmUrl = `${process.env.CLIENT_URL}/confirm-email?token=${plainToken}`;
+        const html = `
+      <p>You asked to use this address for your Travlr account.</p>
+      <p><a href="${confirmUrl}">Click here to confirm your new email address</a></p>
+      <p>This link expires in 24 hours. If you didn't request this, ignore this email.</p>
+    `;
+        await transporter.sendMail({
+            to: email,
+            from: process.env.FROM_EMAIL,
+            subject: 'Confirm your new Travlr email address',
+            html,
+        });
+
+        const resp = {
+            message: `We sent a confirmation link to ${email}.`,
+            pendingEmail: email,
+        };
+        if (process.env.NODE_ENV !== 'production') resp.devConfirmUrl = confirmUrl;
+        return ok(res, resp);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /auth/email/confirm?token=...
+// POST /auth/email/confirm
+// Body: { token } (or the `token` query parameter). Swaps in the pending
+// address, marks it verified and ends every session; the user logs in again
+// with the new address, and wishlist and waitlist emails follow it. The old
+// address is told about the change.
+// 400 when the token is invalid or expired, 409 when the address was taken
+// in the meantime.
+// -----------------------------------------------------------------------------
+const meConfirmEmailChange = async (req, res) => {
+    const rawToken = String((req.body && req.body.token) || req.query.token || '');
+    if (!rawToken || rawToken.length < 64) {
+        return badReq(res, 'Invalid or expired confirmation token');
+    }
+
+    const tokenHash = crypto.createHash('sha256').update(rawToken).digest('hex');
+    try {
+        const user = await User.findOne({
+            emailChangeToken: tokenHash,
+            emailChangeExpires: { $gt: Date.now() },
+        })
+            .lean()
+            .exec();
+        if (!user || !user.pendingEmail) {
+            return badReq(res, 'Invalid or expired confirmation token');
+        }
+
+        // Conditional on the token so a replaced request cannot be confirmed
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, emailChangeToken: tokenHash },
+            {
+                $set: { email: user.pendingEmail, emailVerified: true },
+                $unset: {
+                    pendingEmail: 1,
+                    emailChangeToken: 1,
+                    emailChangeExpires: 1,
+                    emailVerifyToken: 1,
+                    emailVerifyExpires: 1,
+                    emailVerifySentAt: 1,
+                },
+            },
+            { new: true }
+        )
+            .lean()
+            .exec();
+        if (!updated) return badReq(res, 'Invalid or expired confirmation token');
+
+        await Promise.all([
+            tokenService.logoutAll(user._id, 'email_change'),
+            WishlistItem.updateMany({ user: user._id }, { email: updated.email }).exec(),
+            WaitlistEntry.updateMany({ user: user._id }, { email: updated.email }).exec(),
+        ]);
+
+        try {
+            await transporter.sendMail({
+                to: user.email,
+                from: process.env.FROM_EMAIL,
+                subject: 'Your Travlr email address was changed',
+                html: `
+      <p>The email address of your Travlr account was changed to ${updated.email}.</p>
+      <p>If you didn't make this change, contact support immediately.</p>
+    `,
+            });
+        } catch (e) {
+            console.log('[EMAIL CHANGE] notice to old address failed:', e);
+        }
+
+        return ok(res, { message: 'Email address updated. Log in with your new address.' });
+    } catch (err) {
+        if (err?.code === 11000) return conflict(res, 'Email address is already in use');
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /me/export
+// Everything stored about the caller (profile, bookings, payments, credit
+// notes, reviews, waitlist and wishlist entries, sessions and audit entries)
+// as a downloadable JSON file.
+// -----------------------------------------------------------------------------
+const meExport = async (req, res) => {
+    try {
+        const data = await privacyService.exportData(req.auth._id);
+        if (!data) return notFound(res, 'User not found');
+        res.attachment(`travlr-export-${req.auth._id}.json`);
+        return ok(res, data);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /me
+// Body: { password }. Schedules erasure of the account and its personal data
+// after the grace period (ERASURE_GRACE_DAYS); until then the account works
+// as usual and DELETE /me/erasure cancels. Asking again returns the pending
+// request. 202 with { message, scheduledFor }; 403 when the password is
+// wrong, 409 for the last admin.
+// -----------------------------------------------------------------------------
+const meDelete = async (req, res) => {
+    try {
+        const { password } = req.body || {};
+        if (!password) return badReq(res, 'Password required');
+
+        const check = await confirmPassword(req, password);
+        if (!check.user) return sendPasswordRefusal(res, check);
+
+        const result = await privacyService.requestErasure({ userId: req.auth._id });
+        if (!result.ok) return sendRefusal(res, result);
+        return res.status(202).json({
+            message: 'Your account is scheduled for deletion.',
+            scheduledFor: result.request.scheduledFor,
+        });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /me/erasure
+// Cancels the caller's pending account deletion.
+// -----------------------------------------------------------------------------
+const meCancelErasure = async (req, res) => {
+    try {
+        const result = await privacyService.cancelErasure({
+            userId: req.auth._id,
+            cancelledBy: req.auth._id,
+        });
+        if (!result.ok) return sendRefusal(res, result);
+        return ok(res, { message: 'Account deletion cancelled.' });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    meFind,
+    meUpdate,
+    meChangePassword,
+    meRequestEmailChange,
+    meConfirmEmailChange,
+    meExport,
+    meDelete,
+    meCancelErasure,
+};
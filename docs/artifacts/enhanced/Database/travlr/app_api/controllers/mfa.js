@@ -0,0 +1,152 @@
+/* Controller layer for two-factor authentication.
+ * Responsibilities:
+ *   - TOTP enrollment (setup + confirm), status, disabling and recovery codes
+ *     for the signed-in user
+ *   - The second login step, exchanging a challenge token and a code for a
+ *     session
+ * Secrets, codes and challenges live in services/mfaService.
+ */
+
+const User = require('../models/user');
+const mfaService = require('../services/mfaService');
+const tokenService = require('../services/tokenService');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const forbidden = (res, msg) => res.status(403).json({ message: msg }); // 403 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// Service refusal codes mapped to HTTP statuses.
+const REFUSAL_STATUS = {
+    INVALID: 401,
+    NOT_FOUND: 404,
+    CONFLICT: 409,
+    INVALID_STATE: 409,
+    LOCKED: 429,
+};
+
+const sendRefusal = (res, result) => {
+    if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+    return res.status(REFUSAL_STATUS[result.code] || 400).json({ message: result.reason });
+};
+
+// { code } or { recoveryCode } from the request body.
+const proofOf = (req) => {
+    const b = req.body || {};
+    return { code: b.code, recoveryCode: b.recoveryCode };
+};
+
+// Client details stored with a refresh token.
+const clientMeta = (req) => ({ userAgent: req.get('user-agent') || null, ip: req.ip || null });
+
+// -----------------------------------------------------------------------------
+// GET /auth/mfa
+// The caller's two-factor status: { enabled, enabledAt, required,
+// recoveryCodesLeft }.
+// -----------------------------------------------------------------------------
+const mfaStatus = async (req, res) => {
+    try {
+        const status = await mfaService.status(req.auth._id);
+        if (!status) return notFound(res, 'User not found');
+        return ok(res, status);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /auth/mfa/setup
+// Starts enrollment: returns { secret, otpauthUri } for the authenticator
+// app. Nothing changes for logins until the setup is confirmed.
+// -----------------------------------------------------------------------------
+const mfaSetup = async (req, res) => {
+    try {
+        const result = await mfaService.setup(req.auth._id);
+        if (!result.ok) return sendRefusal(res, result);
+        return ok(res, { secret: result.secret, otpauthUri: result.otpauthUri });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /auth/mfa/confirm
+// Body: { code }. Turns two-factor authentication on and returns the
+// recovery codes (shown only once) with a new session that counts as
+// two-factor authenticated: { recoveryCodes, token, refreshToken, expiresIn }.
+// -----------------------------------------------------------------------------
+const mfaConfirm = async (req, res) => {
+    try {
+        const { code } = req.body || {};
+        if (!code) return badReq(res, 'Code required');
+
+        const result = await mfaService.confirm(req.auth._id, code);
+        if (!result.ok) return sendRefusal(res, result);
+
+        const user = await User.findById(req.auth._id).exec();
+        const tokens = await tokenService.issue(user, { ...clientMeta(req), mfa: true });
+        return ok(res, { recoveryCodes: result.recoveryCodes, ...tokens });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /auth/mfa/disable
+// Body: { code } or { recoveryCode }. Turns two-factor authentication off;
+// refused with 403 while the policy requires it for the caller's role.
+// -----------------------------------------------------------------------------
+const mfaDisable = async (req, res) => {
+    try {
+        if (mfaService.requiredFor(req.auth.role)) {
+            return forbidden(res, 'Two-factor authentication is required for your account');
+        }
+        const result = await mfaService.disable(req.auth._id, proofOf(req));
+        if (!result.ok) return sendRefusal(res, result);
+        return ok(res, { message: 'Two-factor authentication disabled' });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /auth/mfa/recovery-codes
+// Body: { code } or { recoveryCode }. Replaces all recovery codes and returns
+// the new ones (shown only once).
+// -----------------------------------------------------------------------------
+const mfaRecoveryCodes = async (req, res) => {
+    try {
+        const result = await mfaService.regenerateRecoveryCodes(req.auth._id, proofOf(req));
+        if (!result.ok) return sendRefusal(res, result);
+        return ok(res, { recoveryCodes: result.recoveryCodes });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /auth/mfa/verify
+// Body: { challengeToken, code } or { challengeToken, recoveryCode }. Second
+// login step after /login answered { mfaRequired: true, challengeToken };
+// returns { token, refreshToken, expiresIn }.
+// -----------------------------------------------------------------------------
+const mfaVerify = async (req, res) => {
+    try {
+        const { challengeToken } = req.body || {};
+        if (!challengeToken) return badReq(res, 'Challenge token required');
+
+        const result = await mfaService.completeChallenge(challengeToken, proofOf(req));
+        if (!result.ok) return sendRefusal(res, result);
+
+        const tokens = await tokenService.issue(result.user, { ...clientMeta(req), mfa: true });
+        return ok(res, tokens);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = { mfaStatus, mfaSetup, mfaConfirm, mfaDisable, mfaRecoveryCodes, mfaVerify };
@@ -0,0 +1,131 @@
+/* Controller layer for Payments.
+ * Responsibilities:
+ *   - Creating and confirming payment intents for the caller's held bookings
+ *   - Completing 3-D Secure challenges raised by the gateway
+ *   - Receiving signed gateway webhooks that settle payments
+ * Gateway calls and status transitions live in services/paymentService.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const PaymentIntent = require('../models/paymentIntent');
+const paymentService = require('../services/paymentService');
+const { getGateway } = require('../payments');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// Service refusal codes mapped to HTTP statuses.
+const REFUSAL_STATUS = {
+    NOT_FOUND: 404,
+    INVALID_STATE: 409,
+    EXPIRED: 410,
+};
+
+// Sends a service result: the presented intent, or the refusal reason.
+const sendResult = (res, result, status = 200) => {
+    if (!result.ok) {
+        return res.status(REFUSAL_STATUS[result.code] || 400).json({ message: result.reason });
+    }
+    return res.status(status).json(PaymentIntent.present(result.intent));
+};
+
+// -----------------------------------------------------------------------------
+// POST /payments/intents
+// Body: { bookingId }. Creates the payment intent for a held booking, or
+// returns the one already open for it.
+// -----------------------------------------------------------------------------
+const paymentsCreate = async (req, res) => {
+    try {
+        const { bookingId } = req.body || {};
+        if (!bookingId) return badReq(res, 'Booking id required');
+        const result = await paymentService.createForBooking(bookingId, req.auth._id);
+        return sendResult(res, result, 201);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /payments/intents/:intentId
+// The caller's own payment intent, including its status history.
+// -----------------------------------------------------------------------------
+const paymentsFindOne = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.intentId)) return notFound(res, 'Payment not found');
+        const intent = await PaymentIntent.findOne({
+            _id: req.params.intentId,
+            user: req.auth._id,
+        })
+            .lean()
+            .exec();
+        if (!intent) return notFound(res, 'Payment not found');
+        return ok(res, PaymentIntent.present(intent));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /payments/intents/:intentId/confirm
+// Body: { cardNumber }. Submits the card; the outcome arrives by webhook
+// (status "processing") or a 3-D Secure challenge is required first.
+// -----------------------------------------------------------------------------
+const paymentsConfirm = async (req, res) => {
+    try {
+        const cardNumber = String(req.body?.cardNumber || '').replace(/[\s-]/g, '');
+        if (!/^\d{12,19}$/.test(cardNumber)) return badReq(res, 'Valid card number required');
+        const result = await paymentService.confirm(req.params.intentId, req.auth._id, {
+            cardNumber,
+        });
+        return sendResult(res, result);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /payments/intents/:intentId/authenticate
+// Body: { approve: boolean }. Completes or abandons a 3-D Secure challenge.
+// -----------------------------------------------------------------------------
+const paymentsAuthenticate = async (req, res) => {
+    try {
+        if (typeof req.body?.approve !== 'boolean') return badReq(res, 'approve must be a boolean');
+        const result = await paymentService.authenticate(req.params.intentId, req.auth._id, {
+            approve: req.body.approve,
+        });
+        return sendResult(res, result);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /payments/webhook
+// Gateway callback. The signature is checked against the raw request body;
+// unknown intents are acknowledged so the gateway stops retrying.
+// -----------------------------------------------------------------------------
+const paymentsWebhook = async (req, res) => {
+    try {
+        const event = getGateway().verifyWebhook(req.rawBody, req.headers);
+        if (!event) return badReq(res, 'Invalid webhook signature');
+        await paymentService.handleWebhook(event);
+        return ok(res, { received: true });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    paymentsCreate,
+    paymentsFindOne,
+    paymentsConfirm,
+    paymentsAuthenticate,
+    paymentsWebhook,
+};
@@ -0,0 +1,272 @@
+/* Controller layer for pricing.
+ * Responsibilities:
+ *   - Itemized price quotes for a trip (public)
+ *   - Managing promo codes and automatic pricing rules (pricing:write)
+ * The quote itself is built by services/pricingService, which bookings use
+ * as well, so a quote and the booking placed after it agree.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const Trip = require('../models/travlr');
+const Departure = require('../models/departure');
+const PromoCode = require('../models/promoCode');
+const PricingRule = require('../models/pricingRule');
+const pricingService = require('../services/pricingService');
+const { MAX_SEATS_PER_BOOKING } = require('../services/bookingService');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const created = (res, data) => res.status(201).json(data); // 201 Created with resource
+const badReq = (res, msg, extra = {}) => res.status(400).json({ message: msg, ...extra }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const conflict = (res, msg) => res.status(409).json({ message: msg }); // 409 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// -----------------------------------------------------------------------------
+// Input helpers
+// -----------------------------------------------------------------------------
+
+// Copies the defined keys of `b` listed in `fields`, so partial updates
+// never clear fields that were not sent.
+const pickDefined = (b = {}, fields) => {
+    const out = {};
+    fields.forEach((k) => {
+        if (b[k] !== undefined) out[k] = b[k];
+    });
+    return out;
+};
+
+const PROMO_FIELDS = [
+    'code',
+    'description',
+    'type',
+    'percentOff',
+    'amountOff',
+    'maxRedemptions',
+    'validFrom',
+    'validUntil',
+    'tripCodes',
+    'resorts',
+    'active',
+];
+
+const RULE_FIELDS = [
+    'name',
+    'kind',
+    'percentOff',
+    'minDaysBefore',
+    'maxDaysBefore',
+    'minTravelers',
+    'tripCodes',
+    'resorts',
+    'active',
+];
+
+// Maps a Mongoose ValidationError to { field: message }.
+const validationErrors = (err) => {
+    const errors = {};
+    Object.keys(err.errors || {}).forEach((k) => {
+        errors[k] = err.errors[k].message;
+    });
+    return errors;
+};
+
+// Shared error mapping for promo code and rule writes.
+const writeFailed = (res, err) => {
+    if (err?.code === 11000) return conflict(res, 'Promo code already exists');
+    if (err?.name === 'ValidationError') {
+        return badReq(res, 'Validation failed', { errors: validationErrors(err) });
+    }
+    if (err?.name === 'CastError') return badReq(res, `Invalid value for ${err.path}`);
+    return fail(res, err);
+};
+
+const promoCodeOf = (req) =>
+    String(req.params.code || '')
+        .trim()
+        .toUpperCase();
+
+// -----------------------------------------------------------------------------
+// GET /trips/:tripCode/quote
+// Itemized price for a number of travelers. Query parameters:
+//   - travelers: number of travelers (default 1)
+//   - promo: promo code to apply; an unusable code is reported in `promo`
+//     with its reason instead of failing the quote
+//   - departureId: price a specific departure (its date and price override)
+// -----------------------------------------------------------------------------
+const tripsQuote = async (req, res) => {
+    try {
+        const code = String(req.params.tripCode || '').trim();
+        const trip = await Trip.findOne({ code, deletedAt: null }).lean().exec();
+        if (!trip) return notFound(res, `Trip with code ${code} not found`);
+
+        const travelers = req.query.travelers === undefined ? 1 : Number(req.query.travelers);
+        if (!Number.isInteger(travelers) || travelers < 1 || travelers > MAX_SEATS_PER_BOOKING) {
+            return badReq(
+                res,
+                `Travelers must be an integer between 1 and ${MAX_SEATS_PER_BOOKING}`
+            );
+        }
+
+        let departure = null;
+        if (req.query.departureId !== undefined) {
+            if (ObjectId.isValid(req.query.departureId)) {
+                departure = await Departure.findOne({ _id: req.query.departureId, trip: trip._id })
+                    .lean()
+                    .exec();
+            }
+            if (!departure) return notFound(res, 'Departure not found');
+        }
+
+        const quote = await pricingService.quote({
+            trip,
+            departure,
+            travelers,
+            promoCode: req.query.promo || null,
+        });
+        return ok(res, quote);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /promo-codes
+// Lists promo codes alphabetically. ?active=true limits to active codes.
+// -----------------------------------------------------------------------------
+const promoCodesList = async (req, res) => {
+    try {
+        const filter = String(req.query.active).toLowerCase() === 'true' ? { active: true } : {};
+        const docs = await PromoCode.find(filter).sort({ code: 1 }).lean().exec();
+        const codes = docs.map((d) => PromoCode.present(d));
+        return ok(res, codes);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /promo-codes
+// Creates a promo code. Duplicate codes return 409.
+// -----------------------------------------------------------------------------
+const promoCodesAdd = async (req, res) => {
+    try {
+        const doc = await new PromoCode(pickDefined(req.body, PROMO_FIELDS)).save();
+        return created(res, PromoCode.present(doc.toObject()));
+    } catch (err) {
+        return writeFailed(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// PATCH /promo-codes/:code
+// Updates the fields sent; the code itself cannot be changed and the
+// redemption counter is managed by bookings.
+// -----------------------------------------------------------------------------
+const promoCodesUpdate = async (req, res) => {
+    try {
+        const doc = await PromoCode.findOne({ code: promoCodeOf(req) }).exec();
+        if (!doc) return notFound(res, 'Promo code not found');
+
+        const changes = pickDefined(req.body, PROMO_FIELDS);
+        delete changes.code;
+        doc.set(changes);
+        await doc.save();
+        return ok(res, PromoCode.present(doc.toObject()));
+    } catch (err) {
+        return writeFailed(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /promo-codes/:code
+// Removes a promo code. Bookings keep the code they redeemed; set
+// `active: false` instead to keep the code's history around.
+// -----------------------------------------------------------------------------
+const promoCodesDelete = async (req, res) => {
+    try {
+        const removed = await PromoCode.findOneAndDelete({ code: promoCodeOf(req) })
+            .lean()
+            .exec();
+        if (!removed) return notFound(res, 'Promo code not found');
+        return ok(res, PromoCode.present(removed));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /pricing-rules
+// Lists pricing rules grouped by kind. ?active=true limits to active rules.
+// -----------------------------------------------------------------------------
+const pricingRulesList = async (req, res) => {
+    try {
+        const filter = String(req.query.active).toLowerCase() === 'true' ? { active: true } : {};
+        const rules = await PricingRule.find(filter).sort({ kind: 1, name: 1 }).lean().exec();
+        return ok(res, rules);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /pricing-rules
+// Creates an early_bird, last_minute or group pricing rule.
+// -----------------------------------------------------------------------------
+const pricingRulesAdd = async (req, res) => {
+    try {
+        const doc = await new PricingRule(pickDefined(req.body, RULE_FIELDS)).save();
+        return created(res, doc);
+    } catch (err) {
+        return writeFailed(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// PATCH /pricing-rules/:ruleId
+// Updates the fields sent.
+// -----------------------------------------------------------------------------
+const pricingRulesUpdate = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.ruleId)) return notFound(res, 'Pricing rule not found');
+        const doc = await PricingRule.findById(req.params.ruleId).exec();
+        if (!doc) return notFound(res, 'Pricing rule not found');
+
+        doc.set(pickDefined(req.body, RULE_FIELDS));
+        await doc.save();
+        return ok(res, doc);
+    } catch (err) {
+        return writeFailed(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /pricing-rules/:ruleId
+// Removes a pricing rule; existing bookings keep the price they were quoted.
+// -----------------------------------------------------------------------------
+const pricingRulesDelete = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.ruleId)) return notFound(res, 'Pricing rule not found');
+        const removed = await PricingRule.findByIdAndDelete(req.params.ruleId).lean().exec();
+        if (!removed) return notFound(res, 'Pricing rule not found');
+        return ok(res, removed);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    tripsQuote,
+    promoCodesList,
+    promoCodesAdd,
+    promoCodesUpdate,
+    promoCodesDelete,
+    pricingRulesList,
+    pricingRulesAdd,
+    pricingRulesUpdate,
+    pricingRulesDelete,
+};
@@ -0,0 +1,290 @@
+/* Controller layer for trip reviews.
+ * Responsibilities:
+ *   - Listing a trip's approved reviews with its rating summary (public)
+ *   - Writing, editing and deleting the caller's own review of a trip
+ *   - The admin moderation queue (approve / reject / hide)
+ * Every change that affects approved reviews refreshes the trip's stored
+ * `rating` summary.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const Trip = require('../models/travlr'); // Mongoose model bound to the 'trips' collection
+const Review = require('../models/review'); // Star ratings and texts in 'reviews'
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const created = (res, data) => res.status(201).json(data); // 201 Created with resource
+const badReq = (res, msg, extra = {}) => res.status(400).json({ message: msg, ...extra }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const conflict = (res, msg) => res.status(409).json({ message: msg }); // 409 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// Fields shown on public reviews; author ids and moderation details stay private.
+const PUBLIC_FIELDS = 'tripCode userName rating text createdAt updatedAt';
+
+// Moderation action -> resulting status and the statuses it may be applied to
+const MODERATION_ACTIONS = {
+    approve: { to: 'approved', from: ['pending', 'rejected', 'hidden'] },
+    reject: { to: 'rejected', from: ['pending'] },
+    hide: { to: 'hidden', from: ['approved'] },
+};
+
+// -----------------------------------------------------------------------------
+// Input helpers
+// -----------------------------------------------------------------------------
+
+// Loads the active trip addressed by :tripCode, or null.
+const findTrip = (req) => {
+    const code = String(req.params.tripCode || '').trim();
+    return Trip.findOne({ code, deletedAt: null }).select('_id code rating').lean().exec();
+};
+
+// Validates { rating, text } from a review payload.
+const readReviewBody = (b = {}) => {
+    const rating = Number(b.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        return { ok: false, reason: 'Rating must be a whole number from 1 to 5' };
+    }
+    const text = typeof b.text === 'string' ? b.text.trim() : '';
+    if (!text) return { ok: false, reason: 'Review text required' };
+    return { ok: true, body: { rating, text } };
+};
+
+// Maps a Mongoose ValidationError to { field: message }.
+const validationErrors = (err) => {
+    const errors = {};
+    Object.keys(err.errors || {}).forEach((k) => {
+        errors[k] = err.errors[k].message;
+    });
+    return errors;
+};
+
+// -----------------------------------------------------------------------------
+// GET /trips/:tripCode/reviews
+// Approved reviews, newest first, with the trip's rating summary.
+// Query parameters: limit (1..100, default 20), page (1-based, default 1).
+// -----------------------------------------------------------------------------
+const reviewsList = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const limitRaw = parseInt(req.query.limit, 10);
+        const limit = Number.isNaN(limitRaw) ? 20 : Math.min(Math.max(limitRaw, 1), 100);
+        const pageRaw = parseInt(req.query.page, 10);
+        const page = Number.isNaN(pageRaw) ? 1 : Math.max(pageRaw, 1);
+
+        const reviews = await Review.find({ trip: trip._id, status: 'approved' })
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .select(PUBLIC_FIELDS)
+            .lean()
+            .exec();
+
+        return ok(res, {
+            rating: trip.rating || { average: null, count: 0 },
+            page,
+            reviews,
+        });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /trips/:tripCode/reviews/mine
+// The caller's review of the trip, including its moderation status.
+// -----------------------------------------------------------------------------
+const reviewsFindMine = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const review = await Review.findOne({ trip: trip._id, user: req.auth._id }).lean().exec();
+        if (!review) return notFound(res, 'You have not reviewed this trip');
+        return ok(res, review);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /trips/:tripCode/reviews
+// Body: { rating, text }. One review per user and trip (409 otherwise). The
+// review is public once a moderator approves it.
+// -----------------------------------------------------------------------------
+const reviewsAdd = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const v = readReviewBody(req.body);
+        if (!v.ok) return badReq(res, v.reason);
+
+        const doc = await new Review({
+            ...v.body,
+            trip: trip._id,
+            tripCode: trip.code,
+            user: req.auth._id,
+            userName: req.auth.name || '',
+        }).save();
+        return created(res, doc);
+    } catch (err) {
+        if (err?.code === 11000) return conflict(res, 'You have already reviewed this trip');
+        if (err?.name === 'ValidationError') {
+            return badReq(res, 'Validation failed', { errors: validationErrors(err) });
+        }
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// PUT /trips/:tripCode/reviews/mine
+// Body: { rating, text }. Replaces the caller's review, which goes back to
+// the moderation queue.
+// -----------------------------------------------------------------------------
+const reviewsUpdateMine = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const v = readReviewBody(req.body);
+        if (!v.ok) return badReq(res, v.reason);
+
+        const previous = await Review.findOneAndUpdate(
+            { trip: trip._id, user: req.auth._id },
+            {
+                ...v.body,
+                status: 'pending',
+                moderatedBy: null,
+                moderatedAt: null,
+                moderationNote: null,
+            },
+            { runValidators: true }
+        )
+            .lean()
+            .exec();
+        if (!previous) return notFound(res, 'You have not reviewed this trip');
+
+        if (previous.status === 'approved') await Review.refreshTripRating(trip._id);
+        const updated = await Review.findById(previous._id).lean().exec();
+        return ok(res, updated);
+    } catch (err) {
+        if (err?.name === 'ValidationError') {
+            return badReq(res, 'Validation failed', { errors: validationErrors(err) });
+        }
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /trips/:tripCode/reviews/mine
+// Deletes the caller's review of the trip.
+// -----------------------------------------------------------------------------
+const reviewsDeleteMine = async (req, res) => {
+    try {
+        const trip = await findTrip(req);
+        if (!trip) return notFound(res, `Trip with code ${req.params.tripCode} not found`);
+
+        const removed = await Review.findOneAndDelete({ trip: trip._id, user: req.auth._id })
+            .lean()
+            .exec();
+        if (!removed) return notFound(res, 'You have not reviewed this trip');
+
+        if (removed.status === 'approved') await Review.refreshTripRating(trip._id);
+        return ok(res, removed);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /reviews/moderation
+// Admin moderation queue, oldest first. Query parameters:
+//   - status: pending (default) | approved | rejected | hidden
+//   - tripCode: only reviews of this trip
+//   - limit: page size (1..100, default 50)
+// -----------------------------------------------------------------------------
+const reviewsModerationQueue = async (req, res) => {
+    try {
+        const status = req.query.status === undefined ? 'pending' : String(req.query.status);
+        if (!Review.STATUSES.includes(status)) {
+            return badReq(res, `Status must be one of: ${Review.STATUSES.join(', ')}`);
+        }
+        const filter = { status };
+        if (req.query.tripCode) filter.tripCode = String(req.query.tripCode).trim();
+
+        const limitRaw = parseInt(req.query.limit, 10);
+        const limit = Number.isNaN(limitRaw) ? 50 : Math.min(Math.max(limitRaw, 1), 100);
+
+        const reviews = await Review.find(filter)
+            .sort({ createdAt: 1, _id: 1 })
+            .limit(limit)
+            .lean()
+            .exec();
+        return ok(res, reviews);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /reviews/:reviewId/moderate
+// Body: { action: approve | reject | hide, note? }. Approve publishes a
+// pending, rejected or hidden review; reject declines a pending one; hide
+// takes an approved review down. Invalid transitions return 409.
+// -----------------------------------------------------------------------------
+const reviewsModerate = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.reviewId)) return notFound(res, 'Review not found');
+
+        const action = MODERATION_ACTIONS[req.body?.action];
+        if (!action) {
+            return badReq(
+                res,
+                `Action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`
+            );
+        }
+
+        const previous = await Review.findOneAndUpdate(
+            { _id: req.params.reviewId, status: { $in: action.from } },
+            {
+                status: action.to,
+                moderatedBy: req.auth._id,
+                moderatedAt: new Date(),
+                moderationNote: req.body.note ? String(req.body.note) : null,
+            }
+        )
+            .lean()
+            .exec();
+
+        if (!previous) {
+            const existing = await Review.findById(req.params.reviewId).lean().exec();
+            if (!existing) return notFound(res, 'Review not found');
+            return conflict(res, `Cannot ${req.body.action} a review that is ${existing.status}`);
+        }
+
+        if (previous.status === 'approved' || action.to === 'approved') {
+            await Review.refreshTripRating(previous.trip);
+        }
+        const updated = await Review.findById(previous._id).lean().exec();
+        return ok(res, updated);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    reviewsList,
+    reviewsFindMine,
+    reviewsAdd,
+    reviewsUpdateMine,
+    reviewsDeleteMine,
+    reviewsModerationQueue,
+    reviewsModerate,
+};
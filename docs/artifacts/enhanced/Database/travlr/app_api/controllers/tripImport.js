@@ -0,0 +1,213 @@
+/* Controller layer for bulk Trip imports.
+ * Responsibilities:
+ *   - Reading CSV or JSON payloads into candidate trip rows
+ *   - Validating every row against the Trip schema before anything is written
+ *   - Planning creates/updates/deletes per import mode and reporting per row
+ *   - Applying the plan (unless dryRun) with revision bookkeeping
+ */
+
+const Trip = require('../models/travlr'); // Mongoose model bound to the 'trips' collection
+const TripRevision = require('../models/tripRevision'); // Change history in 'trip_revisions'
+const wishlistService = require('../services/wishlistService');
+const { pickTripFields, TRIP_FIELDS } = require('../utils/tripFields'); // Mass-assignment whitelist
+const { parseCsv } = require('../utils/csv');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const unprocessable = (res, msg, extra = {}) => res.status(422).json({ message: msg, ...extra }); // 422 with report
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// -----------------------------------------------------------------------------
+// Import modes
+//   - insert:  create new trips only; existing codes are conflicts
+//   - upsert:  create new trips and update existing ones by `code`
+//   - replace: upsert, then soft-delete active trips missing from the import
+// -----------------------------------------------------------------------------
+const IMPORT_MODES = ['insert', 'upsert', 'replace'];
+const ACTIONS = ['create', 'update', 'unchanged', 'delete', 'conflict', 'invalid', 'failed'];
+
+// Reads the request body into { row, values } entries (CSV or JSON).
+const readEntries = (req) => {
+    if (req.is('text/csv') || req.is('application/csv')) {
+        if (typeof req.body !== 'string') return { ok: false, reason: 'CSV body required' };
+        const parsed = parseCsv(req.body);
+        if (!parsed.ok) return parsed;
+
+        // An optional `currency` column pairs with the `perPerson` amount column.
+        parsed.entries.forEach(({ values }) => {
+            if (values.currency) {
+                values.perPerson = { amount: values.perPerson, currency: values.currency };
+            }
+        });
+        return parsed;
+    }
+
+    const b = req.body;
+    const rows = Array.isArray(b) ? b : b && Array.isArray(b.trips) ? b.trips : null;
+    if (!rows) return { ok: false, reason: 'Expected a JSON array of trips or { trips: [...] }' };
+    return { ok: true, entries: rows.map((values, i) => ({ row: i + 1, values: values || {} })) };
+};
+
+// Maps a Mongoose ValidationError to { field: message }.
+const validationErrors = (err) => {
+    const errors = {};
+    Object.keys(err.errors || {}).forEach((k) => {
+        errors[k] = err.errors[k].message;
+    });
+    return errors;
+};
+
+// Names of whitelisted fields whose stored and candidate values differ.
+const changedFields = (previous, candidate) => {
+    const before = pickTripFields(previous);
+    const after = pickTripFields(candidate.toObject());
+    return TRIP_FIELDS.filter((k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+};
+
+// -----------------------------------------------------------------------------
+// Planning: validates every row and decides what would happen to it.
+// Plan items carry the candidate document and previous version internally;
+// those are stripped before the report is returned.
+// -----------------------------------------------------------------------------
+const planImport = async (entries, mode) => {
+    const codes = entries.map((e) => String(e.values.code || '').trim()).filter(Boolean);
+    const existing = await Trip.find({ code: { $in: codes } })
+        .lean()
+        .exec();
+    const byCode = new Map(existing.map((d) => [d.code, d]));
+    const seen = new Set();
+
+    const plan = entries.map(({ row, values }) => {
+        const candidate = new Trip(pickTripFields(values));
+        const code = candidate.code || null;
+
+        const err = candidate.validateSync();
+        if (err) return { row, code, action: 'invalid', errors: validationErrors(err) };
+
+        if (seen.has(code)) {
+            return { row, code, action: 'conflict', reason: 'Duplicate code earlier in import' };
+        }
+        seen.add(code);
+
+        const previous = byCode.get(code);
+        if (!previous) return { row, code, action: 'create', doc: candidate };
+        if (previous.deletedAt) {
+            return { row, code, action: 'conflict', reason: 'Trip is deleted; restore it first' };
+        }
+        if (mode === 'insert') {
+            return { row, code, action: 'conflict', reason: 'Trip code already exists' };
+        }
+
+        const fields = changedFields(previous, candidate);
+        if (!fields.length) return { row, code, action: 'unchanged' };
+        return { row, code, action: 'update', fields, doc: candidate, previous };
+    });
+
+    if (mode === 'replace') {
+        const stale = await Trip.find({ deletedAt: null, code: { $nin: [...seen] } })
+            .lean()
+            .exec();
+        stale.forEach((d) => plan.push({ row: null, code: d.code, action: 'delete', previous: d }));
+    }
+
+    return plan;
+};
+
+// -----------------------------------------------------------------------------
+// Applying: writes each planned change and records a revision for it.
+// A failing row is reported as `failed` without stopping the remaining rows.
+// -----------------------------------------------------------------------------
+const applyItem = async (item, auth) => {
+    if (item.action === 'create') {
+        const saved = await item.doc.save();
+        await TripRevision.record(saved, null, { action: 'create', auth });
+        return;
+    }
+
+    if (item.action === 'update') {
+        const body = pickTripFields(item.doc.toObject());
+        delete body.code;
+        const updated = await Trip.findOneAndUpdate(
+            { _id: item.previous._id, deletedAt: null },
+            body,
+            { new: true, runValidators: true }
+        ).exec();
+        if (!updated) throw new Error('Trip changed or was deleted during import');
+        await TripRevision.record(updated, item.previous, { action: 'update', auth });
+        wishlistService.notifyPriceDrop(item.previous, updated).catch(() => {});
+        return;
+    }
+
+    if (item.action === 'delete') {
+        const deleted = await Trip.findOneAndUpdate(
+            { _id: item.previous._id, deletedAt: null },
+            { deletedAt: new Date(), deletedBy: auth?._id || null },
+            { new: true }
+        ).exec();
+        if (deleted) await TripRevision.record(deleted, item.previous, { action: 'delete', auth });
+    }
+};
+
+const applyPlan = async (plan, auth) => {
+    for (const item of plan) {
+        try {
+            await applyItem(item, auth);
+        } catch (err) {
+            item.action = 'failed';
+            item.reason = err.message;
+        }
+    }
+};
+
+// Shapes the public report: per-row outcomes plus a count per action.
+const buildReport = (plan, mode, dryRun) => {
+    const summary = Object.fromEntries(ACTIONS.map((a) => [a, 0]));
+    const rows = plan.map(({ doc, previous, ...rest }) => {
+        summary[rest.action] += 1;
+        return rest;
+    });
+    return { mode, dryRun, summary, rows };
+};
+
+// -----------------------------------------------------------------------------
+// POST /trips/import
+// Bulk-loads trips from CSV (text/csv, header row required) or JSON (array or
+// { trips: [...] }). Query parameters:
+//   - mode: insert (default) | upsert | replace
+//   - dryRun: when "true", only the per-row report is returned
+// Imports are all-or-nothing with respect to validation: if any row is
+// invalid or conflicting, nothing is written and 422 carries the report.
+// -----------------------------------------------------------------------------
+const tripsImport = async (req, res) => {
+    try {
+        const mode = String(req.query.mode || 'insert').toLowerCase();
+        if (!IMPORT_MODES.includes(mode)) {
+            return badReq(res, `Invalid mode; expected one of ${IMPORT_MODES.join(', ')}`);
+        }
+        const dryRun = String(req.query.dryRun).toLowerCase() === 'true';
+
+        const input = readEntries(req);
+        if (!input.ok) return badReq(res, input.reason);
+        if (!input.entries.length) return badReq(res, 'No rows to import');
+
+        const plan = await planImport(input.entries, mode);
+        const preview = buildReport(plan, mode, dryRun);
+        if (dryRun) return ok(res, preview);
+
+        if (preview.summary.invalid || preview.summary.conflict) {
+            return unprocessable(res, 'Import rejected; no trips were written', preview);
+        }
+
+        await applyPlan(plan, req.auth);
+        return ok(res, buildReport(plan, mode, dryRun));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    tripsImport,
+};
@@ -0,0 +1,77 @@
+/* Controller layer for Trip revision history.
+ * Responsibilities:
+ *   - Listing the recorded revisions of a trip
+ *   - Returning a single revision including its full snapshot
+ * Reverting to a revision lives in controllers/trips.js so it can share
+ * the PUT validation path.
+ */
+
+const Trip = require('../models/travlr'); // Mongoose model bound to the 'trips' collection
+const TripRevision = require('../models/tripRevision'); // Change history in 'trip_revisions'
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// Id of the trip currently holding `code`, soft-deleted or not, or null.
+const tripIdFor = async (code) => {
+    const trip = await Trip.findOne({ code }).select('_id').lean().exec();
+    return trip?._id || null;
+};
+
+// -----------------------------------------------------------------------------
+// GET /trips/:tripCode/revisions
+// Lists revisions newest first. Snapshots are omitted to keep the payload
+// small; fetch a single revision for the full document.
+// -----------------------------------------------------------------------------
+const revisionsList = async (req, res) => {
+    try {
+        const code = String(req.params.tripCode || '').trim();
+        if (!code) return badReq(res, 'Trip code required');
+
+        const trip = await tripIdFor(code);
+        if (!trip) return notFound(res, `No revisions found for trip ${code}`);
+
+        const docs = await TripRevision.find({ trip })
+            .sort({ n: -1 })
+            .select('-snapshot')
+            .lean()
+            .exec();
+        if (!docs.length) return notFound(res, `No revisions found for trip ${code}`);
+
+        return ok(res, docs);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /trips/:tripCode/revisions/:n
+// Returns revision `n` of a trip, including the snapshot taken at that point.
+// -----------------------------------------------------------------------------
+const revisionsFindOne = async (req, res) => {
+    try {
+        const code = String(req.params.tripCode || '').trim();
+        if (!code) return badReq(res, 'Trip code required');
+
+        const n = parseInt(req.params.n, 10);
+        if (Number.isNaN(n) || n < 1) return badReq(res, 'Invalid revision number');
+
+        const trip = await tripIdFor(code);
+        const doc = trip ? await TripRevision.findOne({ trip, n }).lean().exec() : null;
+        if (!doc) return notFound(res, `Revision ${n} of trip ${code} not found`);
+
+        return ok(res, doc);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    revisionsList,
+    revisionsFindOne,
+};
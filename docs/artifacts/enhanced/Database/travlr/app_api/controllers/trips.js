@@ -5,10 +5,22 @@
  *   - Returning consistent HTTP status codes and JSON payloads
  */
 
+const crypto = require('crypto');
 const {
-    Types: { ObjectId },
+    Types: { ObjectId, Decimal128 },
 } = require('mongoose');
 const Trip = require('../models/travlr'); // Mongoose model bound to the 'trips' collection
+const TripRevision = require('../models/tripRevision'); // Change history in 'trip_revisions'
+const Departure = require('../models/departure'); // Dated seat inventory in 'departures'
+const wishlistService = require('../services/wishlistService');
+const { can, forbiddenTripFields } = require('../config/roles');
+const { isPlainObject, mergePatch, applyJsonPatch } = require('../utils/patch');
+const { pickTripFields, TRIP_FIELDS } = require('../utils/tripFields'); // Mass-assignment whitelist
+const { formatCsvRow } = require('../utils/csv');
+const { DEFAULT_CURRENCY, toPrice, plainPrice, resolveLocale } = require('../utils/money');
+const ics = require('../utils/ics');
+const { toDuration, formatDuration } = require('../utils/duration');
+const { toPolicy, formatPolicy } = require('../utils/cancellationPolicy');
 
 // -----------------------------------------------------------------------------
 // Small response helpers to keep status-code usage consistent across actions.
@@ -16,32 +28,21 @@ const Trip = require('../models/travlr'); // Mongoose model bound to the 'trips'
 const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
 const created = (res, data) => res.status(201).json(data); // 201 Created with resource
 const badReq = (res, msg, extra = {}) => res.status(400).json({ message: msg, ...extra }); // 400 with reason
+const forbidden = (res, msg) => res.status(403).json({ message: msg }); // 403 with reason
 const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const preconditionFailed = (res, msg) => res.status(412).json({ message: msg }); // 412 with reason
 const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
 
-// -----------------------------------------------------------------------------
-// Field whitelist to prevent mass-assignment
-// -----------------------------------------------------------------------------
-const pickTripFields = (b = {}) => ({
-    code: b.code,
-    name: b.name,
-    length: b.length,
-    start: b.start, // Date-compatible value; parsed in validation
-    resort: b.resort,
-    perPerson: b.perPerson,
-    image: b.image,
-    description: b.description,
-});
-
 // -----------------------------------------------------------------------------
 // Minimal synchronous validation for required fields and date coercion.
-// Ensures required keys are present and that `start` is a valid date.
+// Ensures required keys are present, that `start` is a valid date and that
+// `duration` (already normalized by pickTripFields) could be parsed.
 // -----------------------------------------------------------------------------
 const validateTripBody = (b = {}) => {
     const required = [
         'code',
         'name',
-        'length',
+        'duration',
         'start',
         'resort',
         'perPerson',
@@ -56,9 +57,134 @@ const validateTripBody = (b = {}) => {
     if (Number.isNaN(d.getTime())) {
         return { ok: false, reason: 'Invalid start date' };
     }
+    if (typeof b.duration !== 'object') {
+        return { ok: false, reason: 'Invalid trip duration' };
+    }
     return { ok: true };
 };
 
+// -----------------------------------------------------------------------------
+// Soft-delete scoping. Reads only see active trips unless a caller holding
+// trips:read:deleted passes `includeDeleted=true`; req.auth is populated by
+// the optional JWT middleware.
+// -----------------------------------------------------------------------------
+const wantsDeleted = (req) => String(req.query?.includeDeleted).toLowerCase() === 'true';
+const canSeeDeleted = (req) => can(req.auth?.role, 'trips:read:deleted');
+const activeScope = (includeDeleted) => (includeDeleted ? {} : { deletedAt: null });
+
+// -----------------------------------------------------------------------------
+// Response shaping. Trips are presented by Trip.present with a `priceFormatted`
+// string in the caller's locale (`locale` query parameter, else
+// Accept-Language).
+// -----------------------------------------------------------------------------
+const requestLocale = (req) => resolveLocale([req.query?.locale, ...req.acceptsLanguages()]);
+
+// Listings requested with a valid JWT flag the caller's wishlisted trips with
+// `saved`; anonymous listings carry no flag. The flags are part of the ETag.
+const savedTripIds = async (req, docs) => {
+    if (!req.auth) return null;
+    return wishlistService.savedTripIds(
+        req.auth._id,
+        docs.map((d) => d._id)
+    );
+};
+
+const withSaved = (trip, saved) => (saved ? { ...trip, saved: saved.has(String(trip._id)) } : trip);
+
+const savedVersion = (saved) => (saved ? `saved:${[...saved].sort().join(',')}` : '');
+
+// -----------------------------------------------------------------------------
+// Field-level write checks. Roles without trips:write may only change the
+// fields their narrower permissions cover (config/roles); writes touching any
+// other field are refused as a whole with 403 and the offending fields.
+// -----------------------------------------------------------------------------
+
+// Whitelisted fields a full update would change, compared after schema casting.
+// Undefined body fields are left alone by the update, so they are skipped here.
+const changedTripFields = (previous, body) => {
+    const given = Object.entries(body).filter(([, v]) => v !== undefined);
+    const before = pickTripFields(previous);
+    const after = pickTripFields(
+        new Trip({ ...previous, ...Object.fromEntries(given) }).toObject()
+    );
+    return TRIP_FIELDS.filter((k) => JSON.stringify(before[k]) !== JSON.stringify(after[k]));
+};
+
+// Sends 403 when the caller may not change one of `fields`; returns true if sent.
+const refuseForbiddenFields = (req, res, fields) => {
+    const denied = forbiddenTripFields(req.auth?.role, fields);
+    if (!denied.length) return false;
+    res.status(403).json({ message: 'Not allowed to change these fields', fields: denied });
+    return true;
+};
+
+// JSON form of the whitelisted fields, as seen by patch documents.
+const plainTrip = (doc) =>
+    JSON.parse(JSON.stringify({ ...pickTripFields(doc), perPerson: plainPrice(doc.perPerson) }));
+
+// -----------------------------------------------------------------------------
+// Conditional request helpers (ETag / If-None-Match / If-Match).
+// A trip's version is its _id plus `updatedAt`, which Mongoose bumps on every
+// save and findOneAndUpdate. Collection ETags hash the versions of every
+// document in the response, so any change to the page yields a new tag.
+// `priceFormatted` depends on the locale, so read responses also hash the
+// resolved locale and vary on Accept-Language.
+// -----------------------------------------------------------------------------
+const tripVersion = (doc) => `${doc._id}:${new Date(doc.updatedAt || 0).getTime()}`;
+
+const etagFor = (docs, extra = '') => {
+    const digest = crypto
+        .createHash('sha1')
+        .update(docs.map(tripVersion).join('|'))
+        .update(String(extra))
+        .digest('base64url');
+    return `"${digest}"`;
+};
+
+// True when a comma-separated If-Match / If-None-Match header lists `etag`.
+// Weak validators compare equal to their strong form; `*` matches any tag.
+const etagMatches = (header, etag) => {
+    if (!header) return false;
+    return String(header)
+        .split(',')
+        .map((t) => t.trim().replace(/^W\//, ''))
+        .some((t) => t === '*' || t === etag);
+};
+
+// True when the client sent If-Match and it no longer matches `previous`.
+// Reads tag the trip together with the response locale, write responses
+// without one; either form of the current version is accepted.
+const staleVersion = (req, previous) => {
+    const ifMatch = req.headers['if-match'];
+    if (!ifMatch) return false;
+    return (
+        !etagMatches(ifMatch, etagFor([previous])) &&
+        !etagMatches(ifMatch, etagFor([previous], requestLocale(req)))
+    );
+};
+
+// Write filter for `previous`; pinned to its `updatedAt` under If-Match so a
+// concurrent write between read and update is detected instead of overwritten.
+const writeFilter = (req, previous) => {
+    const filter = { _id: previous._id, deletedAt: null };
+    if (req.headers['if-match']) filter.updatedAt = previous.updatedAt;
+    return filter;
+};
+
+// Response for a conditional write that matched no document.
+const staleOrMissing = (req, res, code) =>
+    req.headers['if-match']
+        ? preconditionFailed(res, 'Trip has been modified since it was retrieved')
+        : notFound(res, `Trip with code ${code} not found`);
+
+// Sets the ETag header and answers 304 when the client copy is current.
+const notModified = (req, res, etag) => {
+    res.set('ETag', etag);
+    if (!etagMatches(req.headers['if-none-match'], etag)) return false;
+    res.status(304).end();
+    return true;
+};
+
 // -----------------------------------------------------------------------------
 // Filter + cursor helpers used by the paginated search endpoint.
 // -----------------------------------------------------------------------------
@@ -67,9 +193,17 @@ const validateTripBody = (b = {}) => {
  * Supported filters:
  *   - resort: case-insensitive partial match
  *   - startFrom / startTo: inclusive date range on `start`
+ *   - minPrice / maxPrice: inclusive per-person price range
+ *   - minNights / maxNights: inclusive range on `duration.nights`
+ *   - runningFrom / runningTo: trips overlapping the window, i.e. starting on
+ *     or before `runningTo` and ending on or after `runningFrom`
+ *   - currency: ISO 4217 code; price ranges default to DEFAULT_CURRENCY so the
+ *     query can use the { currency, amount } index
+ *   - minRating: minimum average review rating (1-5); unrated trips are excluded
+ *   - includeDeleted: keep soft-deleted trips in the result set
  */
 const buildTripQuery = (filters = {}) => {
-    const query = {};
+    const query = activeScope(filters.includeDeleted);
 
     if (filters.resort) {
         query.resort = { $regex: new RegExp(String(filters.resort).trim(), 'i') };
@@ -88,9 +222,71 @@ const buildTripQuery = (filters = {}) => {
         query.start = range;
     }
 
+    const nights = {};
+    const minNights = parseInt(filters.minNights, 10);
+    const maxNights = parseInt(filters.maxNights, 10);
+    if (!Number.isNaN(minNights)) nights.$gte = minNights;
+    if (!Number.isNaN(maxNights)) nights.$lte = maxNights;
+    if (Object.keys(nights).length) {
+        query['duration.nights'] = nights;
+    }
+
+    // Overlap conditions go through $and so they combine with the start range.
+    const overlap = [];
+    if (filters.runningFrom) {
+        const from = new Date(filters.runningFrom);
+        if (!Number.isNaN(from.getTime())) overlap.push({ end: { $gte: from } });
+    }
+    if (filters.runningTo) {
+        const to = new Date(filters.runningTo);
+        if (!Number.isNaN(to.getTime())) overlap.push({ start: { $lte: to } });
+    }
+    if (overlap.length) {
+        query.$and = overlap;
+    }
+
+    const price = {};
+    const isAmount = (v) => /^\d+(\.\d+)?$/.test(String(v).trim());
+    if (filters.minPrice !== undefined && isAmount(filters.minPrice)) {
+        price.$gte = Decimal128.fromString(String(filters.minPrice).trim());
+    }
+    if (filters.maxPrice !== undefined && isAmount(filters.maxPrice)) {
+        price.$lte = Decimal128.fromString(String(filters.maxPrice).trim());
+    }
+    const currency = String(filters.currency || '')
+        .trim()
+        .toUpperCase();
+    if (Object.keys(price).length) {
+        query['perPerson.currency'] = currency || DEFAULT_CURRENCY;
+        query['perPerson.amount'] = price;
+    } else if (currency) {
+        query['perPerson.currency'] = currency;
+    }
+
+    const minRating = Number(filters.minRating);
+    if (filters.minRating !== undefined && filters.minRating !== '' && !Number.isNaN(minRating)) {
+        query['rating.average'] = { $gte: minRating };
+    }
+
     return query;
 };
 
+// Filter parameters understood by buildTripQuery, copied from a query string.
+const FILTER_PARAMS = [
+    'resort',
+    'startFrom',
+    'startTo',
+    'minNights',
+    'maxNights',
+    'runningFrom',
+    'runningTo',
+    'minPrice',
+    'maxPrice',
+    'currency',
+    'minRating',
+];
+const pickFilters = (q = {}) => Object.fromEntries(FILTER_PARAMS.map((k) => [k, q[k]]));
+
 /* Encodes and decodes cursor tokens based on the MongoDB ObjectId.
  * The cursor is a base64url representation of the last document's _id.
  */
@@ -106,15 +302,128 @@ const decodeCursor = (cursor) => {
     }
 };
 
+/* Cursor tokens for departure-ordered search pages encode the sort key of
+ * the last row: its next departure date and trip _id.
+ */
+const encodeDepartureCursor = (date, id) =>
+    Buffer.from(`${new Date(date).getTime()}:${id}`, 'utf8').toString('base64url');
+
+const decodeDepartureCursor = (cursor) => {
+    try {
+        const [ms, raw] = Buffer.from(String(cursor), 'base64url').toString('utf8').split(':');
+        const date = new Date(Number(ms));
+        if (Number.isNaN(date.getTime()) || !ObjectId.isValid(raw)) return null;
+        return { date, id: new ObjectId(raw) };
+    } catch {
+        return null;
+    }
+};
+
+/* Cursor tokens for rating-ordered search pages encode the last row's
+ * average rating (empty when unrated) and trip _id.
+ */
+const encodeRatingCursor = (average, id) =>
+    Buffer.from(`${average ?? ''}:${id}`, 'utf8').toString('base64url');
+
+const decodeRatingCursor = (cursor) => {
+    try {
+        const [avg, raw] = Buffer.from(String(cursor), 'base64url').toString('utf8').split(':');
+        const average = avg === '' ? null : Number(avg);
+        if (Number.isNaN(average) || !ObjectId.isValid(raw)) return null;
+        return { average, id: new ObjectId(raw) };
+    } catch {
+        return null;
+    }
+};
+
+/* Query condition for rows after `after` in rating order: average rating
+ * descending with unrated trips last, then _id ascending.
+ */
+const afterRating = ({ average, id }) => {
+    if (average === null) return { 'rating.average': null, _id: { $gt: id } };
+    return {
+        $or: [
+            { 'rating.average': { $lt: average } },
+            { 'rating.average': null },
+            { 'rating.average': average, _id: { $gt: id } },
+        ],
+    };
+};
+
+// -----------------------------------------------------------------------------
+// Departure helpers for search. A departure window narrows results to trips
+// with a bookable departure in [departFrom, departTo]; without one, the next
+// bookable departure from today onward is reported.
+// -----------------------------------------------------------------------------
+const departureWindow = (q = {}) => {
+    const from = new Date(q.departFrom);
+    const to = new Date(q.departTo);
+    const window = {};
+    if (q.departFrom && !Number.isNaN(from.getTime())) window.from = from;
+    if (q.departTo && !Number.isNaN(to.getTime())) window.to = to;
+    return window;
+};
+
+/* Trips matching `query`, ordered by their next bookable departure in the
+ * window. Departures are grouped per trip first, then joined to trips so the
+ * trip filters and the page limit apply together.
+ */
+const searchByDeparture = async (query, window, after, limit) => {
+    const pipeline = [
+        { $match: Departure.windowMatch(window) },
+        { $sort: { date: 1 } },
+        { $group: { _id: '$trip', next: { $first: '$$ROOT' } } },
+    ];
+    if (after) {
+        pipeline.push({
+            $match: {
+                $or: [
+                    { 'next.date': { $gt: after.date } },
+                    { 'next.date': after.date, _id: { $gt: after.id } },
+                ],
+            },
+        });
+    }
+    pipeline.push(
+        {
+            $lookup: {
+                from: Trip.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                pipeline: [{ $match: query }],
+                as: 'trip',
+            },
+        },
+        { $unwind: '$trip' },
+        { $sort: { 'next.date': 1, _id: 1 } },
+        { $limit: limit + 1 }
+    );
+
+    const rows = await Departure.aggregate(pipeline);
+    return rows.map((r) => ({ ...r.trip, nextDeparture: r.next }));
+};
+
 // -----------------------------------------------------------------------------
 // GET /trips
 // Returns all trips as plain JavaScript objects. An empty array is returned
 // when no documents exist. Uses lean() for reduced overhead and faster reads.
+// Authenticated callers get a `saved` flag on each trip.
 // -----------------------------------------------------------------------------
-const tripsList = async (_req, res) => {
+const tripsList = async (req, res) => {
     try {
-        const docs = await Trip.find({}).lean().exec();
-        return ok(res, docs || []);
+        const includeDeleted = wantsDeleted(req);
+        if (includeDeleted && !canSeeDeleted(req))
+            return forbidden(res, 'Insufficient permissions');
+
+        const docs = (await Trip.find(activeScope(includeDeleted)).lean().exec()) || [];
+        const saved = await savedTripIds(req, docs);
+        const locale = requestLocale(req);
+        res.vary('Authorization');
+        res.vary('Accept-Language');
+        if (notModified(req, res, etagFor(docs, `${locale}|${savedVersion(saved)}`))) return res;
+
+        const trips = docs.map((d) => withSaved(Trip.present(d, locale), saved));
+        return ok(res, trips);
     } catch (err) {
         return fail(res, err);
     }
@@ -126,43 +435,202 @@ const tripsList = async (_req, res) => {
 // Query parameters:
 //   - resort: optional substring match on resort name
 //   - startFrom / startTo: optional ISO date range on `start`
+//   - minPrice / maxPrice / currency: optional per-person price range
+//   - minNights / maxNights: optional range on the number of nights
+//   - runningFrom / runningTo: optional window the trip must overlap
+//   - departFrom / departTo: optional window for a bookable departure
+//   - minRating: optional minimum average review rating
+//   - sort: "departure" orders by next departure date, "rating" by average
+//     review rating, best first (default: _id)
 //   - limit: maximum number of records per page (1..50, default 5)
 //   - cursor: opaque pagination token from previous response
+//   - includeDeleted: trips:read:deleted flag to include soft-deleted trips
+// Each trip carries `nextDeparture`: its earliest bookable departure in the
+// window, or null, and for authenticated callers a `saved` flag.
 // -----------------------------------------------------------------------------
 const tripsSearchPaginated = async (req, res) => {
     try {
-        const { resort, startFrom, startTo, cursor } = req.query;
+        const { cursor } = req.query;
+
+        const includeDeleted = wantsDeleted(req);
+        if (includeDeleted && !canSeeDeleted(req))
+            return forbidden(res, 'Insufficient permissions');
 
         const limitRaw = parseInt(req.query.limit, 10);
         const limit = Number.isNaN(limitRaw) ? 5 : Math.min(Math.max(limitRaw, 1), 50);
 
-        const query = buildTripQuery({ resort, startFrom, startTo });
+        const query = buildTripQuery({ ...pickFilters(req.query), includeDeleted });
+        const window = departureWindow(req.query);
+        const sort = String(req.query.sort).toLowerCase();
+        const byDeparture = sort === 'departure';
+        const byRating = sort === 'rating';
 
-        let cursorId = null;
-        if (cursor) {
-            cursorId = decodeCursor(cursor);
-            if (!cursorId) {
-                return badReq(res, 'Invalid cursor token');
+        let docs;
+        let nextCursor = null;
+        if (byDeparture) {
+            const after = cursor ? decodeDepartureCursor(cursor) : null;
+            if (cursor && !after) return badReq(res, 'Invalid cursor token');
+
+            docs = await searchByDeparture(query, window, after, limit);
+            if (docs.length > limit) {
+                const lastVisible = docs[limit - 1];
+                nextCursor = encodeDepartureCursor(lastVisible.nextDeparture.date, lastVisible._id);
+                docs.length = limit;
+            }
+        } else {
+            if (window.from || window.to) {
+                const tripIds = await Departure.distinct('trip', Departure.windowMatch(window));
+                query._id = { $in: tripIds };
             }
-            query._id = { $gt: cursorId };
-        }
 
-        const docs = await Trip.find(query)
-            .sort({ _id: 1 })
-            .limit(limit + 1)
-            .lean()
-            .exec();
+            if (byRating && cursor) {
+                const after = decodeRatingCursor(cursor);
+                if (!after) return badReq(res, 'Invalid cursor token');
+                query.$and = [...(query.$and || []), afterRating(after)];
+            } else if (cursor) {
+                const cursorId = decodeCursor(cursor);
+                if (!cursorId) {
+                    return badReq(res, 'Invalid cursor token');
+                }
+                query._id = { ...query._id, $gt: cursorId };
+            }
 
-        let nextCursor = null;
-        if (docs.length > limit) {
-            const lastVisible = docs[limit - 1];
-            nextCursor = encodeCursor(lastVisible._id);
-            docs.length = limit;
+            docs = await Trip.find(query)
+                .sort(byRating ? { 'rating.average': -1, _id: 1 } : { _id: 1 })
+                .limit(limit + 1)
+                .lean()
+                .exec();
+
+            if (docs.length > limit) {
+                const lastVisible = docs[limit - 1];
+                nextCursor = byRating
+                    ? encodeRatingCursor(lastVisible.rating?.average, lastVisible._id)
+                    : encodeCursor(lastVisible._id);
+                docs.length = limit;
+            }
+
+            const pageIds = docs.map((d) => d._id);
+            const next = await Departure.nextAvailable(pageIds, window);
+            docs.forEach((d) => {
+                d.nextDeparture = next.get(String(d._id)) || null;
+            });
         }
 
-        return ok(res, { trips: docs, nextCursor });
+        // Departure changes (e.g. seats selling out) must also change the tag.
+        const departureVersions = docs.map((d) =>
+            d.nextDeparture ? tripVersion(d.nextDeparture) : ''
+        );
+        const saved = await savedTripIds(req, docs);
+        const locale = requestLocale(req);
+        res.vary('Authorization');
+        res.vary('Accept-Language');
+        const extra = `${nextCursor}|${departureVersions}|${locale}|${savedVersion(saved)}`;
+        if (notModified(req, res, etagFor(docs, extra))) return res;
+
+        const trips = docs.map((d) =>
+            withSaved(
+                {
+                    ...Trip.present(d, locale),
+                    nextDeparture: d.nextDeparture ? Departure.present(d.nextDeparture) : null,
+                },
+                saved
+            )
+        );
+        return ok(res, { trips, nextCursor });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /trips/export
+// Streams the filtered trip catalog as a download. Reads through a Mongo
+// cursor so memory use stays flat regardless of catalog size.
+// Query parameters:
+//   - format: csv | jsonl | ics (required)
+//   - any /trips/search filter, plus includeDeleted
+// CSV output splits the price into `perPerson` (amount) and `currency` and
+// writes `duration` in its readable "N nights / M days" form and the
+// cancellation policy as "daysBefore:refundPercent" pairs, e.g. "30:100;7:50"
+// (empty when the default applies, "none" when nothing is refunded).
+// -----------------------------------------------------------------------------
+const EXPORT_FORMATS = {
+    csv: {
+        type: 'text/csv; charset=utf-8',
+        head: () => formatCsvRow([...TRIP_FIELDS, 'currency']),
+        row: (doc) => {
+            const fields = pickTripFields(doc);
+            const price = plainPrice(doc.perPerson) || {};
+            fields.start = doc.start ? new Date(doc.start).toISOString() : '';
+            fields.perPerson = price.amount;
+            fields.duration = formatDuration(doc.duration);
+            fields.cancellationPolicy = formatPolicy(doc.cancellationPolicy);
+            return formatCsvRow([...TRIP_FIELDS.map((k) => fields[k]), price.currency]);
+        },
+        tail: () => '',
+    },
+    jsonl: {
+        type: 'application/x-ndjson; charset=utf-8',
+        head: () => '',
+        row: (doc) => `${JSON.stringify(Trip.present(doc))}\n`,
+        tail: () => '',
+    },
+    ics: {
+        type: 'text/calendar; charset=utf-8',
+        head: ics.calendarHeader,
+        row: (doc) => ics.tripEvent(doc),
+        tail: ics.calendarFooter,
+    },
+};
+
+const tripsExport = async (req, res) => {
+    const format = String(req.query.format || '').toLowerCase();
+    const writer = EXPORT_FORMATS[format];
+    if (!writer) {
+        return badReq(
+            res,
+            `Invalid format; expected one of ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        );
+    }
+
+    const includeDeleted = wantsDeleted(req);
+    if (includeDeleted && !canSeeDeleted(req)) return forbidden(res, 'Insufficient permissions');
+
+    const query = buildTripQuery({ ...pickFilters(req.query), includeDeleted });
+    const cursor = Trip.find(query).sort({ _id: 1 }).lean().cursor();
+
+    // Writes a chunk, waiting for the socket to drain (or close) when its buffer is full.
+    const write = async (chunk) => {
+        if (!chunk || res.write(chunk)) return;
+        await new Promise((resolve) => {
+            const done = () => {
+                res.off('drain', done);
+                res.off('close', done);
+                resolve();
+            };
+            res.on('drain', done);
+            res.on('close', done);
+        });
+    };
+
+    try {
+        res.status(200);
+        res.set('Content-Type', writer.type);
+        res.set('Content-Disposition', `attachment; filename="trips.${format}"`);
+
+        await write(writer.head());
+        for await (const doc of cursor) {
+            if (res.destroyed) break;
+            await write(writer.row(doc));
+        }
+        await write(writer.tail());
+        return res.end();
     } catch (err) {
+        // Once streaming has begun the status is committed; abort the response.
+        if (res.headersSent) return res.destroy(err);
         return fail(res, err);
+    } finally {
+        await cursor.close();
     }
 };
 
@@ -170,16 +638,26 @@ const tripsSearchPaginated = async (req, res) => {
 // GET /trips/:tripCode
 // Fetches a single trip by its business key `code`. The payload is returned
 // as a single-element array to preserve the existing client response shape.
+// Emits an ETag and honors If-None-Match with 304 Not Modified.
 // -----------------------------------------------------------------------------
 const tripsFindByCode = async (req, res) => {
     try {
         const code = String(req.params.tripCode || '').trim();
         if (!code) return badReq(res, 'Trip code required');
 
-        const doc = await Trip.findOne({ code }).lean().exec();
+        const includeDeleted = wantsDeleted(req);
+        if (includeDeleted && !canSeeDeleted(req))
+            return forbidden(res, 'Insufficient permissions');
+
+        const doc = await Trip.findOne({ code, ...activeScope(includeDeleted) })
+            .lean()
+            .exec();
         if (!doc) return notFound(res, `Trip with code ${code} not found`);
+        const locale = requestLocale(req);
+        res.vary('Accept-Language');
+        if (notModified(req, res, etagFor([doc], locale))) return res;
 
-        return ok(res, [doc]);
+        return ok(res, [Trip.present(doc, locale)]);
     } catch (err) {
         return fail(res, err);
     }
@@ -189,7 +667,8 @@ const tripsFindByCode = async (req, res) => {
 // POST /trips
 // Creates a new trip document. Authorization is enforced at the route level.
 // Performs minimal validation and guards against duplicate `code` values.
-// Duplicate-key errors return HTTP 409.
+// Duplicate-key errors return HTTP 409. Soft-deleted trips still reserve their
+// code until they are restored or purged.
 // -----------------------------------------------------------------------------
 const tripsAddTrip = async (req, res) => {
     try {
@@ -203,6 +682,7 @@ const tripsAddTrip = async (req, res) => {
         }
 
         const createdDoc = await new Trip(body).save();
+        await TripRevision.record(createdDoc, null, { action: 'create', auth: req.auth });
         return created(res, createdDoc);
     } catch (err) {
         if (err?.code === 11000) {
@@ -212,43 +692,239 @@ const tripsAddTrip = async (req, res) => {
     }
 };
 
+// -----------------------------------------------------------------------------
+// Shared full-update pipeline used by PUT and by revision revert, so both go
+// through the same whitelist, validation, field-level permission checks,
+// revision bookkeeping and wishlist price-drop emails.
+// When the client sends If-Match, the write is conditional on the version it
+// saw; a mismatch (or a concurrent write in between) yields 412.
+// -----------------------------------------------------------------------------
+const applyTripUpdate = async (req, res, code, source, action) => {
+    const body = pickTripFields(source);
+    const v = validateTripBody({ ...body, code: body.code || code });
+    if (!v.ok) return badReq(res, v.reason, v.missing ? { missing: v.missing } : undefined);
+
+    delete body.code;
+
+    const previous = await Trip.findOne({ code, deletedAt: null }).lean().exec();
+    if (!previous) return notFound(res, `Trip with code ${code} not found`);
+
+    if (staleVersion(req, previous)) {
+        return preconditionFailed(res, 'Trip has been modified since it was retrieved');
+    }
+    if (refuseForbiddenFields(req, res, changedTripFields(previous, body))) return res;
+
+    const updated = await Trip.findOneAndUpdate(writeFilter(req, previous), body, {
+        new: true,
+        runValidators: true,
+    }).exec();
+    if (!updated) return staleOrMissing(req, res, code);
+
+    await TripRevision.record(updated, previous, { action, auth: req.auth });
+    wishlistService.notifyPriceDrop(previous, updated).catch(() => {});
+    res.set('ETag', etagFor([updated]));
+    return ok(res, updated);
+};
+
 // -----------------------------------------------------------------------------
 // PUT /trips/:tripCode
 // Updates a trip identified by `:tripCode`. The request body is validated and
 // restricted to whitelisted fields. The `code` field is not mutated to keep
-// the path parameter authoritative for the targeted resource.
+// the path parameter authoritative for the targeted resource. Soft-deleted
+// trips must be restored before they can be updated. Honors If-Match.
+// Callers without trips:write may only change the fields their role covers.
 // -----------------------------------------------------------------------------
 const tripsUpdateTrip = async (req, res) => {
     try {
         const code = String(req.params.tripCode || '').trim();
         if (!code) return badReq(res, 'Trip code required');
 
-        const body = pickTripFields(req.body);
-        const v = validateTripBody({ ...body, code: body.code || code });
-        if (!v.ok) return badReq(res, v.reason, v.missing ? { missing: v.missing } : undefined);
+        return await applyTripUpdate(req, res, code, req.body, 'update');
+    } catch (err) {
+        if (err?.code === 11000) {
+            return res.status(409).json({ message: 'Duplicate key', keyValue: err.keyValue });
+        }
+        return badReq(res, err.message || 'Failed to update trip');
+    }
+};
+
+// -----------------------------------------------------------------------------
+// PATCH /trips/:tripCode
+// Partially updates a trip. Accepted bodies, selected by Content-Type:
+//   - application/json: subset of the whitelisted trip fields
+//   - application/merge-patch+json: RFC 7396 merge patch
+//   - application/json-patch+json: RFC 6902 operation list
+// Only the fields that actually change are written, and they are checked
+// against the Trip schema rules via update validators. Honors If-Match.
+// Callers without trips:write may only change the fields their role covers.
+// -----------------------------------------------------------------------------
+const tripsPatchTrip = async (req, res) => {
+    try {
+        const code = String(req.params.tripCode || '').trim();
+        if (!code) return badReq(res, 'Trip code required');
+
+        const previous = await Trip.findOne({ code, deletedAt: null }).lean().exec();
+        if (!previous) return notFound(res, `Trip with code ${code} not found`);
+
+        if (staleVersion(req, previous)) {
+            return preconditionFailed(res, 'Trip has been modified since it was retrieved');
+        }
+
+        // Patches apply to the JSON form of the whitelisted fields.
+        const base = plainTrip(previous);
+        let next;
+        if (req.is('application/json-patch+json')) {
+            const r = applyJsonPatch(base, req.body);
+            if (!r.ok) return badReq(res, r.reason);
+            next = r.doc;
+        } else {
+            next = mergePatch(base, req.body);
+        }
+        if (!isPlainObject(next)) return badReq(res, 'Patched trip must be an object');
+
+        // Legacy `length` text is accepted as an alias of `duration`.
+        if (next.length !== undefined) {
+            next.duration = next.length;
+            delete next.length;
+        }
+
+        const unknown = Object.keys(next).filter((k) => !TRIP_FIELDS.includes(k));
+        if (unknown.length) return badReq(res, 'Unknown fields', { unknown });
+        if (next.perPerson !== undefined) next.perPerson = toPrice(next.perPerson);
+        if (next.duration !== undefined) next.duration = toDuration(next.duration);
+        if (next.cancellationPolicy !== undefined) {
+            next.cancellationPolicy = toPolicy(next.cancellationPolicy);
+        }
+
+        // Removed fields become null so the schema's required rules reject them.
+        const changes = {};
+        TRIP_FIELDS.forEach((k) => {
+            if (JSON.stringify(next[k]) !== JSON.stringify(base[k])) {
+                changes[k] = next[k] === undefined ? null : next[k];
+            }
+        });
+        if ('code' in changes) return badReq(res, 'Trip code cannot be changed');
+        if (refuseForbiddenFields(req, res, Object.keys(changes))) return res;
 
-        delete body.code;
+        if (!Object.keys(changes).length) {
+            res.set('ETag', etagFor([previous]));
+            return ok(res, previous);
+        }
 
-        const updated = await Trip.findOneAndUpdate({ code }, body, { new: true }).exec();
-        if (!updated) return notFound(res, `Trip with code ${code} not found`);
+        const updated = await Trip.findOneAndUpdate(
+            writeFilter(req, previous),
+            { $set: changes },
+            { new: true, runValidators: true }
+        ).exec();
+        if (!updated) return staleOrMissing(req, res, code);
 
+        await TripRevision.record(updated, previous, { action: 'patch', auth: req.auth });
+        wishlistService.notifyPriceDrop(previous, updated).catch(() => {});
+        res.set('ETag', etagFor([updated]));
         return ok(res, updated);
+    } catch (err) {
+        if (err?.name === 'ValidationError') {
+            const errors = {};
+            Object.keys(err.errors || {}).forEach((k) => {
+                errors[k] = err.errors[k].message;
+            });
+            return badReq(res, 'Validation failed', { errors });
+        }
+        return badReq(res, err.message || 'Failed to update trip');
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /trips/:tripCode
+// Soft-deletes a trip by stamping `deletedAt` / `deletedBy`. The document is
+// kept until the purge job removes it after the retention window.
+// -----------------------------------------------------------------------------
+const tripsDeleteTrip = async (req, res) => {
+    try {
+        const code = String(req.params.tripCode || '').trim();
+        if (!code) return badReq(res, 'Trip code required');
+
+        const deleted = await Trip.findOneAndUpdate(
+            { code, deletedAt: null },
+            { deletedAt: new Date(), deletedBy: req.auth?._id || null },
+            { new: true }
+        ).exec();
+        if (!deleted) return notFound(res, `Trip with code ${code} not found`);
+
+        const previous = { ...deleted.toObject(), deletedAt: null, deletedBy: null };
+        await TripRevision.record(deleted, previous, { action: 'delete', auth: req.auth });
+        return ok(res, deleted);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /trips/:tripCode/restore
+// Clears the soft-delete markers on a previously deleted trip.
+// -----------------------------------------------------------------------------
+const tripsRestoreTrip = async (req, res) => {
+    try {
+        const code = String(req.params.tripCode || '').trim();
+        if (!code) return badReq(res, 'Trip code required');
+
+        const previous = await Trip.findOneAndUpdate(
+            { code, deletedAt: { $ne: null } },
+            { deletedAt: null, deletedBy: null }
+        )
+            .lean()
+            .exec();
+        if (!previous) return notFound(res, `Deleted trip with code ${code} not found`);
+
+        const restored = await Trip.findById(previous._id).exec();
+        await TripRevision.record(restored, previous, { action: 'restore', auth: req.auth });
+        return ok(res, restored);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /trips/:tripCode/revisions/:n/revert
+// Restores the trip to the snapshot stored in revision `n`. The snapshot is
+// replayed through the same pipeline as PUT and recorded as a new revision.
+// -----------------------------------------------------------------------------
+const tripsRevertTrip = async (req, res) => {
+    try {
+        const code = String(req.params.tripCode || '').trim();
+        if (!code) return badReq(res, 'Trip code required');
+
+        const n = parseInt(req.params.n, 10);
+        if (Number.isNaN(n) || n < 1) return badReq(res, 'Invalid revision number');
+
+        const trip = await Trip.findOne({ code, deletedAt: null }).select('_id').lean().exec();
+        if (!trip) return notFound(res, `Trip with code ${code} not found`);
+
+        const revision = await TripRevision.findOne({ trip: trip._id, n }).lean().exec();
+        if (!revision) return notFound(res, `Revision ${n} of trip ${code} not found`);
+
+        return await applyTripUpdate(req, res, code, revision.snapshot, 'revert');
     } catch (err) {
         if (err?.code === 11000) {
             return res.status(409).json({ message: 'Duplicate key', keyValue: err.keyValue });
         }
-        return badReq(res, err.message || 'Failed to update trip');
+        return badReq(res, err.message || 'Failed to revert trip');
     }
 };
 
 // -----------------------------------------------------------------------------
 // GET /trips/analytics
 // Returns aggregated analytics over the trips collection.
-// Used for the Category Three: Databases enhancement.
+// Used for the Category Three: Databases enhancement. Soft-deleted trips are
+// included with includeDeleted=true, for callers holding trips:read:deleted.
 // -----------------------------------------------------------------------------
-const tripsAnalytics = async (_req, res) => {
+const tripsAnalytics = async (req, res) => {
     try {
-        const results = await Trip.getAnalytics();
+        const includeDeleted = wantsDeleted(req);
+        if (includeDeleted && !canSeeDeleted(req))
+            return forbidden(res, 'Insufficient permissions');
+
+        const results = await Trip.getAnalytics({ includeDeleted });
         return ok(res, results);
     } catch (err) {
         return fail(res, err);
@@ -258,8 +934,13 @@ const tripsAnalytics = async (_req, res) => {
 module.exports = {
     tripsList,
     tripsSearchPaginated,
+    tripsExport,
     tripsFindByCode,
     tripsAddTrip,
     tripsUpdateTrip,
+    tripsPatchTrip,
+    tripsDeleteTrip,
+    tripsRestoreTrip,
+    tripsRevertTrip,
     tripsAnalytics,
 };
@@ -0,0 +1,417 @@
+/* Controller layer for user administration.
+ * Responsibilities:
+ *   - Listing, searching and viewing user accounts
+ *   - Assigning roles (permission sets from config/roles)
+ *   - Disabling / enabling accounts and forcing password resets
+ *   - Deleting accounts
+ *   - Data access and erasure requests on a user's behalf, and the record of
+ *     erasures (see services/privacyService)
+ * requirePermission() in routes/index checks the stored role on every
+ * request, so role changes take effect immediately; disabling an account or
+ * forcing a reset also ends all of its sessions. Admins cannot disable or
+ * delete themselves, and the last active admin cannot be removed.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const transporter = require('../config/mail');
+const User = require('../models/user');
+const tokenService = require('../services/tokenService');
+const privacyService = require('../services/privacyService');
+const ErasureRequest = require('../models/erasureRequest');
+const { PERMISSIONS, ROLES, ROLE_NAMES } = require('../config/roles');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const conflict = (res, msg) => res.status(409).json({ message: msg }); // 409 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Service refusal codes mapped to HTTP statuses.
+const REFUSAL_STATUS = {
+    NOT_FOUND: 404,
+    LAST_ADMIN: 409,
+};
+
+const sendRefusal = (res, result) =>
+    res.status(REFUSAL_STATUS[result.code] || 400).json({ message: result.reason });
+
+// Admin view of a user account; credentials and secrets never leave the API.
+const presentUser = (u) => ({
+    _id: u._id,
+    name: u.name,
+    email: u.email,
+    role: u.role,
+    permissions: ROLES[u.role] || [],
+    emailVerified: u.emailVerified !== false,
+    mfaEnabled: Boolean(u.mfa?.enabled),
+    disabled: Boolean(u.disabledAt),
+    disabledAt: u.disabledAt || null,
+    disabledReason: u.disabledReason || null,
+    createdAt: new ObjectId(u._id).getTimestamp(),
+});
+
+// Escapes user input for use inside a regular expression.
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Loads the user addressed by :userId, or null.
+const findUser = (req) =>
+    ObjectId.isValid(req.params.userId) ? User.findById(req.params.userId).lean().exec() : null;
+
+const isSelf = (req, user) => String(req.auth._id) === String(user._id);
+
+// -----------------------------------------------------------------------------
+// GET /admin/roles
+// Every role with its permissions, plus the permission catalogue.
+// -----------------------------------------------------------------------------
+const rolesList = (_req, res) =>
+    ok(res, {
+        roles: ROLE_NAMES.map((name) => ({ name, permissions: ROLES[name] })),
+        permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+            name,
+            description,
+        })),
+    });
+
+// -----------------------------------------------------------------------------
+// GET /admin/users
+// Newest accounts first. Query parameters:
+//   - q: case-insensitive substring of the name or email
+//   - role: only users with this role
+//   - disabled: "true" for disabled accounts only, "false" for active only
+//   - limit: page size (1..100, default 20)
+//   - page: 1-based page number (default 1)
+// Responds with { users, page, limit, total }.
+// -----------------------------------------------------------------------------
+const usersList = async (req, res) => {
+    try {
+        const q = req.query || {};
+        const filter = {};
+        if (q.q) {
+            const pattern = new RegExp(escapeRegex(String(q.q).trim()), 'i');
+            filter.$or = [{ name: pattern }, { email: pattern }];
+        }
+        if (q.role !== undefined) {
+            if (!ROLE_NAMES.includes(q.role)) {
+                return badReq(res, `Role must be one of: ${ROLE_NAMES.join(', ')}`);
+            }
+            filter.role = q.role;
+        }
+        const disabled = String(q.disabled).toLowerCase();
+        if (disabled === 'true') filter.disabledAt = { $ne: null };
+        if (disabled === 'false') filter.disabledAt = null;
+
+        const limit = q.limit === undefined ? DEFAULT_LIMIT : parseInt(q.limit, 10);
+        if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return badReq(res, `Limit must be between 1 and ${MAX_LIMIT}`);
+        }
+        const pageRaw = parseInt(q.page, 10);
+        const page = Number.isNaN(pageRaw) ? 1 : Math.max(pageRaw, 1);
+
+        const [docs, total] = await Promise.all([
+            User.find(filter)
+                .sort({ _id: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean()
+                .exec(),
+            User.countDocuments(filter).exec(),
+        ]);
+        return ok(res, { users: docs.map(presentUser), page, limit, total });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /admin/users/:userId
+// One user account.
+// -----------------------------------------------------------------------------
+const usersFindOne = async (req, res) => {
+    try {
+        const user = await findUser(req);
+        if (!user) return notFound(res, 'User not found');
+        return ok(res, presentUser(user));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// PUT /admin/users/:userId/role
+// Body: { role }. Assigns a role. The last admin cannot be demoted, so the
+// API always keeps someone able to assign roles.
+// -----------------------------------------------------------------------------
+const usersAssignRole = async (req, res) => {
+    try {
+        const role = String((req.body || {}).role || '');
+        if (!ROLE_NAMES.includes(role)) {
+            return badReq(res, `Role must be one of: ${ROLE_NAMES.join(', ')}`);
+        }
+
+        const user = await findUser(req);
+        if (!user) return notFound(res, 'User not found');
+        if (user.role === role) return ok(res, presentUser(user));
+        if (await User.isLastActiveAdmin(user))
+            return conflict(res, 'Cannot demote the last admin');
+
+        // Conditional on the role read above, so concurrent changes are not lost
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, role: user.role },
+            { role },
+            { new: true, runValidators: true }
+        )
+            .lean()
+            .exec();
+        if (!updated) return conflict(res, 'Role changed concurrently; try again');
+        return ok(res, presentUser(updated));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /admin/users/:userId/disable
+// Body: { reason? }. Suspends the account and ends all of its sessions.
+// -----------------------------------------------------------------------------
+const usersDisable = async (req, res) => {
+    try {
+        const user = await findUser(req);
+        if (!user) return notFound(res, 'User not found');
+        if (isSelf(req, user)) return conflict(res, 'You cannot disable your own account');
+        if (user.disabledAt) return ok(res, presentUser(user));
+        if (await User.isLastActiveAdmin(user))
+            return conflict(res, 'Cannot disable the last admin');
+
+        const reason = (req.body || {}).reason;
+        const updated = await User.findByIdAndUpdate(
+            user._id,
+            {
+                disabledAt: new Date(),
+                disabledReason: reason ? String(reason) : null,
+                disabledBy: req.auth._id,
+            },
+            { new: true }
+        )
+            .lean()
+            .exec();
+        await tokenService.logoutAll(user._id);
+        return ok(res, presentUser(updated));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /admin/users/:userId/enable
+// Lifts a suspension; the user logs in again as usual.
+// -----------------------------------------------------------------------------
+const usersEnable = async (req, res) => {
+    try {
+        const user = await findUser(req);
+        if (!user) return notFound(res, 'User not found');
+
+        const updated = await User.findByIdAndUpdate(
+            user._id,
+            { disabledAt: null, $unset: { disabledReason: 1, disabledBy: 1 } },
+            { new: true }
+        )
+            .lean()
+            .exec();
+        return ok(res, presentUser(updated));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /admin/users/:userId/password-reset
+// Invalidates the current password, ends every session and emails a reset
+// link (same token flow as /auth/forgot; /auth/forgot can send a new one
+// once it expires).
+// -----------------------------------------------------------------------------
+const usersForcePasswordReset = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.userId)) return notFound(res, 'User not found');
+        const user = await User.findById(req.params.userId).exec();
+        if (!user) return notFound(res, 'User not found');
+
+        const plainToken = user.createPasswordResetToken();
+        user.hash = undefined;
+        user.salt = undefined;
+        user.hashParams = undefined;
+        await user.save({ validateBeforeSave: false });
+        await tokenService.logoutAll(user._id, 'password_reset');
+
+        const resetUrl = `${process.env.CLIENT_URL}/reset-password?token=${plainToken}`;
+        const html = `
+      <p>An administrator has reset the password of your Travlr account.</p>
+      <p><a href="${resetUrl}">Click here to choose a new password</a></p>
+      <p>This link expires in 15 minutes. After that, use "Forgot password" to get a new one.</p>
+    `;
+        let emailed = true;
+        try {
+            await transporter.sendMail({
+                to: user.email,
+                from: process.env.FROM_EMAIL,
+                subject: 'Your Travlr password has been reset',
+                html,
+            });
+        } catch (e) {
+            emailed = false;
+            console.log('[ADMIN] password reset email error:', e);
+        }
+
+        const resp = { ...presentUser(user.toObject()), emailed };
+        if (process.env.NODE_ENV !== 'production') resp.devResetUrl = resetUrl;
+        return ok(res, resp);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /admin/users/:userId
+// Deletes the account right away through the same erasure as
+// POST /admin/users/:userId/erasure with `immediate`, so the account's
+// reviews, wishlist and waitlist entries and sessions go with it and a
+// pending erasure request is completed. Bookings, payments and credit notes
+// are kept for accounting. Responds with the deleted user.
+// -----------------------------------------------------------------------------
+const usersDelete = async (req, res) => {
+    try {
+        const user = await findUser(req);
+        if (!user) return notFound(res, 'User not found');
+        if (isSelf(req, user)) return conflict(res, 'You cannot delete your own account');
+        if (await User.isLastActiveAdmin(user))
+            return conflict(res, 'Cannot delete the last admin');
+
+        const result = await privacyService.requestErasure({
+            userId: user._id,
+            requestedBy: req.auth._id,
+            reason: 'Account deleted by an admin',
+            immediate: true,
+        });
+        if (!result.ok) return sendRefusal(res, result);
+        if (!(await privacyService.erase(result.request))) {
+            return conflict(res, 'Account could not be deleted');
+        }
+        return ok(res, presentUser(user));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /admin/users/:userId/export
+// Everything stored about the user, as a downloadable JSON file (the same
+// export the user gets from GET /me/export).
+// -----------------------------------------------------------------------------
+const usersExport = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.userId)) return notFound(res, 'User not found');
+        const data = await privacyService.exportData(req.params.userId);
+        if (!data) return notFound(res, 'User not found');
+        res.attachment(`travlr-export-${req.params.userId}.json`);
+        return ok(res, data);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// POST /admin/users/:userId/erasure
+// Body: { reason?, immediate? }. Schedules erasure of the user's personal
+// data after the grace period, like DELETE /me; with `immediate: true` it is
+// carried out right away. Responds with the erasure request (completed when
+// immediate). 409 for yourself (use DELETE /me) or the last admin.
+// -----------------------------------------------------------------------------
+const usersRequestErasure = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.userId)) return notFound(res, 'User not found');
+        if (String(req.auth._id) === String(req.params.userId)) {
+            return conflict(res, 'Use DELETE /me to erase your own account');
+        }
+
+        const body = req.body || {};
+        const immediate = body.immediate === true;
+        const result = await privacyService.requestErasure({
+            userId: req.params.userId,
+            requestedBy: req.auth._id,
+            reason: body.reason,
+            immediate,
+        });
+        if (!result.ok) return sendRefusal(res, result);
+        if (!immediate) return res.status(result.created ? 201 : 200).json(result.request);
+
+        const completed = await privacyService.erase(result.request);
+        if (!completed) return conflict(res, 'Erasure could not be carried out');
+        return ok(res, completed);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /admin/users/:userId/erasure
+// Cancels the user's pending erasure.
+// -----------------------------------------------------------------------------
+const usersCancelErasure = async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.userId)) return notFound(res, 'User not found');
+        const result = await privacyService.cancelErasure({
+            userId: req.params.userId,
+            cancelledBy: req.auth._id,
+        });
+        if (!result.ok) return sendRefusal(res, result);
+        return ok(res, result.request);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /admin/erasures
+// Erasure requests, newest first. Query parameters:
+//   - status: pending | cancelled | completed
+//   - email: requests made for this address (matched by digest, so erased
+//     accounts can still be looked up)
+//   - limit: page size (1..100, default 20)
+// -----------------------------------------------------------------------------
+const erasuresList = async (req, res) => {
+    try {
+        const q = req.query || {};
+        if (q.status && !ErasureRequest.STATUSES.includes(q.status)) {
+            return badReq(res, `Status must be one of: ${ErasureRequest.STATUSES.join(', ')}`);
+        }
+        const limit = q.limit === undefined ? DEFAULT_LIMIT : parseInt(q.limit, 10);
+        if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return badReq(res, `Limit must be between 1 and ${MAX_LIMIT}`);
+        }
+        return ok(res, await privacyService.list({ status: q.status, email: q.email, limit }));
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = {
+    rolesList,
+    usersList,
+    usersFindOne,
+    usersAssignRole,
+    usersDisable,
+    usersEnable,
+    usersForcePasswordReset,
+    usersDelete,
+    usersExport,
+    usersRequestErasure,
+    usersCancelErasure,
+    erasuresList,
+};
@@ -0,0 +1,94 @@
+/* Controller layer for trip waitlists.
+ * Responsibilities:
+ *   - Joining the FIFO waitlist of a sold-out trip or departure
+ *   - Showing and leaving the caller's place in the queue
+ * Queueing and promotion live in services/waitlistService.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const waitlistService = require('../services/waitlistService');
+const { MAX_SEATS_PER_BOOKING } = require('../services/bookingService');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const created = (res, data) => res.status(201).json(data); // 201 Created with resource
+const badReq = (res, msg) => res.status(400).json({ message: msg }); // 400 with reason
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+// Service refusal codes mapped to HTTP statuses.
+const REFUSAL_STATUS = {
+    NOT_FOUND: 404,
+    INVALID_STATE: 409,
+    CONFLICT: 409,
+};
+
+const tripCodeOf = (req) => String(req.params.tripCode || '').trim();
+
+// -----------------------------------------------------------------------------
+// POST /trips/:tripCode/waitlist
+// Body: { departureId?, seats? }. Joins the waitlist of a sold-out trip (any
+// departure) or of one sold-out departure; 409 while seats are available.
+// When seats free up, the first fitting entry receives a held booking lasting
+// WAITLIST_CLAIM_MINUTES and an email; paying for it claims the seats.
+// -----------------------------------------------------------------------------
+const waitlistJoin = async (req, res) => {
+    try {
+        const b = req.body || {};
+        const seats = b.seats === undefined ? 1 : Number(b.seats);
+        if (!Number.isInteger(seats) || seats < 1 || seats > MAX_SEATS_PER_BOOKING) {
+            return badReq(res, `Seats must be an integer between 1 and ${MAX_SEATS_PER_BOOKING}`);
+        }
+        if (b.departureId !== undefined && !ObjectId.isValid(b.departureId)) {
+            return badReq(res, 'Invalid departure id');
+        }
+
+        const result = await waitlistService.join({
+            tripCode: tripCodeOf(req),
+            departureId: b.departureId,
+            userId: req.auth._id,
+            email: req.auth.email,
+            seats,
+        });
+        if (!result.ok) {
+            return res.status(REFUSAL_STATUS[result.code] || 400).json({ message: result.reason });
+        }
+        return created(res, result.entry);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /trips/:tripCode/waitlist
+// The caller's active entries for the trip with their queue positions.
+// -----------------------------------------------------------------------------
+const waitlistMine = async (req, res) => {
+    try {
+        const entries = await waitlistService.listForUser(tripCodeOf(req), req.auth._id);
+        return ok(res, entries);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /trips/:tripCode/waitlist
+// Leaves the trip's waitlist; a pending offer is withdrawn and passed on.
+// Responds with the number of entries left.
+// -----------------------------------------------------------------------------
+const waitlistLeave = async (req, res) => {
+    try {
+        const left = await waitlistService.leave(tripCodeOf(req), req.auth._id);
+        if (!left) return notFound(res, 'Not on the waitlist for this trip');
+        return ok(res, { left });
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = { waitlistJoin, waitlistMine, waitlistLeave };
@@ -0,0 +1,95 @@
+/* Controller layer for user wishlists.
+ * Responsibilities:
+ *   - Listing the caller's saved trips
+ *   - Saving, checking and removing a single trip
+ * Storage and price-drop / new-departure emails live in
+ * services/wishlistService.
+ */
+
+const Trip = require('../models/travlr');
+const wishlistService = require('../services/wishlistService');
+const { resolveLocale } = require('../utils/money');
+
+// -----------------------------------------------------------------------------
+// Small response helpers to keep status-code usage consistent across actions.
+// -----------------------------------------------------------------------------
+const ok = (res, data) => res.status(200).json(data); // 200 OK with payload
+const created = (res, data) => res.status(201).json(data); // 201 Created with resource
+const notFound = (res, msg) => res.status(404).json({ message: msg }); // 404 with reason
+const fail = (res, err) => res.status(500).json({ message: err?.message || 'Server error' }); // 500 fallback
+
+const tripCodeOf = (req) => String(req.params.tripCode || '').trim();
+
+// Same locale resolution as the trip endpoints: `locale` query parameter, else
+// Accept-Language.
+const requestLocale = (req) => resolveLocale([req.query?.locale, ...req.acceptsLanguages()]);
+
+// -----------------------------------------------------------------------------
+// GET /me/wishlist
+// The caller's saved trips, most recently saved first, as { savedAt, trip }.
+// Trips are presented like GET /trips, in the caller's locale.
+// -----------------------------------------------------------------------------
+const wishlistList = async (req, res) => {
+    try {
+        const items = await wishlistService.listForUser(req.auth._id);
+        const locale = requestLocale(req);
+        res.vary('Accept-Language');
+        return ok(
+            res,
+            items.map((item) => ({ ...item, trip: Trip.present(item.trip, locale) }))
+        );
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// GET /me/wishlist/:tripCode
+// The caller's wishlist item for the trip; 404 when it is not saved.
+// -----------------------------------------------------------------------------
+const wishlistFindOne = async (req, res) => {
+    try {
+        const item = await wishlistService.findForUser(req.auth._id, tripCodeOf(req));
+        if (!item) return notFound(res, `Trip ${tripCodeOf(req)} is not on your wishlist`);
+        return ok(res, item);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// PUT /me/wishlist/:tripCode
+// Saves the trip. Idempotent: 201 when newly saved, 200 when already saved.
+// -----------------------------------------------------------------------------
+const wishlistSave = async (req, res) => {
+    try {
+        const result = await wishlistService.save({
+            userId: req.auth._id,
+            email: req.auth.email,
+            tripCode: tripCodeOf(req),
+        });
+        if (!result.ok) return notFound(res, result.reason);
+        return result.created ? created(res, result.item) : ok(res, result.item);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+// -----------------------------------------------------------------------------
+// DELETE /me/wishlist/:tripCode
+// Removes the trip from the caller's wishlist and returns the removed item.
+// -----------------------------------------------------------------------------
+const wishlistRemove = async (req, res) => {
+    try {
+        const result = await wishlistService.remove({
+            userId: req.auth._id,
+            tripCode: tripCodeOf(req),
+        });
+        if (!result.ok) return notFound(res, result.reason);
+        return ok(res, result.item);
+    } catch (err) {
+        return fail(res, err);
+    }
+};
+
+module.exports = { wishlistList, wishlistFindOne, wishlistSave, wishlistRemove };
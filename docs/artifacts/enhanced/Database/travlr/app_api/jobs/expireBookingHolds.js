@@ -0,0 +1,15 @@
+/* Expiry job for booking holds.
+ * Marks lapsed holds as expired and returns their seats to the departure.
+ */
+
+const bookingService = require('../services/bookingService');
+
+/**
+ * Resolves to the number of holds that were expired.
+ */
+const expireBookingHolds = async (now = new Date()) => {
+    const expired = await bookingService.expireHolds(now);
+    return expired.length;
+};
+
+module.exports = expireBookingHolds;
@@ -0,0 +1,41 @@
+/* Background job scheduler.
+ * Runs maintenance jobs on fixed intervals inside the API process.
+ * Timers are unref'd so they never keep the process alive on shutdown.
+ */
+
+const purgeDeletedTrips = require('./purgeDeletedTrips');
+const expireBookingHolds = require('./expireBookingHolds');
+const processErasures = require('./processErasures');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Job registry: name, handler and interval in milliseconds
+const jobs = [
+    { name: 'purgeDeletedTrips', run: purgeDeletedTrips, every: HOUR_MS },
+    { name: 'expireBookingHolds', run: expireBookingHolds, every: MINUTE_MS },
+    { name: 'processErasures', run: processErasures, every: HOUR_MS },
+];
+
+// Runs a single job and logs its outcome; failures never escape the timer.
+const runJob = async (job) => {
+    try {
+        const result = await job.run();
+        if (result) console.log(`[JOBS] ${job.name} processed ${result} record(s)`);
+    } catch (err) {
+        console.error(`[JOBS] ${job.name} failed:`, err.message);
+    }
+};
+
+/**
+ * Starts every registered job. Set JOBS_DISABLED=true to skip scheduling
+ * (e.g. when running several API instances behind a load balancer).
+ */
+const start = () => {
+    if (String(process.env.JOBS_DISABLED).toLowerCase() === 'true') return;
+    jobs.forEach((job) => {
+        setInterval(() => runJob(job), job.every).unref();
+    });
+};
+
+module.exports = { start, runJob };
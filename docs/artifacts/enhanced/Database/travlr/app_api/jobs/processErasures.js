@@ -0,0 +1,13 @@
+/* Erasure job for personal data.
+ * Carries out account erasure requests whose grace period
+ * (ERASURE_GRACE_DAYS, default 30 days) has ended.
+ */
+
+const privacyService = require('../services/privacyService');
+
+/**
+ * Resolves to the number of accounts that were erased.
+ */
+const processErasures = (now = new Date()) => privacyService.processDue(now);
+
+module.exports = processErasures;
@@ -0,0 +1,55 @@
+/* Purge job for soft-deleted trips.
+ * Permanently removes trips whose `deletedAt` is older than the retention
+ * window (TRIP_RETENTION_DAYS, default 30 days), together with their
+ * departures, wishlist items, waitlist entries and reviews. Trips that still
+ * have upcoming departures with seats sold or held are kept until those have
+ * run. Revisions are kept as the audit trail of the trip.
+ */
+
+const Trip = require('../models/travlr');
+const Departure = require('../models/departure');
+const WishlistItem = require('../models/wishlistItem');
+const WaitlistEntry = require('../models/waitlistEntry');
+const Review = require('../models/review');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const retentionDays = () => Number(process.env.TRIP_RETENTION_DAYS) || 30;
+
+/**
+ * Hard-deletes trips soft-deleted before `now - retentionDays`.
+ * Resolves to the number of removed trips.
+ */
+const purgeDeletedTrips = async (now = new Date()) => {
+    const cutoff = new Date(now.getTime() - retentionDays() * DAY_MS);
+    const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+
+    const ids = await Trip.distinct('_id', expired);
+    if (!ids.length) return 0;
+
+    const busy = await Departure.distinct('trip', {
+        trip: { $in: ids },
+        date: { $gte: now },
+        $or: [{ seatsSold: { $gt: 0 } }, { seatsHeld: { $gt: 0 } }],
+    });
+    const keep = new Set(busy.map(String));
+
+    let purged = 0;
+    for (const id of ids) {
+        if (keep.has(String(id))) continue;
+
+        // Re-checked so a trip restored meanwhile is left alone
+        const result = await Trip.deleteOne({ _id: id, ...expired }).exec();
+        if (!result.deletedCount) continue;
+
+        await Promise.all([
+            Departure.deleteMany({ trip: id }).exec(),
+            WishlistItem.deleteMany({ trip: id }).exec(),
+            WaitlistEntry.deleteMany({ trip: id }).exec(),
+            Review.deleteMany({ trip: id }).exec(),
+        ]);
+        purged += 1;
+    }
+    return purged;
+};
+
+module.exports = purgeDeletedTrips;
@@ -1,10 +1,11 @@
 // Simple schema-based validator (no external deps)
 exports.requireTripBody = (req, res, next) => {
-    const b = req.body || {};
+    // `length` is the legacy free-text alias of `duration`
+    const b = { ...req.body, duration: (req.body || {}).duration || (req.body || {}).length };
     const missing = [
         'code',
         'name',
-        'length',
+        'duration',
         'start',
         'resort',
         'perPerson',
@@ -20,3 +21,19 @@ exports.requireTripBody = (req, res, next) => {
     }
     next();
 };
+
+// Partial updates: JSON Patch bodies are operation arrays, everything else must
+// be a non-empty object. Field rules are enforced by the schema on write.
+exports.requireTripPatchBody = (req, res, next) => {
+    const b = req.body;
+    if (req.is('application/json-patch+json')) {
+        if (!Array.isArray(b) || !b.length) {
+            return res.status(400).json({ message: 'JSON Patch body must be a non-empty array' });
+        }
+        return next();
+    }
+    if (!b || typeof b !== 'object' || Array.isArray(b) || !Object.keys(b).length) {
+        return res.status(400).json({ message: 'Patch body must be a non-empty object' });
+    }
+    next();
+};
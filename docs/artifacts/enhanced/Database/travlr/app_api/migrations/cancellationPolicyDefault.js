@@ -0,0 +1,34 @@
+/* Migration: default cancellation policy as null.
+ * Trips used to store an empty `cancellationPolicy` to mean "use the default
+ * policy"; an empty list now means "no refund" and the default is null.
+ * Rewrites the empty lists stored under the old meaning to null.
+ *
+ * Usage: npm run migrate:policy
+ * Run once, before any trip is given an empty policy on purpose.
+ */
+
+require('dotenv').config();
+
+const { mongoose, ready } = require('../models/db');
+
+const migrate = async () => {
+    await ready;
+    const trips = mongoose.connection.collection('trips');
+
+    const result = await trips.updateMany(
+        { cancellationPolicy: { $size: 0 } },
+        { $set: { cancellationPolicy: null } }
+    );
+    console.log(
+        `[MIGRATE] reset the cancellation policy of ${result.modifiedCount} trip(s) to the default`
+    );
+};
+
+migrate()
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(async (err) => {
+        console.error('[MIGRATE] failed:', err.message);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
@@ -0,0 +1,71 @@
+/* Migration: structured trip durations.
+ * Parses legacy free-text `length` values ("4 nights / 5 days") into
+ * { nights, days }, stores the derived `end` date and removes `length`.
+ * Trips whose text cannot be parsed are reported and left untouched.
+ *
+ * Usage: npm run migrate:duration
+ * Safe to re-run; already-migrated documents are skipped.
+ */
+
+require('dotenv').config();
+
+const { mongoose, ready } = require('../models/db');
+const Trip = require('../models/travlr');
+const { parseDuration, computeEnd } = require('../utils/duration');
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+    await ready;
+    const trips = mongoose.connection.collection('trips');
+
+    const cursor = trips.find(
+        { duration: { $exists: false } },
+        { projection: { code: 1, length: 1, start: 1 } }
+    );
+
+    let ops = [];
+    let converted = 0;
+    const skipped = [];
+
+    const flush = async () => {
+        if (!ops.length) return;
+        await trips.bulkWrite(ops, { ordered: false });
+        converted += ops.length;
+        ops = [];
+    };
+
+    for await (const doc of cursor) {
+        const duration = parseDuration(doc.length);
+        if (!duration) {
+            skipped.push(`${doc.code} ("${doc.length}")`);
+            continue;
+        }
+        ops.push({
+            updateOne: {
+                filter: { _id: doc._id },
+                update: {
+                    $set: { duration, end: computeEnd(doc.start, duration) },
+                    $unset: { length: '' },
+                },
+            },
+        });
+        if (ops.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`[MIGRATE] converted ${converted} trip duration(s)`);
+    if (skipped.length) {
+        console.warn(`[MIGRATE] could not parse ${skipped.length} trip(s): ${skipped.join(', ')}`);
+    }
+    await Trip.createIndexes();
+};
+
+migrate()
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(async (err) => {
+        console.error('[MIGRATE] failed:', err.message);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
@@ -0,0 +1,53 @@
+/* Migration: structured trip prices.
+ * Converts legacy string/number `perPerson` values into
+ * { amount: Decimal128, currency } using DEFAULT_CURRENCY, then swaps the
+ * old single-field price index for the { currency, amount } index.
+ *
+ * Usage: npm run migrate:price
+ * Safe to re-run; already-migrated documents are left untouched.
+ */
+
+require('dotenv').config();
+
+const { mongoose, ready } = require('../models/db');
+const Trip = require('../models/travlr');
+const { DEFAULT_CURRENCY } = require('../utils/money');
+
+const LEGACY_INDEX = 'perPerson_price_idx';
+
+const migrate = async () => {
+    await ready;
+    const trips = mongoose.connection.collection('trips');
+
+    // Pipeline update so the conversion happens server-side in one pass.
+    const result = await trips.updateMany(
+        { perPerson: { $type: ['string', 'double', 'int', 'long'] } },
+        [
+            {
+                $set: {
+                    perPerson: {
+                        amount: { $round: [{ $toDecimal: '$perPerson' }, 2] },
+                        currency: DEFAULT_CURRENCY,
+                    },
+                },
+            },
+        ]
+    );
+    console.log(`[MIGRATE] converted ${result.modifiedCount} trip price(s) to ${DEFAULT_CURRENCY}`);
+
+    const indexes = await trips.indexes();
+    if (indexes.some((i) => i.name === LEGACY_INDEX)) {
+        await trips.dropIndex(LEGACY_INDEX);
+        console.log(`[MIGRATE] dropped legacy index ${LEGACY_INDEX}`);
+    }
+    await Trip.createIndexes();
+};
+
+migrate()
+    .then(() => mongoose.connection.close())
+    .then(() => process.exit(0))
+    .catch(async (err) => {
+        console.error('[MIGRATE] failed:', err.message);
+        await mongoose.connection.close();
+        process.exit(1);
+    });
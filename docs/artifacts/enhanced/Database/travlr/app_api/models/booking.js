@@ -0,0 +1,129 @@
+/* Travlr Booking Schema
+ * ---------------------
+ * A user's reservation of seats on a trip departure, stored in the
+ * `bookings` collection. Bookings start as time-limited holds and move
+ * through the states below:
+ *
+ *   held ──paid + confirm──▶ confirmed ──cancel──▶ cancelled
+ *    │ └──cancel──▶ cancelled
+ *    └──hold lapses──▶ expired
+ */
+
+const mongoose = require('mongoose');
+const { plainPrice } = require('../utils/money');
+const priceSchema = require('./price');
+
+const BOOKING_STATUSES = ['held', 'confirmed', 'cancelled', 'expired'];
+
+// -----------------------------------------------------------------------------
+// Booking Schema Definition
+// -----------------------------------------------------------------------------
+const bookingSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            required: [true, 'Booking user is required'],
+        },
+
+        trip: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Trip reference is required'],
+        },
+
+        tripCode: {
+            type: String,
+            required: [true, 'Trip code is required'],
+            trim: true,
+        },
+
+        departure: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Departure',
+            required: [true, 'Departure reference is required'],
+        },
+
+        departureDate: {
+            type: Date,
+            required: [true, 'Departure date is required'],
+        },
+
+        seats: {
+            type: Number,
+            required: [true, 'Number of seats is required'],
+            min: [1, 'At least one seat is required'],
+            validate: [Number.isInteger, 'Seats must be a whole number'],
+        },
+
+        // Prices captured when the hold is placed; later catalog changes do not apply
+        unitPrice: {
+            type: priceSchema,
+            required: [true, 'Unit price is required'],
+        },
+
+        totalPrice: {
+            type: priceSchema,
+            required: [true, 'Total price is required'],
+        },
+
+        // Redeemed promo code and the itemized quote lines behind totalPrice
+        promoCode: { type: String, default: null },
+        priceBreakdown: { type: mongoose.Schema.Types.Mixed, default: [] },
+
+        status: {
+            type: String,
+            enum: BOOKING_STATUSES,
+            default: 'held',
+        },
+
+        holdExpiresAt: {
+            type: Date,
+            required: [true, 'Hold expiry is required'],
+        },
+
+        // Succeeded payment intent that allowed the confirmation
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PaymentIntent',
+            default: null,
+        },
+
+        confirmedAt: { type: Date, default: null },
+        cancelledAt: { type: Date, default: null },
+        expiredAt: { type: Date, default: null },
+    },
+    {
+        timestamps: true,
+        collection: 'bookings',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+bookingSchema.index({ user: 1, createdAt: -1 }, { name: 'user_1_createdAt_-1' });
+bookingSchema.index({ status: 1, holdExpiresAt: 1 }, { name: 'status_1_holdExpiresAt_1' });
+bookingSchema.index({ departure: 1, status: 1 }, { name: 'departure_1_status_1' });
+
+// -----------------------------------------------------------------------------
+// Static Methods
+// -----------------------------------------------------------------------------
+
+/**
+ * JSON-friendly view of a lean booking with plain decimal prices.
+ */
+bookingSchema.statics.present = function (doc) {
+    return {
+        ...doc,
+        unitPrice: plainPrice(doc.unitPrice),
+        totalPrice: plainPrice(doc.totalPrice),
+    };
+};
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const Booking = mongoose.model('Booking', bookingSchema);
+Booking.STATUSES = BOOKING_STATUSES;
+module.exports = Booking;
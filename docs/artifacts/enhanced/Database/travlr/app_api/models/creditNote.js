@@ -0,0 +1,136 @@
+/* Travlr Credit Note Schema
+ * -------------------------
+ * Accounting record issued when a paid booking is cancelled, stored in the
+ * `credit_notes` collection. It captures the cancellation policy that was
+ * applied and the resulting refund, so later policy edits never change an
+ * issued note. Notes are numbered sequentially (presented as CN-000001).
+ */
+
+const mongoose = require('mongoose');
+const { plainPrice } = require('../utils/money');
+const priceSchema = require('./price');
+
+// pending: refund owed but not executed yet (or the payment was no longer
+// refundable); refunded: executed; not_due: the policy refunded nothing
+const REFUND_STATUSES = ['pending', 'refunded', 'not_due'];
+
+// -----------------------------------------------------------------------------
+// Credit Note Schema Definition
+// -----------------------------------------------------------------------------
+const creditNoteSchema = new mongoose.Schema(
+    {
+        number: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking',
+            required: [true, 'Booking reference is required'],
+        },
+
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            required: [true, 'Booking user is required'],
+        },
+
+        trip: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Trip reference is required'],
+        },
+
+        tripCode: {
+            type: String,
+            required: [true, 'Trip code is required'],
+            trim: true,
+        },
+
+        payment: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PaymentIntent',
+            default: null,
+        },
+
+        bookingTotal: {
+            type: priceSchema,
+            required: [true, 'Booking total is required'],
+        },
+
+        // Policy evaluation at cancellation time
+        daysBeforeStart: { type: Number, required: true },
+        refundPercent: { type: Number, required: true, min: 0, max: 100 },
+        policy: { type: mongoose.Schema.Types.Mixed, default: [] },
+
+        refundAmount: {
+            type: priceSchema,
+            required: [true, 'Refund amount is required'],
+        },
+
+        refundStatus: { type: String, enum: REFUND_STATUSES, default: 'pending' },
+
+        // Set once the refund has been executed; stays null for zero refunds
+        refundedAt: { type: Date, default: null },
+
+        issuedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        collection: 'credit_notes',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+creditNoteSchema.index({ number: 1 }, { unique: true, name: 'number_1' });
+creditNoteSchema.index({ tripCode: 1, createdAt: -1 }, { name: 'tripCode_1_createdAt_-1' });
+creditNoteSchema.index({ booking: 1 }, { name: 'booking_1' });
+
+// -----------------------------------------------------------------------------
+// Static Methods
+// -----------------------------------------------------------------------------
+
+/**
+ * Issues a credit note with the next sequential number. Retries on
+ * number collisions caused by concurrent cancellations.
+ */
+creditNoteSchema.statics.issue = async function (fields) {
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+        const last = await this.findOne().sort({ number: -1 }).select('number').lean().exec();
+        try {
+            const note = await this.create({ ...fields, number: last ? last.number + 1 : 1 });
+            return note.toObject();
+        } catch (err) {
+            if (err?.code !== 11000) throw err;
+        }
+    }
+    throw new Error(`Could not issue credit note for booking ${fields.booking}`);
+};
+
+/**
+ * JSON-friendly view of a lean credit note with plain prices and its
+ * display reference.
+ */
+creditNoteSchema.statics.present = function (doc) {
+    return {
+        ...doc,
+        reference: `CN-${String(doc.number).padStart(6, '0')}`,
+        bookingTotal: plainPrice(doc.bookingTotal),
+        refundAmount: plainPrice(doc.refundAmount),
+    };
+};
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+CreditNote.REFUND_STATUSES = REFUND_STATUSES;
+module.exports = CreditNote;
@@ -107,6 +107,20 @@ if (!connecting) {
 
 // Preload all models to ensure schema registration
 require('./travlr');
+require('./tripRevision');
+require('./departure');
+require('./booking');
+require('./paymentIntent');
+require('./creditNote');
+require('./waitlistEntry');
+require('./promoCode');
+require('./pricingRule');
+require('./review');
+require('./wishlistItem');
+require('./refreshToken');
+require('./revokedToken');
+require('./loginThrottle');
+require('./erasureRequest');
 
 // Export Mongoose instance and readiness promise for external usage
 module.exports = {
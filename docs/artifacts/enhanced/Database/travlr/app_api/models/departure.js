@@ -0,0 +1,205 @@
+/* Travlr Departure Schema
+ * -----------------------
+ * A dated, capacity-limited run of a trip, stored in the `departures`
+ * collection. A trip may have many departures, each with its own seat
+ * inventory and an optional price overriding the trip's `perPerson`.
+ *
+ * Seat counters only change through the conditional statics below, so that
+ * seatsSold + seatsHeld can never exceed capacity under concurrent requests.
+ */
+
+const mongoose = require('mongoose');
+const { toPrice, plainPrice } = require('../utils/money');
+const priceSchema = require('./price');
+
+// -----------------------------------------------------------------------------
+// Departure Schema Definition
+// -----------------------------------------------------------------------------
+const departureSchema = new mongoose.Schema(
+    {
+        trip: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Trip reference is required'],
+        },
+
+        // Denormalized business key for readable queries and logs
+        tripCode: {
+            type: String,
+            required: [true, 'Trip code is required'],
+            trim: true,
+        },
+
+        date: {
+            type: Date,
+            required: [true, 'Departure date is required'],
+        },
+
+        capacity: {
+            type: Number,
+            required: [true, 'Capacity is required'],
+            min: [0, 'Capacity cannot be negative'],
+            validate: [Number.isInteger, 'Capacity must be a whole number'],
+        },
+
+        seatsSold: {
+            type: Number,
+            default: 0,
+            min: [0, 'Seats sold cannot be negative'],
+            validate: [Number.isInteger, 'Seats sold must be a whole number'],
+        },
+
+        // Seats reserved by unexpired booking holds
+        seatsHeld: {
+            type: Number,
+            default: 0,
+            min: [0, 'Seats held cannot be negative'],
+        },
+
+        // Optional per-departure price; null falls back to the trip's perPerson
+        price: {
+            type: priceSchema,
+            default: null,
+            set: toPrice,
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'departures',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+departureSchema.index({ trip: 1, date: 1 }, { unique: true, name: 'trip_1_date_1' });
+departureSchema.index({ date: 1, trip: 1 }, { name: 'date_1_trip_1' });
+
+// -----------------------------------------------------------------------------
+// Document Validation
+// -----------------------------------------------------------------------------
+departureSchema.pre('validate', function () {
+    if (this.seatsSold + (this.seatsHeld || 0) > this.capacity) {
+        this.invalidate('capacity', 'Capacity cannot be lower than seats already sold');
+    }
+});
+
+// Seats taken by sales and holds; documents created before holds existed lack seatsHeld.
+const TAKEN = { $add: ['$seatsSold', { $ifNull: ['$seatsHeld', 0] }] };
+
+// -----------------------------------------------------------------------------
+// Static Methods
+// -----------------------------------------------------------------------------
+
+/**
+ * Query fragment matching departures that still have free seats (neither
+ * sold nor held). Usable at the top level of a find or an aggregation $match.
+ */
+departureSchema.statics.availableFilter = function () {
+    return { $expr: { $gt: ['$capacity', TAKEN] } };
+};
+
+/**
+ * Query fragment matching departures whose capacity would still cover every
+ * sold and held seat if it were set to `capacity`.
+ */
+departureSchema.statics.fitsCapacityFilter = function (capacity) {
+    return { $expr: { $lte: [TAKEN, capacity] } };
+};
+
+/**
+ * Query fragment matching departures with at least `seats` free seats.
+ */
+departureSchema.statics.hasRoomFilter = function (seats) {
+    return { $expr: { $lte: [{ $add: [TAKEN, seats] }, '$capacity'] } };
+};
+
+/**
+ * Atomically holds `seats` on a future departure if enough are free.
+ * Resolves to the updated departure, or null when sold out or departed.
+ */
+departureSchema.statics.holdSeats = function (departureId, seats, now = new Date()) {
+    return this.findOneAndUpdate(
+        {
+            _id: departureId,
+            date: { $gt: now },
+            ...this.hasRoomFilter(seats),
+        },
+        { $inc: { seatsHeld: seats } },
+        { new: true }
+    ).exec();
+};
+
+/**
+ * Returns `seats` from the held pool to the free pool (hold cancelled or expired).
+ */
+departureSchema.statics.releaseHeld = function (departureId, seats) {
+    return this.findOneAndUpdate(
+        { _id: departureId, seatsHeld: { $gte: seats } },
+        { $inc: { seatsHeld: -seats } },
+        { new: true }
+    ).exec();
+};
+
+/**
+ * Moves `seats` from the held pool to the sold pool (booking confirmed).
+ */
+departureSchema.statics.commitHeld = function (departureId, seats) {
+    return this.findOneAndUpdate(
+        { _id: departureId, seatsHeld: { $gte: seats } },
+        { $inc: { seatsHeld: -seats, seatsSold: seats } },
+        { new: true }
+    ).exec();
+};
+
+/**
+ * Returns `seats` from the sold pool to the free pool (confirmed booking cancelled).
+ */
+departureSchema.statics.releaseSold = function (departureId, seats) {
+    return this.findOneAndUpdate(
+        { _id: departureId, seatsSold: { $gte: seats } },
+        { $inc: { seatsSold: -seats } },
+        { new: true }
+    ).exec();
+};
+
+/**
+ * Builds the match for available departures in a date window. The window
+ * never starts in the past, so "available" always means bookable.
+ */
+departureSchema.statics.windowMatch = function ({ from, to } = {}, now = new Date()) {
+    const date = { $gte: from && from > now ? from : now };
+    if (to) date.$lte = to;
+    return { date, ...this.availableFilter() };
+};
+
+/**
+ * Returns a Map of tripId -> earliest available departure within the window
+ * for the given trip ids.
+ */
+departureSchema.statics.nextAvailable = async function (tripIds, window = {}) {
+    if (!tripIds.length) return new Map();
+    const rows = await this.aggregate([
+        { $match: { trip: { $in: tripIds }, ...this.windowMatch(window) } },
+        { $sort: { date: 1 } },
+        { $group: { _id: '$trip', next: { $first: '$$ROOT' } } },
+    ]);
+    return new Map(rows.map((r) => [String(r._id), r.next]));
+};
+
+/**
+ * JSON-friendly view of a lean departure: plain price and remaining seats.
+ */
+departureSchema.statics.present = function (doc) {
+    return {
+        ...doc,
+        price: plainPrice(doc.price),
+        seatsAvailable: Math.max(doc.capacity - doc.seatsSold - (doc.seatsHeld || 0), 0),
+    };
+};
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const Departure = mongoose.model('Departure', departureSchema);
+module.exports = Departure;
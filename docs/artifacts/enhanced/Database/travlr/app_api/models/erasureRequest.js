@@ -0,0 +1,90 @@
+/* Travlr Erasure Request Schema
+ * -----------------------------
+ * A request to erase a user's personal data, stored in the
+ * `erasure_requests` collection:
+ *
+ *   pending ──grace period ends──▶ completed
+ *      └──user or admin cancels──▶ cancelled
+ *
+ * Requests are made by the user (DELETE /me) or by an admin and carried out
+ * by the processErasures job once `scheduledFor` has passed. Completed
+ * requests are the record of erasures and hold no personal data: the account
+ * is identified by its id and a SHA-256 digest of its email address, so a
+ * later question about an address can still be answered.
+ */
+
+const mongoose = require('mongoose');
+
+const ERASURE_STATUSES = ['pending', 'cancelled', 'completed'];
+
+// -----------------------------------------------------------------------------
+// Erasure Request Schema Definition
+// -----------------------------------------------------------------------------
+const erasureRequestSchema = new mongoose.Schema(
+    {
+        // The erased account; the user document itself is gone once completed
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'User is required'],
+        },
+
+        emailHash: {
+            type: String,
+            required: [true, 'Email digest is required'],
+        },
+
+        status: {
+            type: String,
+            enum: ERASURE_STATUSES,
+            default: 'pending',
+        },
+
+        // Null when the user asked themselves; otherwise the admin
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            default: null,
+        },
+
+        reason: { type: String, trim: true, default: null },
+
+        scheduledFor: {
+            type: Date,
+            required: [true, 'Scheduled time is required'],
+        },
+
+        cancelledAt: { type: Date, default: null },
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            default: null,
+        },
+
+        completedAt: { type: Date, default: null },
+        // Documents deleted or anonymized per collection
+        counts: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    {
+        timestamps: true,
+        collection: 'erasure_requests',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+// At most one pending request per user
+erasureRequestSchema.index(
+    { user: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' }, name: 'user_1_pending' }
+);
+// Due requests for the job
+erasureRequestSchema.index({ status: 1, scheduledFor: 1 }, { name: 'status_1_scheduledFor_1' });
+erasureRequestSchema.index({ emailHash: 1 }, { name: 'emailHash_1' });
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const ErasureRequest = mongoose.model('ErasureRequest', erasureRequestSchema);
+ErasureRequest.STATUSES = ERASURE_STATUSES;
+module.exports = ErasureRequest;
@@ -0,0 +1,64 @@
+/* Travlr Login Throttle Schema
+ * ----------------------------
+ * Attempt counters that guard the credential endpoints, stored in the
+ * `login_throttles` collection. One document per (kind, key):
+ *
+ *   account  key = lowercased email    failed logins against one address
+ *   ip       key = client IP           failed logins from one client
+ *   forgot   key = lowercased email    password-reset emails requested
+ *   mfa      key = user id             wrong second-factor codes
+ *
+ * `count` accumulates within a window that ends at `expiresAt`; once it
+ * passes the kind's threshold the key is locked until `lockedUntil`. Keys are
+ * tracked whether or not an account exists, so lockouts reveal nothing about
+ * registered addresses. A TTL index drops counters once they have expired.
+ */
+
+const mongoose = require('mongoose');
+
+const THROTTLE_KINDS = ['account', 'ip', 'forgot', 'mfa'];
+
+// -----------------------------------------------------------------------------
+// Login Throttle Schema Definition
+// -----------------------------------------------------------------------------
+const loginThrottleSchema = new mongoose.Schema(
+    {
+        kind: {
+            type: String,
+            enum: THROTTLE_KINDS,
+            required: [true, 'Throttle kind is required'],
+        },
+
+        key: {
+            type: String,
+            required: [true, 'Throttle key is required'],
+        },
+
+        count: { type: Number, default: 0, min: 0 },
+        lastAttemptAt: { type: Date, default: null },
+        lockedUntil: { type: Date, default: null },
+
+        // End of the counting window (or of the lockout, whichever is later)
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry is required'],
+        },
+    },
+    {
+        collection: 'login_throttles',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+loginThrottleSchema.index({ kind: 1, key: 1 }, { unique: true, name: 'kind_1_key_1' });
+loginThrottleSchema.index({ lockedUntil: -1 }, { name: 'lockedUntil_-1' });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'expiresAt_ttl' });
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const LoginThrottle = mongoose.model('LoginThrottle', loginThrottleSchema);
+LoginThrottle.KINDS = THROTTLE_KINDS;
+module.exports = LoginThrottle;
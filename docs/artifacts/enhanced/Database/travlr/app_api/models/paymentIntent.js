@@ -0,0 +1,170 @@
+/* Travlr Payment Intent Schema
+ * ----------------------------
+ * One attempt to collect payment for a booking through a payment gateway,
+ * stored in the `payment_intents` collection. Status changes only follow
+ * the TRANSITIONS table below and each one is appended to `history`:
+ *
+ *   requires_payment_method ──confirm──▶ processing ──webhook──▶ succeeded ──▶ refunded
+ *   processing ──3-D Secure──▶ requires_action ──authenticate──▶ processing
+ *   processing ──webhook──▶ failed ──retry──▶ processing
+ *
+ * Intents that have not started processing are cancelled with their booking.
+ */
+
+const mongoose = require('mongoose');
+const { plainPrice } = require('../utils/money');
+const priceSchema = require('./price');
+
+const PAYMENT_STATUSES = [
+    'requires_payment_method',
+    'requires_action',
+    'processing',
+    'succeeded',
+    'failed',
+    'cancelled',
+    'refunded',
+];
+
+// Target status -> statuses it may be reached from
+const TRANSITIONS = {
+    processing: ['requires_payment_method', 'requires_action', 'failed'],
+    requires_action: ['processing'],
+    succeeded: ['processing'],
+    failed: ['processing'],
+    cancelled: ['requires_payment_method', 'requires_action', 'failed'],
+    refunded: ['succeeded'],
+};
+
+// -----------------------------------------------------------------------------
+// Payment Intent Schema Definition
+// -----------------------------------------------------------------------------
+const historySchema = new mongoose.Schema(
+    {
+        status: { type: String, enum: PAYMENT_STATUSES, required: true },
+        at: { type: Date, required: true },
+        reason: { type: String, default: null },
+    },
+    { _id: false }
+);
+
+const paymentIntentSchema = new mongoose.Schema(
+    {
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking',
+            required: [true, 'Booking reference is required'],
+        },
+
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            required: [true, 'Payment user is required'],
+        },
+
+        // Gateway name and the gateway's own identifier for this intent
+        provider: {
+            type: String,
+            required: [true, 'Payment provider is required'],
+        },
+
+        providerRef: {
+            type: String,
+            required: [true, 'Provider reference is required'],
+        },
+
+        // Copied from the booking total when the intent is created
+        amount: {
+            type: priceSchema,
+            required: [true, 'Payment amount is required'],
+        },
+
+        status: {
+            type: String,
+            enum: PAYMENT_STATUSES,
+            default: 'requires_payment_method',
+        },
+
+        // Extra step the payer must complete (e.g. { type: 'three_d_secure' })
+        nextAction: { type: mongoose.Schema.Types.Mixed, default: null },
+
+        // Part of `amount` returned to the payer (cancellation refunds may be partial)
+        refundedAmount: { type: priceSchema, default: null },
+
+        failureCode: { type: String, default: null },
+        cardLast4: { type: String, default: null },
+
+        history: { type: [historySchema], default: [] },
+    },
+    {
+        timestamps: true,
+        collection: 'payment_intents',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+paymentIntentSchema.index(
+    { provider: 1, providerRef: 1 },
+    { unique: true, name: 'provider_1_providerRef_1' }
+);
+paymentIntentSchema.index({ booking: 1, status: 1 }, { name: 'booking_1_status_1' });
+
+// -----------------------------------------------------------------------------
+// Static Methods
+// -----------------------------------------------------------------------------
+
+/**
+ * Atomically moves an intent to status `to` if its current status allows it.
+ * `set` holds extra fields to update alongside. Resolves to the updated lean
+ * document, or null when the intent is missing or the transition is invalid.
+ */
+paymentIntentSchema.statics.transition = function (
+    intentId,
+    to,
+    { set = {}, reason = null } = {},
+    now = new Date()
+) {
+    return this.findOneAndUpdate(
+        { _id: intentId, status: { $in: TRANSITIONS[to] || [] } },
+        {
+            $set: { ...set, status: to },
+            $push: { history: { status: to, at: now, reason } },
+        },
+        { new: true }
+    )
+        .lean()
+        .exec();
+};
+
+/**
+ * Cancels the booking's intents that have not started processing, so they
+ * can no longer be paid once the booking is cancelled or expired.
+ */
+paymentIntentSchema.statics.cancelOpen = function (bookingId, reason, now = new Date()) {
+    return this.updateMany(
+        { booking: bookingId, status: { $in: TRANSITIONS.cancelled } },
+        {
+            $set: { status: 'cancelled', nextAction: null },
+            $push: { history: { status: 'cancelled', at: now, reason } },
+        }
+    ).exec();
+};
+
+/**
+ * JSON-friendly view of a lean intent with a plain decimal amount.
+ */
+paymentIntentSchema.statics.present = function (doc) {
+    return {
+        ...doc,
+        amount: plainPrice(doc.amount),
+        refundedAmount: plainPrice(doc.refundedAmount),
+    };
+};
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const PaymentIntent = mongoose.model('PaymentIntent', paymentIntentSchema);
+PaymentIntent.STATUSES = PAYMENT_STATUSES;
+module.exports = PaymentIntent;
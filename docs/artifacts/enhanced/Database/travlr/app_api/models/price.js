@@ -0,0 +1,34 @@
+/* Price Sub-schema
+ * ----------------
+ * Decimal amount plus ISO 4217 currency, embedded wherever a document carries
+ * a price (trip per-person cost, departure overrides). Legacy string prices
+ * are coerced by a `toPrice` setter on the embedding path.
+ */
+
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY, AMOUNT_PATTERN } = require('../utils/money');
+
+const priceSchema = new mongoose.Schema(
+    {
+        amount: {
+            type: mongoose.Schema.Types.Decimal128,
+            required: [true, 'Price amount is required'],
+            validate: {
+                validator: (v) => v === null || v === undefined || AMOUNT_PATTERN.test(String(v)),
+                message: 'Per-person value must be a valid price',
+            },
+        },
+
+        currency: {
+            type: String,
+            required: [true, 'Currency is required'],
+            uppercase: true,
+            trim: true,
+            default: DEFAULT_CURRENCY,
+            match: [/^[A-Z]{3}$/, 'Currency must be an ISO 4217 code'],
+        },
+    },
+    { _id: false }
+);
+
+module.exports = priceSchema;
@@ -0,0 +1,84 @@
+/* Travlr Pricing Rule Schema
+ * --------------------------
+ * Automatic percentage discounts, stored in the `pricing_rules` collection.
+ * Each rule has a kind with its own condition:
+ *
+ *   early_bird   booked at least `minDaysBefore` days before the start
+ *   last_minute  booked at most `maxDaysBefore` days before the start
+ *   group        at least `minTravelers` travelers on the booking
+ *
+ * Rules can be scoped to trips and/or resorts (empty lists mean "all").
+ * See services/pricingService.js for how rules combine.
+ */
+
+const mongoose = require('mongoose');
+
+const RULE_KINDS = ['early_bird', 'last_minute', 'group'];
+
+// Condition field each kind requires
+const CONDITION_FIELD = {
+    early_bird: 'minDaysBefore',
+    last_minute: 'maxDaysBefore',
+    group: 'minTravelers',
+};
+
+// -----------------------------------------------------------------------------
+// Pricing Rule Schema Definition
+// -----------------------------------------------------------------------------
+const pricingRuleSchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: [true, 'Rule name is required'],
+            trim: true,
+        },
+
+        kind: {
+            type: String,
+            enum: RULE_KINDS,
+            required: [true, 'Rule kind is required'],
+        },
+
+        percentOff: {
+            type: Number,
+            required: [true, 'Percent off is required'],
+            min: [1, 'Percent off must be at least 1'],
+            max: [100, 'Percent off cannot exceed 100'],
+        },
+
+        minDaysBefore: { type: Number, default: null, min: 0 },
+        maxDaysBefore: { type: Number, default: null, min: 0 },
+        minTravelers: { type: Number, default: null, min: 2 },
+
+        tripCodes: { type: [String], default: [] },
+        resorts: { type: [String], default: [] },
+
+        active: { type: Boolean, default: true },
+    },
+    {
+        timestamps: true,
+        collection: 'pricing_rules',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+pricingRuleSchema.index({ active: 1, kind: 1 }, { name: 'active_1_kind_1' });
+
+// -----------------------------------------------------------------------------
+// Document Validation
+// -----------------------------------------------------------------------------
+pricingRuleSchema.pre('validate', function () {
+    const field = CONDITION_FIELD[this.kind];
+    if (field && (this[field] === null || this[field] === undefined)) {
+        this.invalidate(field, `${this.kind} rules need ${field}`);
+    }
+});
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+PricingRule.KINDS = RULE_KINDS;
+module.exports = PricingRule;
@@ -0,0 +1,151 @@
+/* Travlr Promo Code Schema
+ * ------------------------
+ * Marketing discount codes, stored in the `promo_codes` collection. A code
+ * takes either a percentage or a fixed amount off a booking, can be limited
+ * in total redemptions and to a validity window, and can be scoped to
+ * specific trips and/or resorts (empty lists mean "all").
+ */
+
+const mongoose = require('mongoose');
+const { plainPrice, toPrice } = require('../utils/money');
+const priceSchema = require('./price');
+
+const PROMO_TYPES = ['percent', 'fixed'];
+
+// -----------------------------------------------------------------------------
+// Promo Code Schema Definition
+// -----------------------------------------------------------------------------
+const promoCodeSchema = new mongoose.Schema(
+    {
+        code: {
+            type: String,
+            required: [true, 'Promo code is required'],
+            trim: true,
+            uppercase: true,
+            match: [/^[A-Z0-9_-]{3,32}$/, 'Promo code must be 3-32 letters, digits, _ or -'],
+        },
+
+        description: { type: String, trim: true, default: '' },
+
+        type: {
+            type: String,
+            enum: PROMO_TYPES,
+            required: [true, 'Promo type is required'],
+        },
+
+        // Used by `percent` codes
+        percentOff: {
+            type: Number,
+            default: null,
+            min: [1, 'Percent off must be at least 1'],
+            max: [100, 'Percent off cannot exceed 100'],
+        },
+
+        // Used by `fixed` codes; only applies to prices in the same currency
+        amountOff: {
+            type: priceSchema,
+            default: null,
+            set: toPrice,
+        },
+
+        // null means unlimited
+        maxRedemptions: {
+            type: Number,
+            default: null,
+            min: [1, 'Max redemptions must be at least 1'],
+        },
+
+        redemptions: { type: Number, default: 0, min: 0 },
+
+        validFrom: { type: Date, default: null },
+        validUntil: { type: Date, default: null },
+
+        tripCodes: { type: [String], default: [] },
+        resorts: { type: [String], default: [] },
+
+        active: { type: Boolean, default: true },
+    },
+    {
+        timestamps: true,
+        collection: 'promo_codes',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+promoCodeSchema.index({ code: 1 }, { unique: true, name: 'code_unique' });
+
+// -----------------------------------------------------------------------------
+// Document Validation
+// -----------------------------------------------------------------------------
+promoCodeSchema.pre('validate', function () {
+    if (this.type === 'percent' && !this.percentOff) {
+        this.invalidate('percentOff', 'Percent codes need percentOff');
+    }
+    if (this.type === 'fixed' && !this.amountOff) {
+        this.invalidate('amountOff', 'Fixed codes need amountOff');
+    }
+    if (this.validFrom && this.validUntil && this.validFrom > this.validUntil) {
+        this.invalidate('validUntil', 'validUntil must not be before validFrom');
+    }
+});
+
+// -----------------------------------------------------------------------------
+// Static Methods
+// -----------------------------------------------------------------------------
+
+/**
+ * Query fragment matching codes that can be redeemed at `now`: active,
+ * inside their validity window and below their redemption limit.
+ */
+promoCodeSchema.statics.redeemableFilter = function (now = new Date()) {
+    return {
+        active: true,
+        $and: [
+            { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+            { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+            {
+                $or: [
+                    { maxRedemptions: null },
+                    { $expr: { $lt: ['$redemptions', '$maxRedemptions'] } },
+                ],
+            },
+        ],
+    };
+};
+
+/**
+ * Atomically counts one redemption of `code` if it is still redeemable.
+ * Resolves to the updated code, or null when it cannot be redeemed.
+ */
+promoCodeSchema.statics.redeem = function (code, now = new Date()) {
+    return this.findOneAndUpdate(
+        { code, ...this.redeemableFilter(now) },
+        { $inc: { redemptions: 1 } },
+        { new: true }
+    )
+        .lean()
+        .exec();
+};
+
+/**
+ * Gives back one redemption (e.g. the booking's hold lapsed unpaid).
+ */
+promoCodeSchema.statics.release = function (code) {
+    return this.updateOne({ code, redemptions: { $gt: 0 } }, { $inc: { redemptions: -1 } }).exec();
+};
+
+/**
+ * JSON-friendly view of a lean promo code with a plain decimal amount.
+ */
+promoCodeSchema.statics.present = function (doc) {
+    return { ...doc, amountOff: plainPrice(doc.amountOff) };
+};
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const PromoCode = mongoose.model('PromoCode', promoCodeSchema);
+PromoCode.TYPES = PROMO_TYPES;
+module.exports = PromoCode;
@@ -0,0 +1,81 @@
+/* Travlr Refresh Token Schema
+ * ---------------------------
+ * Long-lived refresh tokens, stored in the `refresh_tokens` collection as
+ * SHA-256 digests; the raw token is only ever shown to the client. Each
+ * refresh rotates the token: the presented one is revoked and a successor
+ * in the same `family` (one login session) is issued. Presenting a rotated
+ * token again means it was copied, so the whole family is revoked.
+ *
+ * Expired tokens are removed by a TTL index.
+ */
+
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = [
+    'rotated',
+    'logout',
+    'logout_all',
+    'reuse',
+    'password_reset',
+    'password_change',
+    'email_change',
+];
+
+// -----------------------------------------------------------------------------
+// Refresh Token Schema Definition
+// -----------------------------------------------------------------------------
+const refreshTokenSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            required: [true, 'Token user is required'],
+        },
+
+        // SHA-256 hex digest of the raw token
+        tokenHash: {
+            type: String,
+            required: [true, 'Token hash is required'],
+        },
+
+        // Login session the token belongs to; shared by all its rotations
+        family: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: [true, 'Token family is required'],
+        },
+
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry is required'],
+        },
+
+        // Session completed a second factor; carried into refreshed access tokens
+        mfa: { type: Boolean, default: false },
+
+        revokedAt: { type: Date, default: null },
+        revokedReason: { type: String, enum: [...REVOKE_REASONS, null], default: null },
+
+        // Client details recorded at issue time, for session listings and audits
+        userAgent: { type: String, default: null },
+        ip: { type: String, default: null },
+    },
+    {
+        timestamps: true,
+        collection: 'refresh_tokens',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true, name: 'tokenHash_1' });
+refreshTokenSchema.index({ family: 1, revokedAt: 1 }, { name: 'family_1_revokedAt_1' });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 }, { name: 'user_1_revokedAt_1' });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'expiresAt_ttl' });
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+RefreshToken.REVOKE_REASONS = REVOKE_REASONS;
+module.exports = RefreshToken;
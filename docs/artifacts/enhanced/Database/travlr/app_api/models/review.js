@@ -0,0 +1,111 @@
+/* Travlr Review Schema
+ * --------------------
+ * A user's star rating and written review of a trip, stored in the
+ * `reviews` collection. Each user may review a trip once. New and edited
+ * reviews wait in the moderation queue; only approved reviews are public
+ * and count towards the trip's stored `rating` summary.
+ *
+ *   pending ──approve──▶ approved ──hide──▶ hidden ──approve──▶ approved
+ *      └──reject──▶ rejected ──approve──▶ approved
+ */
+
+const mongoose = require('mongoose');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected', 'hidden'];
+
+// -----------------------------------------------------------------------------
+// Review Schema Definition
+// -----------------------------------------------------------------------------
+const reviewSchema = new mongoose.Schema(
+    {
+        trip: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Trip reference is required'],
+        },
+
+        tripCode: {
+            type: String,
+            required: [true, 'Trip code is required'],
+            trim: true,
+        },
+
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            required: [true, 'Review author is required'],
+        },
+
+        // Display name captured when the review is written
+        userName: { type: String, trim: true, default: '' },
+
+        rating: {
+            type: Number,
+            required: [true, 'Rating is required'],
+            min: [1, 'Rating must be between 1 and 5'],
+            max: [5, 'Rating must be between 1 and 5'],
+            validate: [Number.isInteger, 'Rating must be a whole number of stars'],
+        },
+
+        text: {
+            type: String,
+            required: [true, 'Review text is required'],
+            trim: true,
+            maxlength: [2000, 'Review text cannot exceed 2000 characters'],
+        },
+
+        status: {
+            type: String,
+            enum: REVIEW_STATUSES,
+            default: 'pending',
+        },
+
+        moderatedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            default: null,
+        },
+
+        moderatedAt: { type: Date, default: null },
+        moderationNote: { type: String, trim: true, default: null },
+    },
+    {
+        timestamps: true,
+        collection: 'reviews',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+reviewSchema.index({ trip: 1, user: 1 }, { unique: true, name: 'trip_1_user_1' });
+reviewSchema.index({ trip: 1, status: 1, createdAt: -1 }, { name: 'trip_1_status_1_createdAt_-1' });
+reviewSchema.index({ status: 1, createdAt: 1 }, { name: 'status_1_createdAt_1' });
+
+// -----------------------------------------------------------------------------
+// Static Methods
+// -----------------------------------------------------------------------------
+
+/**
+ * Recomputes the trip's stored rating summary from its approved reviews:
+ * { average (2 decimals, null when unrated), count }. Resolves to the summary.
+ */
+reviewSchema.statics.refreshTripRating = async function (tripId) {
+    const [row] = await this.aggregate([
+        { $match: { trip: new mongoose.Types.ObjectId(String(tripId)), status: 'approved' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } },
+    ]);
+    const rating = row
+        ? { average: Math.round(row.average * 100) / 100, count: row.count }
+        : { average: null, count: 0 };
+
+    await mongoose.model('Trip').updateOne({ _id: tripId }, { $set: { rating } }).exec();
+    return rating;
+};
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const Review = mongoose.model('Review', reviewSchema);
+Review.STATUSES = REVIEW_STATUSES;
+module.exports = Review;
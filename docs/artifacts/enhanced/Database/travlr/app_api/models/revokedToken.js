@@ -0,0 +1,47 @@
+/* Travlr Revoked Token Schema
+ * ---------------------------
+ * Denylist of access tokens (by JWT `jti`) revoked before they expire,
+ * stored in the `revoked_tokens` collection. An entry only needs to live as
+ * long as the token it blocks, so a TTL index drops it at the token's expiry.
+ */
+
+const mongoose = require('mongoose');
+
+// -----------------------------------------------------------------------------
+// Revoked Token Schema Definition
+// -----------------------------------------------------------------------------
+const revokedTokenSchema = new mongoose.Schema(
+    {
+        jti: {
+            type: String,
+            required: [true, 'Token id is required'],
+        },
+
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            default: null,
+        },
+
+        // Expiry of the revoked access token
+        expiresAt: {
+            type: Date,
+            required: [true, 'Expiry is required'],
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'revoked_tokens',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+revokedTokenSchema.index({ jti: 1 }, { unique: true, name: 'jti_1' });
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'expiresAt_ttl' });
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
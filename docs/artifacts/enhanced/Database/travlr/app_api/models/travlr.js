@@ -6,6 +6,71 @@
  */
 
 const mongoose = require('mongoose');
+const { toPrice, plainPrice, formatPrice } = require('../utils/money');
+const { toDuration, computeEnd, formatDuration } = require('../utils/duration');
+const { toPolicy } = require('../utils/cancellationPolicy');
+const priceSchema = require('./price');
+
+// -----------------------------------------------------------------------------
+// Duration Sub-schema
+// Whole nights and days; legacy free-text lengths are parsed by the
+// `duration` setter below.
+// -----------------------------------------------------------------------------
+const durationSchema = new mongoose.Schema(
+    {
+        nights: {
+            type: Number,
+            required: [true, 'Number of nights is required'],
+            min: [0, 'Nights cannot be negative'],
+            validate: [Number.isInteger, 'Nights must be a whole number'],
+        },
+
+        days: {
+            type: Number,
+            required: [true, 'Number of days is required'],
+            min: [1, 'A trip lasts at least one day'],
+            validate: [Number.isInteger, 'Days must be a whole number'],
+        },
+    },
+    { _id: false }
+);
+
+// -----------------------------------------------------------------------------
+// Refund Tier Sub-schema
+// One step of a cancellation policy; see utils/cancellationPolicy.js.
+// -----------------------------------------------------------------------------
+const refundTierSchema = new mongoose.Schema(
+    {
+        daysBefore: {
+            type: Number,
+            required: [true, 'Days before start is required'],
+            min: [0, 'Days before start cannot be negative'],
+            validate: [Number.isInteger, 'Days before start must be a whole number'],
+        },
+
+        refundPercent: {
+            type: Number,
+            required: [true, 'Refund percent is required'],
+            min: [0, 'Refund percent cannot be negative'],
+            max: [100, 'Refund percent cannot exceed 100'],
+            validate: [Number.isInteger, 'Refund percent must be a whole number'],
+        },
+    },
+    { _id: false }
+);
+
+// -----------------------------------------------------------------------------
+// Rating Summary Sub-schema
+// Maintained from approved reviews by Review.refreshTripRating; never set
+// through the trip endpoints.
+// -----------------------------------------------------------------------------
+const ratingSchema = new mongoose.Schema(
+    {
+        average: { type: Number, default: null, min: 1, max: 5 },
+        count: { type: Number, default: 0, min: 0 },
+    },
+    { _id: false }
+);
 
 // -----------------------------------------------------------------------------
 // Trip Schema Definition
@@ -27,10 +92,14 @@ const tripSchema = new mongoose.Schema(
             trim: true,
         },
 
-        length: {
-            type: String,
-            required: [true, 'Trip length is required'],
-            trim: true,
+        duration: {
+            type: durationSchema,
+            required: [true, 'Trip duration is required'],
+            set: toDuration,
+            validate: {
+                validator: (d) => !d || (d.days >= d.nights && d.days <= d.nights + 1),
+                message: 'Days must equal nights or nights + 1',
+            },
         },
 
         start: {
@@ -38,6 +107,12 @@ const tripSchema = new mongoose.Schema(
             required: [true, 'Trip start date is required'],
         },
 
+        // Last day of the trip, derived from `start` + `duration` by the hooks below
+        end: {
+            type: Date,
+            default: null,
+        },
+
         resort: {
             type: String,
             required: [true, 'Resort name is required'],
@@ -45,10 +120,27 @@ const tripSchema = new mongoose.Schema(
         },
 
         perPerson: {
-            type: String,
+            type: priceSchema,
             required: [true, 'Per-person cost is required'],
-            trim: true,
-            match: [/^\d+(\.\d{1,2})?$/, 'Per-person value must be a valid price'],
+            set: toPrice,
+        },
+
+        // Refund tiers, largest daysBefore first; null means the default policy
+        // and an empty list means no refund at all
+        cancellationPolicy: {
+            type: [refundTierSchema],
+            default: null,
+            set: toPolicy,
+            validate: {
+                validator: (tiers) =>
+                    !tiers || new Set(tiers.map((t) => t.daysBefore)).size === tiers.length,
+                message: 'Cancellation policy tiers must have distinct daysBefore values',
+            },
+        },
+
+        rating: {
+            type: ratingSchema,
+            default: () => ({}),
         },
 
         image: {
@@ -61,10 +153,29 @@ const tripSchema = new mongoose.Schema(
             type: String,
             required: [true, 'Trip description is required'],
         },
+
+        // Soft-delete markers; null means the trip is active
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            default: null,
+        },
     },
     {
         timestamps: true,
         collection: 'trips',
+        toJSON: {
+            // Serialize Decimal128 amounts as plain decimal strings
+            transform: (_doc, ret) => {
+                if (ret.perPerson) ret.perPerson = plainPrice(ret.perPerson);
+                return ret;
+            },
+        },
     }
 );
 
@@ -75,19 +186,68 @@ tripSchema.index({ code: 1 }, { unique: true, name: 'code_unique' });
 tripSchema.index({ code: 1, start: 1 }, { name: 'code_1_start_1' });
 tripSchema.index({ resort: 1, start: 1 }, { name: 'resort_1_start_1' });
 
-// NEW: enhances analytics involving prices
-tripSchema.index({ perPerson: 1 }, { name: 'perPerson_price_idx' });
+// Date-window overlap queries (start <= to && end >= from) and length filters
+tripSchema.index({ start: 1, end: 1 }, { name: 'start_1_end_1' });
+tripSchema.index({ 'duration.nights': 1 }, { name: 'duration_nights_idx' });
+
+// Supports minPrice/maxPrice search filters, which are always scoped to a currency
+tripSchema.index(
+    { 'perPerson.currency': 1, 'perPerson.amount': 1 },
+    { name: 'perPerson_currency_amount_idx' }
+);
+
+// Supports sort=rating and minRating search options
+tripSchema.index({ 'rating.average': -1, _id: 1 }, { name: 'rating_average_-1__id_1' });
+
+// Supports the active-trip filter and the purge job's retention scan
+tripSchema.index({ deletedAt: 1 }, { name: 'deletedAt_idx' });
+
+// -----------------------------------------------------------------------------
+// Derived End Date
+// Documents recompute `end` before validation. Updates that touch `start` or
+// `duration` load the missing half from the stored trip so partial updates
+// (PATCH) keep `end` consistent as well.
+// -----------------------------------------------------------------------------
+tripSchema.pre('validate', function () {
+    this.end = computeEnd(this.start, this.duration);
+});
+
+tripSchema.pre('findOneAndUpdate', async function () {
+    const update = this.getUpdate() || {};
+    const set = { ...update, ...(update.$set || {}) };
+    if (set.start === undefined && set.duration === undefined) return;
+
+    const current =
+        set.start === undefined || set.duration === undefined
+            ? await this.model.findOne(this.getQuery()).select('start duration').lean().exec()
+            : null;
+    const start = set.start === undefined ? current?.start : set.start;
+    const duration = set.duration === undefined ? current?.duration : toDuration(set.duration);
+    this.set('end', computeEnd(start, duration));
+});
 
 // -----------------------------------------------------------------------------
 // Static Analytics Method
+// Soft-deleted trips are excluded unless `includeDeleted` is set. Prices are
+// averaged per resort and currency, since amounts in different currencies
+// cannot be combined.
 // -----------------------------------------------------------------------------
-tripSchema.statics.getAnalytics = function () {
+tripSchema.statics.getAnalytics = function ({ includeDeleted = false } = {}) {
     return this.aggregate([
+        { $match: includeDeleted ? {} : { deletedAt: null } },
         {
             $group: {
-                _id: '$resort',
+                _id: { resort: '$resort', currency: '$perPerson.currency' },
                 totalTrips: { $sum: 1 },
-                averagePerPerson: { $avg: { $toDouble: '$perPerson' } },
+                averagePerPerson: { $avg: '$perPerson.amount' },
+            },
+        },
+        {
+            $project: {
+                _id: '$_id.resort',
+                currency: '$_id.currency',
+                totalTrips: 1,
+                averagePerPerson: { $toDouble: { $round: ['$averagePerPerson', 2] } },
             },
         },
         { $sort: { totalTrips: -1 } },
@@ -97,10 +257,29 @@ tripSchema.statics.getAnalytics = function () {
 // -----------------------------------------------------------------------------
 // Virtual Properties
 // -----------------------------------------------------------------------------
+// Controllers working with lean documents call formatPrice directly with the
+// caller's locale; the virtual uses DEFAULT_LOCALE.
 tripSchema.virtual('priceFormatted').get(function () {
-    return `$${parseFloat(this.perPerson).toFixed(2)}`;
+    return formatPrice(this.perPerson);
 });
 
+// -----------------------------------------------------------------------------
+// Response shaping
+// Lean documents carry raw Decimal128 amounts, so trips are converted before
+// serialization and given a `priceFormatted` string in `locale`. The legacy
+// `length` text is derived from `duration` for existing clients. Trips stored
+// before reviews existed are reported as unrated.
+// -----------------------------------------------------------------------------
+tripSchema.statics.present = function (doc, locale) {
+    return {
+        ...doc,
+        perPerson: plainPrice(doc.perPerson),
+        priceFormatted: formatPrice(doc.perPerson, locale),
+        length: doc.duration ? formatDuration(doc.duration) : doc.length,
+        rating: doc.rating || { average: null, count: 0 },
+    };
+};
+
 // -----------------------------------------------------------------------------
 // Export Model
 // -----------------------------------------------------------------------------
@@ -0,0 +1,154 @@
+/* Trip Revision Schema
+ * --------------------
+ * Append-only history of changes made to trip documents, stored in the
+ * `trip_revisions` collection. Each revision keeps a full snapshot of the
+ * trip after the change plus a field-level diff against the prior version.
+ */
+
+const mongoose = require('mongoose');
+
+// Bookkeeping fields that never participate in snapshots or diffs; `rating`
+// is derived from reviews rather than edited
+const IGNORED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', 'rating'];
+
+// -----------------------------------------------------------------------------
+// Revision Schema Definition
+// -----------------------------------------------------------------------------
+const changeSchema = new mongoose.Schema(
+    {
+        field: { type: String, required: true },
+        from: { type: mongoose.Schema.Types.Mixed, default: null },
+        to: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+    { _id: false }
+);
+
+const tripRevisionSchema = new mongoose.Schema(
+    {
+        trip: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: true,
+        },
+
+        // Kept for display only; codes are freed when a trip is purged and may
+        // be reused, so revisions are keyed by `trip`
+        tripCode: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+
+        // Per-trip revision number, starting at 1 for the create
+        n: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+
+        action: {
+            type: String,
+            enum: ['create', 'update', 'patch', 'revert', 'delete', 'restore'],
+            required: true,
+        },
+
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            default: null,
+        },
+
+        changedByEmail: {
+            type: String,
+            default: null,
+        },
+
+        changes: {
+            type: [changeSchema],
+            default: [],
+        },
+
+        snapshot: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+        collection: 'trip_revisions',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+tripRevisionSchema.index({ trip: 1, n: 1 }, { unique: true, name: 'trip_1_n_1' });
+
+// -----------------------------------------------------------------------------
+// Helpers
+// -----------------------------------------------------------------------------
+
+// Plain-object copy of a trip without bookkeeping fields.
+const toSnapshot = (doc) => {
+    if (!doc) return {};
+    const plain = typeof doc.toObject === 'function' ? doc.toObject() : { ...doc };
+    IGNORED_FIELDS.forEach((k) => delete plain[k]);
+    return plain;
+};
+
+// Field-level diff between two snapshots; values are compared by JSON form.
+const diffSnapshots = (before, after) => {
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const changes = [];
+    keys.forEach((field) => {
+        const from = before[field] === undefined ? null : before[field];
+        const to = after[field] === undefined ? null : after[field];
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from, to });
+        }
+    });
+    return changes;
+};
+
+// -----------------------------------------------------------------------------
+// Static Methods
+// -----------------------------------------------------------------------------
+
+/**
+ * Appends a revision for `trip`, diffing it against `previous` (null for a
+ * create). `auth` is the decoded JWT of the acting user, when available.
+ * Retries on revision-number collisions caused by concurrent writers.
+ */
+tripRevisionSchema.statics.record = async function (trip, previous, { action, auth } = {}) {
+    const snapshot = toSnapshot(trip);
+    const changes = diffSnapshots(toSnapshot(previous), snapshot);
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+        const last = await this.findOne({ trip: trip._id })
+            .sort({ n: -1 })
+            .select('n')
+            .lean()
+            .exec();
+        try {
+            return await this.create({
+                trip: trip._id,
+                tripCode: trip.code,
+                n: last ? last.n + 1 : 1,
+                action,
+                changedBy: auth?._id || null,
+                changedByEmail: auth?.email || null,
+                changes,
+                snapshot,
+            });
+        } catch (err) {
+            if (err?.code !== 11000) throw err;
+        }
+    }
+    throw new Error(`Could not record revision for trip ${trip.code}`);
+};
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const TripRevision = mongoose.model('TripRevision', tripRevisionSchema);
+module.exports = TripRevision;
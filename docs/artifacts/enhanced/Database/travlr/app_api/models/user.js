@@ -2,28 +2,118 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { hashPassword, verifyPassword, needsRehash } = require('../utils/passwordHasher');
+const { ROLE_NAMES } = require('../config/roles');
+
+// Algorithm and parameters a password hash was derived with
+const hashParamsSchema = new mongoose.Schema(
+    {
+        algorithm: { type: String, enum: ['scrypt', 'pbkdf2'], required: true },
+        N: Number,
+        r: Number,
+        p: Number,
+        iterations: Number,
+        digest: String,
+        keylen: Number,
+    },
+    { _id: false }
+);
+
+// Self-service settings, changed through PUT /me
+const preferencesSchema = new mongoose.Schema(
+    {
+        // BCP 47 tag the client formats dates and prices with, e.g. "en-GB"
+        locale: {
+            type: String,
+            default: null,
+            validate: {
+                validator: (v) => {
+                    if (v === null) return true;
+                    try {
+                        return Intl.getCanonicalLocales(v).length === 1;
+                    } catch {
+                        return false;
+                    }
+                },
+                message: 'Locale must be a BCP 47 language tag',
+            },
+        },
+        // Price-drop and new-departure emails for saved trips
+        wishlistAlerts: { type: Boolean, default: true },
+    },
+    { _id: false }
+);
 
 // User Schema
 const userSchema = new mongoose.Schema({
     name: String,
     email: { type: String, unique: true, lowercase: true, trim: true },
-    role: { type: String, enum: ['user', 'admin'], default: 'user' },
+    // Permission set name; see config/roles
+    role: { type: String, enum: ROLE_NAMES, default: 'user' },
     hash: String,
     salt: String,
+    // Absent on legacy PBKDF2 hashes (1000 iterations); those are upgraded on login
+    hashParams: { type: hashParamsSchema, default: undefined },
     resetPasswordToken: String,
     resetPasswordExpires: Date,
+    // Embedded in access tokens; bumping it revokes every token issued before
+    tokenVersion: { type: Number, default: 0 },
+    // Set false on registration until the emailed link is followed. Accounts
+    // created before verification existed have no flag and count as verified.
+    emailVerified: Boolean,
+    emailVerifyToken: String,
+    emailVerifyExpires: Date,
+    emailVerifySentAt: Date,
+    // Requested new address, swapped in once the emailed link is followed
+    pendingEmail: { type: String, lowercase: true, trim: true },
+    emailChangeToken: String,
+    emailChangeExpires: Date,
+    preferences: { type: preferencesSchema, default: () => ({}) },
+    // Set by admins to suspend the account; disabled users can neither log in
+    // nor use tokens issued earlier
+    disabledAt: { type: Date, default: null },
+    disabledReason: String,
+    disabledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'users' },
+    // TOTP two-factor authentication (see services/mfaService). Secrets and
+    // recovery code digests are only loaded when explicitly selected.
+    mfa: {
+        enabled: { type: Boolean, default: false },
+        enabledAt: Date,
+        secret: { type: String, select: false },
+        // Secret shown during enrollment, promoted to `secret` once confirmed
+        pendingSecret: { type: String, select: false },
+        // Last accepted time step; codes from it or earlier are replays
+        lastUsedStep: Number,
+        recoveryCodes: {
+            type: [{ hash: String, usedAt: { type: Date, default: null }, _id: false }],
+            select: false,
+        },
+    },
 });
 
-// Password setup
-userSchema.methods.setPassword = function (password) {
-    this.salt = crypto.randomBytes(16).toString('hex');
-    this.hash = crypto.pbkdf2Sync(password, this.salt, 1000, 64, 'sha512').toString('hex');
+// Minutes an access token stays valid; refresh tokens renew it.
+const accessTokenMinutes = () => Number(process.env.ACCESS_TOKEN_MINUTES) || 15;
+
+// Password setup (async; hashes with the configured algorithm)
+userSchema.methods.setPassword = async function (password) {
+    const { hash, salt, params } = await hashPassword(password);
+    this.hash = hash;
+    this.salt = salt;
+    this.hashParams = params;
 };
 
-// Validate password
+// Validate password (async, constant-time comparison)
 userSchema.methods.validPassword = function (password) {
-    const hash = crypto.pbkdf2Sync(password, this.salt, 1000, 64, 'sha512').toString('hex');
-    return this.hash === hash;
+    return verifyPassword(password, {
+        hash: this.hash,
+        salt: this.salt,
+        params: this.hashParams?.toObject ? this.hashParams.toObject() : this.hashParams,
+    });
+};
+
+// True when the stored hash predates the current hashing parameters
+userSchema.methods.passwordNeedsRehash = function () {
+    return needsRehash(this.hashParams?.toObject ? this.hashParams.toObject() : this.hashParams);
 };
 
 // Create password reset token
@@ -35,12 +125,57 @@ userSchema.methods.createPasswordResetToken = function () {
     return token;
 };
 
-userSchema.methods.generateJWT = function () {
+// Create email verification token (same hashed-token scheme as password reset)
+userSchema.methods.createEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    this.emailVerifyToken = tokenHash;
+    this.emailVerifyExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+    this.emailVerifySentAt = Date.now();
+    return token;
+};
+
+// Create email change token for `newEmail` (same hashed-token scheme)
+userSchema.methods.createEmailChangeToken = function (newEmail) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    this.pendingEmail = newEmail;
+    this.emailChangeToken = tokenHash;
+    this.emailChangeExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+    return token;
+};
+
+// True unless the account still has to confirm its email address.
+userSchema.methods.isEmailVerified = function () {
+    return this.emailVerified !== false;
+};
+
+// Short-lived access token. `jti` lets a single token be denylisted on
+// logout; `tv` ties it to the user's current tokenVersion; `mfa` marks
+// sessions that passed a second factor.
+userSchema.methods.generateJWT = function ({ mfa = false } = {}) {
     return jwt.sign(
-        { _id: this._id, email: this.email, name: this.name, role: this.role },
+        {
+            _id: this._id,
+            email: this.email,
+            name: this.name,
+            role: this.role,
+            tv: this.tokenVersion || 0,
+            ...(mfa && { mfa: true }),
+        },
         process.env.JWT_SECRET,
-        { expiresIn: '7d' }
+        { expiresIn: accessTokenMinutes() * 60, jwtid: crypto.randomUUID() }
     );
 };
 
+userSchema.statics.accessTokenSeconds = () => accessTokenMinutes() * 60;
+
+// True when `user` is the only admin who can still sign in; removing, demoting
+// or disabling them would leave nobody able to manage users.
+userSchema.statics.isLastActiveAdmin = async function (user) {
+    if (user.role !== 'admin' || user.disabledAt) return false;
+    const admins = await this.countDocuments({ role: 'admin', disabledAt: null }).exec();
+    return admins <= 1;
+};
+
 module.exports = mongoose.model('users', userSchema);
@@ -0,0 +1,102 @@
+/* Travlr Waitlist Entry Schema
+ * ----------------------------
+ * A user's place in the FIFO waitlist of a sold-out trip, stored in the
+ * `waitlist_entries` collection. Entries are served in creation order and
+ * move through the states below:
+ *
+ *   waiting ──seat freed──▶ offered ──booking confirmed──▶ claimed
+ *      │                      └──claim window lapses / hold cancelled──▶ lapsed
+ *      └──user leaves──▶ cancelled   (offered entries can be left as well)
+ *
+ * An offer is a held booking in the user's name whose hold lasts for the
+ * claim window; claiming it means paying for and confirming that booking.
+ */
+
+const mongoose = require('mongoose');
+
+const WAITLIST_STATUSES = ['waiting', 'offered', 'claimed', 'lapsed', 'cancelled'];
+
+// -----------------------------------------------------------------------------
+// Waitlist Entry Schema Definition
+// -----------------------------------------------------------------------------
+const waitlistEntrySchema = new mongoose.Schema(
+    {
+        trip: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Trip reference is required'],
+        },
+
+        tripCode: {
+            type: String,
+            required: [true, 'Trip code is required'],
+            trim: true,
+        },
+
+        // Specific departure waited for; null accepts any departure of the trip
+        departure: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Departure',
+            default: null,
+        },
+
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            required: [true, 'Waitlist user is required'],
+        },
+
+        // Address that receives the seat offer
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            trim: true,
+            lowercase: true,
+        },
+
+        seats: {
+            type: Number,
+            required: [true, 'Number of seats is required'],
+            min: [1, 'At least one seat is required'],
+            validate: [Number.isInteger, 'Seats must be a whole number'],
+        },
+
+        status: {
+            type: String,
+            enum: WAITLIST_STATUSES,
+            default: 'waiting',
+        },
+
+        // Held booking created for the offer and the end of its claim window
+        booking: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Booking',
+            default: null,
+        },
+
+        offeredAt: { type: Date, default: null },
+        offerExpiresAt: { type: Date, default: null },
+    },
+    {
+        timestamps: true,
+        collection: 'waitlist_entries',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+// Queue order per trip: the oldest waiting entry is served first
+waitlistEntrySchema.index(
+    { trip: 1, status: 1, createdAt: 1, _id: 1 },
+    { name: 'trip_1_status_1_createdAt_1__id_1' }
+);
+waitlistEntrySchema.index({ user: 1, trip: 1, status: 1 }, { name: 'user_1_trip_1_status_1' });
+waitlistEntrySchema.index({ booking: 1 }, { name: 'booking_1', sparse: true });
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+WaitlistEntry.STATUSES = WAITLIST_STATUSES;
+module.exports = WaitlistEntry;
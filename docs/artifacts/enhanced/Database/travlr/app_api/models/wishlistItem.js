@@ -0,0 +1,59 @@
+/* Travlr Wishlist Item Schema
+ * ---------------------------
+ * A trip saved by a user, stored in the `wishlist_items` collection. One
+ * item per user and trip. Saved trips are flagged in trip listings for their
+ * owner, who is emailed when the trip's price drops or a departure is added.
+ */
+
+const mongoose = require('mongoose');
+
+// -----------------------------------------------------------------------------
+// Wishlist Item Schema Definition
+// -----------------------------------------------------------------------------
+const wishlistItemSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'users',
+            required: [true, 'Wishlist user is required'],
+        },
+
+        trip: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Trip',
+            required: [true, 'Trip reference is required'],
+        },
+
+        tripCode: {
+            type: String,
+            required: [true, 'Trip code is required'],
+            trim: true,
+        },
+
+        // Address that receives price-drop and new-departure emails
+        email: {
+            type: String,
+            required: [true, 'Email is required'],
+            trim: true,
+            lowercase: true,
+        },
+    },
+    {
+        timestamps: true,
+        collection: 'wishlist_items',
+    }
+);
+
+// -----------------------------------------------------------------------------
+// Indexes
+// -----------------------------------------------------------------------------
+// One item per user and trip; also serves "my wishlist" newest-first lookups
+wishlistItemSchema.index({ user: 1, trip: 1 }, { unique: true, name: 'user_1_trip_1' });
+wishlistItemSchema.index({ user: 1, createdAt: -1 }, { name: 'user_1_createdAt_-1' });
+// Everyone to notify about a trip
+wishlistItemSchema.index({ trip: 1 }, { name: 'trip_1' });
+
+// -----------------------------------------------------------------------------
+// Export Model
+// -----------------------------------------------------------------------------
+module.exports = mongoose.model('WishlistItem', wishlistItemSchema);
@@ -0,0 +1,126 @@
+/**
+ * Fake Payment Provider
+ * ---------------------
+ * Offline stand-in for a card gateway, used for local development and
+ * end-to-end checkout testing. Outcomes are decided by the card number:
+ *
+ *   4242 4242 4242 4242   succeeds
+ *   4000 0000 0000 0002   declined (card_declined)
+ *   4000 0000 0000 9995   declined (insufficient_funds)
+ *   4000 0000 0000 3220   requires 3-D Secure; approving succeeds, denying fails
+ *   any other number      declined (card_not_supported)
+ *
+ * Like a real provider it settles asynchronously: outcomes are posted as
+ * signed webhook events to PAYMENTS_WEBHOOK_URL on the next tick. The
+ * X-Fake-Signature header carries `t=<unix seconds>,v1=<hex HMAC-SHA256>`
+ * of `<t>.<raw body>` keyed with PAYMENTS_WEBHOOK_SECRET. There is no default
+ * secret: while it is unset no events are sent and every webhook is rejected,
+ * so payments stay "processing".
+ */
+
+const crypto = require('crypto');
+
+const TEST_CARDS = {
+    4242424242424242: { outcome: 'succeed' },
+    4000000000000002: { outcome: 'decline', failureCode: 'card_declined' },
+    4000000000009995: { outcome: 'decline', failureCode: 'insufficient_funds' },
+    4000000000003220: { outcome: 'challenge' },
+};
+const UNKNOWN_CARD = { outcome: 'decline', failureCode: 'card_not_supported' };
+
+const SIGNATURE_HEADER = 'x-fake-signature';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const webhookSecret = () => process.env.PAYMENTS_WEBHOOK_SECRET || null;
+const MISSING_SECRET = 'PAYMENTS_WEBHOOK_SECRET is not set; webhooks are disabled';
+const webhookUrl = () =>
+    process.env.PAYMENTS_WEBHOOK_URL ||
+    `http://127.0.0.1:${process.env.PORT || 3000}/api/payments/webhook`;
+
+// Hex HMAC of `<timestamp>.<payload>`.
+const sign = (payload, timestamp) =>
+    crypto.createHmac('sha256', webhookSecret()).update(`${timestamp}.${payload}`).digest('hex');
+
+// Posts a signed event to the webhook URL on the next tick; delivery errors are logged only.
+const dispatch = (type, data) => {
+    if (!webhookSecret()) {
+        console.error(`[PAYMENTS] Webhook ${type} not sent: ${MISSING_SECRET}`);
+        return;
+    }
+    const timestamp = Math.floor(Date.now() / 1000);
+    const payload = JSON.stringify({ id: `evt_${crypto.randomUUID()}`, type, data });
+
+    setImmediate(async () => {
+        try {
+            const res = await fetch(webhookUrl(), {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    [SIGNATURE_HEADER]: `t=${timestamp},v1=${sign(payload, timestamp)}`,
+                },
+                body: payload,
+            });
+            if (!res.ok) console.error(`[PAYMENTS] Webhook ${type} rejected with ${res.status}`);
+        } catch (err) {
+            console.error(`[PAYMENTS] Webhook ${type} delivery failed:`, err.message);
+        }
+    });
+};
+
+const settle = (providerRef, succeeded, failureCode = null) =>
+    dispatch(succeeded ? 'payment_intent.succeeded' : 'payment_intent.payment_failed', {
+        providerRef,
+        failureCode: succeeded ? null : failureCode,
+    });
+
+exports.name = 'fake';
+
+exports.createIntent = async () => ({
+    providerRef: `fake_pi_${crypto.randomUUID()}`,
+    status: 'requires_payment_method',
+});
+
+exports.confirmIntent = async (providerRef, { cardNumber } = {}) => {
+    const card = TEST_CARDS[String(cardNumber || '').replace(/[\s-]/g, '')] || UNKNOWN_CARD;
+    if (card.outcome === 'challenge') {
+        return { status: 'requires_action', nextAction: { type: 'three_d_secure' } };
+    }
+    settle(providerRef, card.outcome === 'succeed', card.failureCode);
+    return { status: 'processing' };
+};
+
+exports.authenticate = async (providerRef, { approve } = {}) => {
+    settle(providerRef, Boolean(approve), 'authentication_failed');
+    return { status: 'processing' };
+};
+
+exports.refund = async () => ({ status: 'refunded' });
+
+exports.verifyWebhook = (rawBody, headers = {}) => {
+    if (!webhookSecret()) {
+        console.error(`[PAYMENTS] Webhook rejected: ${MISSING_SECRET}`);
+        return null;
+    }
+    const parts = {};
+    String(headers[SIGNATURE_HEADER] || '')
+        .split(',')
+        .forEach((pair) => {
+            const [k, v] = pair.split('=');
+            if (k && v) parts[k.trim()] = v.trim();
+        });
+
+    const timestamp = Number(parts.t);
+    if (!rawBody || !Number.isInteger(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) {
+        return null;
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return null;
+
+    const expected = Buffer.from(sign(rawBody.toString('utf8'), timestamp), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(parts.v1, 'hex'))) return null;
+
+    try {
+        return JSON.parse(rawBody.toString('utf8'));
+    } catch {
+        return null;
+    }
+};
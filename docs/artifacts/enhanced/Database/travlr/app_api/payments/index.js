@@ -0,0 +1,33 @@
+/**
+ * Payment Gateway Registry
+ * ------------------------
+ * Resolves the gateway named by PAYMENT_PROVIDER (default "fake"). Every
+ * gateway implements the same asynchronous interface:
+ *
+ *   name                                        identifier stored on intents
+ *   createIntent({ amount, currency, reference }) -> { providerRef, status }
+ *   confirmIntent(providerRef, { cardNumber })  -> { status, nextAction?, failureCode? }
+ *   authenticate(providerRef, { approve })      -> { status }
+ *   refund(providerRef, { amount, currency })   -> { status }
+ *   verifyWebhook(rawBody, headers)             -> event or null (bad signature)
+ *
+ * Final payment outcomes are reported asynchronously as signed webhook
+ * events ({ id, type, data: { providerRef, failureCode } }) posted to
+ * /api/payments/webhook, with type payment_intent.succeeded or
+ * payment_intent.payment_failed.
+ */
+
+const providers = {
+    fake: require('./fakeProvider'),
+};
+
+/**
+ * Returns the gateway implementation for `name`; throws for unknown names.
+ */
+const getGateway = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+    const gateway = providers[name];
+    if (!gateway) throw new Error(`Unknown payment provider: ${name}`);
+    return gateway;
+};
+
+module.exports = { getGateway };
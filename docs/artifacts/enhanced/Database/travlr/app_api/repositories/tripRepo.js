@@ -8,18 +8,18 @@
 const Trip = require('../models/travlr');
 
 /**
- * Returns all trips as plain JavaScript objects.
+ * Returns all active (not soft-deleted) trips as plain JavaScript objects.
  */
 exports.findAll = () => {
-    return Trip.find({}).lean().exec();
+    return Trip.find({ deletedAt: null }).lean().exec();
 };
 
 /**
- * Looks up a single trip by its business key `code`.
+ * Looks up a single active trip by its business key `code`.
  * Returns the matching document or null when none exists.
  */
 exports.findByCode = (code) => {
-    return Trip.findOne({ code }).lean().exec();
+    return Trip.findOne({ code, deletedAt: null }).lean().exec();
 };
 
 /**
@@ -35,7 +35,7 @@ exports.create = (payload) => {
  * Returns the updated document or null when no document matches.
  */
 exports.updateByCode = (code, payload) => {
-    return Trip.findOneAndUpdate({ code }, payload, { new: true }).exec();
+    return Trip.findOneAndUpdate({ code, deletedAt: null }, payload, { new: true }).exec();
 };
 
 /**
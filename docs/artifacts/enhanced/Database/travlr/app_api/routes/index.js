@@ -8,10 +8,27 @@
 const express = require('express');
 const jwt = require('jsonwebtoken');
 const router = express.Router();
+const tokenService = require('../services/tokenService');
 
 // Controllers encapsulate domain logic; routes only dispatch to them.
 const authController = require('../controllers/authentication');
 const tripsController = require('../controllers/trips');
+const revisionsController = require('../controllers/tripRevisions');
+const importController = require('../controllers/tripImport');
+const departuresController = require('../controllers/departures');
+const bookingsController = require('../controllers/bookings');
+const paymentsController = require('../controllers/payments');
+const creditNotesController = require('../controllers/creditNotes');
+const waitlistController = require('../controllers/waitlist');
+const pricingController = require('../controllers/pricing');
+const reviewsController = require('../controllers/reviews');
+const wishlistController = require('../controllers/wishlist');
+const lockoutsController = require('../controllers/lockouts');
+const mfaController = require('../controllers/mfa');
+const usersController = require('../controllers/users');
+const meController = require('../controllers/me');
+const mfaService = require('../services/mfaService');
+const roles = require('../config/roles');
 
 // ---------------------------------------------------------------------------
 // Health check
@@ -24,21 +41,81 @@ router.get('/health', (_req, res) => res.json({ ok: true }));
 // Authentication endpoints
 // - /register issues a JWT on successful account creation
 // - /login issues a JWT on valid credentials
+// - /auth/refresh rotates a refresh token into a new token pair
+// - /auth/logout and /auth/logout-all revoke one or every session
+// - /auth/verify confirms an email address (GET from the emailed link, or POST)
+// - /auth/verify/resend emails a new verification link (throttled)
+// - /auth/email/confirm completes an email change requested via POST /me/email
+// - /auth/mfa/* enrolls and manages TOTP two-factor authentication;
+//   /auth/mfa/verify is the second login step for enrolled accounts
 // - /auth/forgot initiates password reset flow (email token)
 // - /auth/reset completes password reset with a valid token
 // Controllers are responsible for validation and response shaping.
+// The logout routes use authenticateJWT, declared below (hoisted).
 // ---------------------------------------------------------------------------
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+router.post('/auth/refresh', authController.refresh);
+router.post('/auth/logout', authenticateJWT, authController.logout);
+router.post('/auth/logout-all', authenticateJWT, authController.logoutAll);
+router.get('/auth/verify', authController.verifyEmail);
+router.post('/auth/verify', authController.verifyEmail);
+router.post('/auth/verify/resend', authController.resendVerification);
+router.get('/auth/email/confirm', meController.meConfirmEmailChange);
+router.post('/auth/email/confirm', meController.meConfirmEmailChange);
+router.get('/auth/mfa', authenticateJWT, mfaController.mfaStatus);
+router.post('/auth/mfa/setup', authenticateJWT, mfaController.mfaSetup);
+router.post('/auth/mfa/confirm', authenticateJWT, mfaController.mfaConfirm);
+router.post('/auth/mfa/disable', authenticateJWT, mfaController.mfaDisable);
+router.post('/auth/mfa/recovery-codes', authenticateJWT, mfaController.mfaRecoveryCodes);
+router.post('/auth/mfa/verify', mfaController.mfaVerify);
 router.post('/auth/forgot', authController.forgot);
 router.post('/auth/reset', authController.reset);
 
+// ---------------------------------------------------------------------------
+// Own account (any authenticated user)
+// - Profile (name, preferences) read and update
+// - Password change with the current password; ends other sessions
+// - Email change, confirmed by a link sent to the new address
+// - Data export, and account deletion after a grace period (cancellable)
+// ---------------------------------------------------------------------------
+router.get('/me', authenticateJWT, meController.meFind);
+router.put('/me', authenticateJWT, meController.meUpdate);
+router.delete('/me', authenticateJWT, meController.meDelete);
+router.get('/me/export', authenticateJWT, meController.meExport);
+router.delete('/me/erasure', authenticateJWT, meController.meCancelErasure);
+router.post('/me/password', authenticateJWT, meController.meChangePassword);
+router.post('/me/email', authenticateJWT, meController.meRequestEmailChange);
+
 // ---------------------------------------------------------------------------
 // Auth/Role middleware
-// - authenticateJWT: extracts and verifies a Bearer token, attaches payload to req.auth
-// - requireAdmin: enforces role-based access control for write operations
+// - authenticateJWT: extracts and verifies a Bearer token, rejects revoked tokens
+//   (logged out, or issued before "log out all devices") and disabled accounts,
+//   attaches payload to req.auth
+//   With REQUIRE_EMAIL_VERIFICATION=write, unverified accounts may only read.
+// - authenticateOptionalJWT: same as above, but lets anonymous requests through
+// - requirePermission(...perms): lets the request through when the caller's role
+//   grants any of the listed permissions (see config/roles); with
+//   MFA_REQUIRED_FOR_ADMINS=true admin sessions must also have passed TOTP
 // These middlewares are composed on protected routes only.
 // ---------------------------------------------------------------------------
+// REQUIRE_EMAIL_VERIFICATION: none (default) | login | write
+const verificationMode = () => String(process.env.REQUIRE_EMAIL_VERIFICATION || 'none');
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Own-account writes an unverified user still needs: the profile, fixing a mistyped
+// address, and deleting the account (or cancelling that).
+const UNVERIFIED_WRITES = ['/me/email', '/me', '/me/erasure'];
+
+// Unverified accounts keep reads, the /auth/* session routes and the
+// UNVERIFIED_WRITES in write mode.
+const writeBlocked = (req, user) =>
+    verificationMode() === 'write' &&
+    user.emailVerified === false &&
+    !READ_METHODS.includes(req.method) &&
+    !req.path.startsWith('/auth/') &&
+    !UNVERIFIED_WRITES.includes(req.path);
+
 function authenticateJWT(req, res, next) {
     // Accept standard Authorization header: "Bearer <token>"
     const authHeader = req.headers.authorization || req.headers['authorization'];
@@ -48,49 +125,377 @@ function authenticateJWT(req, res, next) {
 
     // Token verification; on success, persist claims on req.auth for downstream handlers
     const token = authHeader.split(' ')[1];
+    let payload;
     try {
-        req.auth = jwt.verify(token, process.env.JWT_SECRET);
-        return next();
+        payload = jwt.verify(token, process.env.JWT_SECRET);
     } catch {
         return res.status(401).json({ message: 'Token validation error' });
     }
+
+    // Signature alone is not enough: the token may have been revoked since issue.
+    return tokenService
+        .activeUser(payload)
+        .then((user) => {
+            if (!user) return res.status(401).json({ message: 'Token has been revoked' });
+            if (user.disabledAt) return res.status(403).json({ message: 'Account disabled' });
+            if (writeBlocked(req, user)) {
+                return res.status(403).json({ message: 'Verify your email address first' });
+            }
+            // The stored role wins, so role changes apply without a new token
+            req.auth = { ...payload, role: user.role };
+            return next();
+        })
+        .catch(next);
 }
 
-function requireAdmin(req, res, next) {
-    // Requires prior authenticateJWT; rejects if absent or non-admin
-    if (!req.auth) return res.status(401).json({ message: 'Unauthorized' });
-    if (req.auth.role !== 'admin') return res.status(403).json({ message: 'Admins only' });
-    return next();
+function authenticateOptionalJWT(req, res, next) {
+    // No credentials supplied: continue anonymously. A supplied token must still verify.
+    const authHeader = req.headers.authorization || req.headers['authorization'];
+    if (!authHeader) return next();
+    return authenticateJWT(req, res, next);
+}
+
+function requirePermission(...permissions) {
+    return function (req, res, next) {
+        // Requires prior authenticateJWT; rejects if absent or lacking every permission
+        if (!req.auth) return res.status(401).json({ message: 'Unauthorized' });
+        if (!permissions.some((p) => roles.can(req.auth.role, p))) {
+            return res
+                .status(403)
+                .json({ message: 'Insufficient permissions', required: permissions });
+        }
+        if (mfaService.requiredFor(req.auth.role) && !req.auth.mfa) {
+            return res.status(403).json({ message: 'Two-factor authentication required' });
+        }
+        return next();
+    };
 }
 
 // ---------------------------------------------------------------------------
 // Trips endpoints
-// - Public reads (list/findByCode/search)
-// - Admin-only writes (create/update) with body validation
-// - Admin-only analytics for Category Three: Databases
+// - Public reads (list/findByCode/search/export); trips:read:deleted may pass
+//   includeDeleted=true
+// - Writes (create/update/patch) with body validation; trips:write covers every
+//   field, content editors and pricing managers only their own fields
+// - Soft delete and restore (trips:write)
+// - Analytics for Category Three: Databases (trips:analytics)
 // Route layer remains declarative; controllers handle I/O and persistence.
 // ---------------------------------------------------------------------------
-router.get('/trips', tripsController.tripsList);
-router.get('/trips/search', tripsController.tripsSearchPaginated);
-router.get('/trips/analytics', authenticateJWT, requireAdmin, tripsController.tripsAnalytics);
-router.get('/trips/:tripCode', tripsController.tripsFindByCode);
+router.get('/trips', authenticateOptionalJWT, tripsController.tripsList);
+router.get('/trips/search', authenticateOptionalJWT, tripsController.tripsSearchPaginated);
+router.get('/trips/export', authenticateOptionalJWT, tripsController.tripsExport);
+router.get(
+    '/trips/analytics',
+    authenticateJWT,
+    requirePermission('trips:analytics'),
+    tripsController.tripsAnalytics
+);
+router.get('/trips/:tripCode', authenticateOptionalJWT, tripsController.tripsFindByCode);
 
 // Request-body validation middleware for trip mutations
-const { requireTripBody } = require('../middleware/validate');
+const { requireTripBody, requireTripPatchBody } = require('../middleware/validate');
 
-// Create a new trip (admin only)
-router.post('/trips', authenticateJWT, requireAdmin, requireTripBody, tripsController.tripsAddTrip);
+// Create a new trip (trips:write)
+router.post(
+    '/trips',
+    authenticateJWT,
+    requirePermission('trips:write'),
+    requireTripBody,
+    tripsController.tripsAddTrip
+);
 
-// Update an existing trip by business key (admin only)
+// Bulk import from CSV or JSON with optional dry-run report (trips:write)
+// CSV bodies arrive as text; JSON bodies are parsed by the app-level parser.
+router.post(
+    '/trips/import',
+    authenticateJWT,
+    requirePermission('trips:write'),
+    express.text({ type: ['text/csv', 'application/csv'], limit: '2mb' }),
+    importController.tripsImport
+);
+
+// Update an existing trip by business key (field-level permission checks)
 router.put(
     '/trips/:tripCode',
     authenticateJWT,
-    requireAdmin,
+    requirePermission('trips:write', 'trips:write:content', 'trips:write:pricing'),
     requireTripBody,
     tripsController.tripsUpdateTrip
 );
 
-// Analytics endpoint (admin only) for database aggregation results
-router.get('/trips/analytics', authenticateJWT, requireAdmin, tripsController.tripsAnalytics);
+// Partially update a trip: field subset, merge patch or JSON Patch (field-level checks)
+router.patch(
+    '/trips/:tripCode',
+    authenticateJWT,
+    requirePermission('trips:write', 'trips:write:content', 'trips:write:pricing'),
+    requireTripPatchBody,
+    tripsController.tripsPatchTrip
+);
+
+// Soft-delete a trip and restore it again (trips:write)
+router.delete(
+    '/trips/:tripCode',
+    authenticateJWT,
+    requirePermission('trips:write'),
+    tripsController.tripsDeleteTrip
+);
+router.post(
+    '/trips/:tripCode/restore',
+    authenticateJWT,
+    requirePermission('trips:write'),
+    tripsController.tripsRestoreTrip
+);
+
+// ---------------------------------------------------------------------------
+// Trip departures
+// - Public listing with remaining seats
+// - Create/update/delete (departures:write); capacity never drops below seats sold
+// ---------------------------------------------------------------------------
+router.get('/trips/:tripCode/departures', departuresController.departuresList);
+router.post(
+    '/trips/:tripCode/departures',
+    authenticateJWT,
+    requirePermission('departures:write'),
+    departuresController.departuresAdd
+);
+router.put(
+    '/trips/:tripCode/departures/:departureId',
+    authenticateJWT,
+    requirePermission('departures:write'),
+    departuresController.departuresUpdate
+);
+router.delete(
+    '/trips/:tripCode/departures/:departureId',
+    authenticateJWT,
+    requirePermission('departures:write'),
+    departuresController.departuresDelete
+);
+
+// ---------------------------------------------------------------------------
+// Wishlist
+// - Authenticated users save trips; saved trips are flagged in trip listings
+// - Savers are emailed on price drops and new departures
+// ---------------------------------------------------------------------------
+router.get('/me/wishlist', authenticateJWT, wishlistController.wishlistList);
+router.get('/me/wishlist/:tripCode', authenticateJWT, wishlistController.wishlistFindOne);
+router.put('/me/wishlist/:tripCode', authenticateJWT, wishlistController.wishlistSave);
+router.delete('/me/wishlist/:tripCode', authenticateJWT, wishlistController.wishlistRemove);
+
+// ---------------------------------------------------------------------------
+// Trip reviews
+// - Public list of approved reviews; authenticated users manage their own
+// - Moderation queue (reviews:moderate); approved reviews feed the trip's rating summary
+// ---------------------------------------------------------------------------
+router.get('/trips/:tripCode/reviews', reviewsController.reviewsList);
+router.post('/trips/:tripCode/reviews', authenticateJWT, reviewsController.reviewsAdd);
+router.get('/trips/:tripCode/reviews/mine', authenticateJWT, reviewsController.reviewsFindMine);
+router.put('/trips/:tripCode/reviews/mine', authenticateJWT, reviewsController.reviewsUpdateMine);
+router.delete(
+    '/trips/:tripCode/reviews/mine',
+    authenticateJWT,
+    reviewsController.reviewsDeleteMine
+);
+router.get(
+    '/reviews/moderation',
+    authenticateJWT,
+    requirePermission('reviews:moderate'),
+    reviewsController.reviewsModerationQueue
+);
+router.post(
+    '/reviews/:reviewId/moderate',
+    authenticateJWT,
+    requirePermission('reviews:moderate'),
+    reviewsController.reviewsModerate
+);
+
+// ---------------------------------------------------------------------------
+// Pricing
+// - Public itemized quotes (base price, pricing rules, promo code)
+// - Management of promo codes and pricing rules (pricing:write)
+// ---------------------------------------------------------------------------
+router.get('/trips/:tripCode/quote', pricingController.tripsQuote);
+router.get(
+    '/promo-codes',
+    authenticateJWT,
+    requirePermission('pricing:write'),
+    pricingController.promoCodesList
+);
+router.post(
+    '/promo-codes',
+    authenticateJWT,
+    requirePermission('pricing:write'),
+    pricingController.promoCodesAdd
+);
+router.patch(
+    '/promo-codes/:code',
+    authenticateJWT,
+    requirePermission('pricing:write'),
+    pricingController.promoCodesUpdate
+);
+router.delete(
+    '/promo-codes/:code',
+    authenticateJWT,
+    requirePermission('pricing:write'),
+    pricingController.promoCodesDelete
+);
+router.get(
+    '/pricing-rules',
+    authenticateJWT,
+    requirePermission('pricing:write'),
+    pricingController.pricingRulesList
+);
+router.post(
+    '/pricing-rules',
+    authenticateJWT,
+    requirePermission('pricing:write'),
+    pricingController.pricingRulesAdd
+);
+router.patch(
+    '/pricing-rules/:ruleId',
+    authenticateJWT,
+    requirePermission('pricing:write'),
+    pricingController.pricingRulesUpdate
+);
+router.delete(
+    '/pricing-rules/:ruleId',
+    authenticateJWT,
+    requirePermission('pricing:write'),
+    pricingController.pricingRulesDelete
+);
+
+// ---------------------------------------------------------------------------
+// Trip waitlists (authenticated)
+// - FIFO queue per trip for users turned away by sold-out departures
+// - Freed seats are offered as held bookings with a claim window
+// ---------------------------------------------------------------------------
+router.post('/trips/:tripCode/waitlist', authenticateJWT, waitlistController.waitlistJoin);
+router.get('/trips/:tripCode/waitlist', authenticateJWT, waitlistController.waitlistMine);
+router.delete('/trips/:tripCode/waitlist', authenticateJWT, waitlistController.waitlistLeave);
+
+// ---------------------------------------------------------------------------
+// Bookings (authenticated)
+// - A booking starts as a time-limited seat hold and must be confirmed
+// - Expired holds are released by the expireBookingHolds job
+// - Cancelling a paid booking applies the trip's cancellation policy
+// - bookings:read lists and views every booking; bookings:manage cancels any
+// ---------------------------------------------------------------------------
+router.get(
+    '/bookings',
+    authenticateJWT,
+    requirePermission('bookings:read'),
+    bookingsController.bookingsList
+);
+router.post('/bookings', authenticateJWT, bookingsController.bookingsCreate);
+router.get('/bookings/:bookingId', authenticateJWT, bookingsController.bookingsFindOne);
+router.post('/bookings/:bookingId/confirm', authenticateJWT, bookingsController.bookingsConfirm);
+router.get(
+    '/bookings/:bookingId/cancellation',
+    authenticateJWT,
+    bookingsController.bookingsCancellationQuote
+);
+router.post('/bookings/:bookingId/cancel', authenticateJWT, bookingsController.bookingsCancel);
+router.get('/me/bookings', authenticateJWT, bookingsController.myBookings);
+
+// ---------------------------------------------------------------------------
+// Payments
+// - A held booking is paid through a payment intent before it is confirmed
+// - The webhook is called by the gateway and authenticated by its signature
+// ---------------------------------------------------------------------------
+router.post('/payments/intents', authenticateJWT, paymentsController.paymentsCreate);
+router.get('/payments/intents/:intentId', authenticateJWT, paymentsController.paymentsFindOne);
+router.post(
+    '/payments/intents/:intentId/confirm',
+    authenticateJWT,
+    paymentsController.paymentsConfirm
+);
+router.post(
+    '/payments/intents/:intentId/authenticate',
+    authenticateJWT,
+    paymentsController.paymentsAuthenticate
+);
+router.post('/payments/webhook', paymentsController.paymentsWebhook);
+
+// ---------------------------------------------------------------------------
+// Login lockouts (lockouts:manage): brute-force counters for /login and /auth/forgot
+// ---------------------------------------------------------------------------
+router.get(
+    '/lockouts',
+    authenticateJWT,
+    requirePermission('lockouts:manage'),
+    lockoutsController.lockoutsList
+);
+router.delete(
+    '/lockouts/:lockoutId',
+    authenticateJWT,
+    requirePermission('lockouts:manage'),
+    lockoutsController.lockoutsClear
+);
+
+// ---------------------------------------------------------------------------
+// Credit notes (credit-notes:read), issued when paid bookings are cancelled
+// ---------------------------------------------------------------------------
+router.get(
+    '/credit-notes',
+    authenticateJWT,
+    requirePermission('credit-notes:read'),
+    creditNotesController.creditNotesList
+);
+
+// ---------------------------------------------------------------------------
+// Trip revision history (trips:revisions; revert needs trips:write)
+// - Every create/update/delete/restore appends a revision with a field diff
+// - Revert replays an old snapshot through the same validation path as PUT
+// ---------------------------------------------------------------------------
+router.get(
+    '/trips/:tripCode/revisions',
+    authenticateJWT,
+    requirePermission('trips:revisions'),
+    revisionsController.revisionsList
+);
+router.get(
+    '/trips/:tripCode/revisions/:n',
+    authenticateJWT,
+    requirePermission('trips:revisions'),
+    revisionsController.revisionsFindOne
+);
+router.post(
+    '/trips/:tripCode/revisions/:n/revert',
+    authenticateJWT,
+    requirePermission('trips:write'),
+    tripsController.tripsRevertTrip
+);
+
+// Analytics endpoint (trips:analytics) for database aggregation results
+router.get(
+    '/trips/analytics',
+    authenticateJWT,
+    requirePermission('trips:analytics'),
+    tripsController.tripsAnalytics
+);
+
+// ---------------------------------------------------------------------------
+// User administration (users:manage)
+// - Paginated, searchable user list and detail view
+// - Role assignment, disable/enable, forced password reset and deletion
+// - Data export and erasure on a user's behalf; record of erasures
+// - Admins cannot disable or delete themselves, nor remove the last admin
+// ---------------------------------------------------------------------------
+const manageUsers = [authenticateJWT, requirePermission('users:manage')];
+router.get('/admin/roles', ...manageUsers, usersController.rolesList);
+router.get('/admin/users', ...manageUsers, usersController.usersList);
+router.get('/admin/users/:userId', ...manageUsers, usersController.usersFindOne);
+router.put('/admin/users/:userId/role', ...manageUsers, usersController.usersAssignRole);
+router.post('/admin/users/:userId/disable', ...manageUsers, usersController.usersDisable);
+router.post('/admin/users/:userId/enable', ...manageUsers, usersController.usersEnable);
+router.post(
+    '/admin/users/:userId/password-reset',
+    ...manageUsers,
+    usersController.usersForcePasswordReset
+);
+router.delete('/admin/users/:userId', ...manageUsers, usersController.usersDelete);
+router.get('/admin/users/:userId/export', ...manageUsers, usersController.usersExport);
+router.post('/admin/users/:userId/erasure', ...manageUsers, usersController.usersRequestErasure);
+router.delete('/admin/users/:userId/erasure', ...manageUsers, usersController.usersCancelErasure);
+router.get('/admin/erasures', ...manageUsers, usersController.erasuresList);
 
 module.exports = router;
@@ -0,0 +1,202 @@
+/* Booking service layer.
+ * Owns every booking state transition together with the matching seat
+ * counter change on the departure, so controllers, background jobs and
+ * later integrations (payments, waitlists) share one implementation.
+ *
+ * Functions resolve to { ok: true, booking } or { ok: false, code, reason }
+ * where `code` is one of NOT_FOUND, SOLD_OUT, EXPIRED, PAYMENT_REQUIRED,
+ * INVALID_PROMO or INVALID_STATE.
+ *
+ * Without multi-document transactions the booking document is always
+ * transitioned first (which makes each transition happen at most once) and
+ * the departure counters are adjusted afterwards.
+ *
+ * `events` emits, after the counters are updated:
+ *   - 'confirmed'     (booking) when a hold is confirmed
+ *   - 'seatsReleased' (booking) when a cancellation or expiry frees seats
+ * Listeners must handle their own errors.
+ */
+
+const { EventEmitter } = require('events');
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const Trip = require('../models/travlr');
+const Departure = require('../models/departure');
+const Booking = require('../models/booking');
+const PaymentIntent = require('../models/paymentIntent');
+const PromoCode = require('../models/promoCode');
+const pricingService = require('./pricingService');
+
+const defaultHoldMinutes = () => Number(process.env.BOOKING_HOLD_MINUTES) || 15;
+
+const done = (booking) => ({ ok: true, booking });
+const refuse = (code, reason) => ({ ok: false, code, reason });
+
+exports.MAX_SEATS_PER_BOOKING = 20;
+exports.events = new EventEmitter();
+
+/**
+ * Places a time-limited hold of `seats` on a departure of `tripCode`.
+ * When `departureId` is omitted, the trip's next bookable departure is used.
+ * `seats` must already be validated as a positive integer; `holdMinutes`
+ * overrides BOOKING_HOLD_MINUTES (e.g. for waitlist claim windows).
+ * The price is quoted by the pricing service; a promo code is redeemed with
+ * the hold and given back if the hold lapses or is cancelled unpaid.
+ */
+exports.placeHold = async (
+    { userId, tripCode, departureId, seats, promoCode = null, holdMinutes = defaultHoldMinutes() },
+    now = new Date()
+) => {
+    const trip = await Trip.findOne({ code: tripCode, deletedAt: null }).lean().exec();
+    if (!trip) return refuse('NOT_FOUND', `Trip with code ${tripCode} not found`);
+
+    let departure;
+    if (departureId) {
+        if (!ObjectId.isValid(departureId)) return refuse('NOT_FOUND', 'Departure not found');
+        departure = await Departure.findOne({ _id: departureId, trip: trip._id }).lean().exec();
+        if (!departure) return refuse('NOT_FOUND', 'Departure not found');
+    } else {
+        const next = await Departure.nextAvailable([trip._id]);
+        departure = next.get(String(trip._id));
+        if (!departure) return refuse('SOLD_OUT', 'No bookable departures for this trip');
+    }
+
+    const quote = await pricingService.quote({ trip, departure, travelers: seats, promoCode, now });
+    if (quote.promo && !quote.promo.applied) return refuse('INVALID_PROMO', quote.promo.reason);
+    if (quote.promo && !(await PromoCode.redeem(quote.promo.code, now))) {
+        return refuse('INVALID_PROMO', 'Promo code is no longer available');
+    }
+    const releasePromo = () => quote.promo && PromoCode.release(quote.promo.code);
+
+    const held = await Departure.holdSeats(departure._id, seats, now);
+    if (!held) {
+        await releasePromo();
+        return refuse('SOLD_OUT', 'Not enough seats available on this departure');
+    }
+
+    try {
+        const booking = await Booking.create({
+            user: userId,
+            trip: trip._id,
+            tripCode: trip.code,
+            departure: held._id,
+            departureDate: held.date,
+            seats,
+            unitPrice: quote.unitPrice,
+            totalPrice: quote.total,
+            promoCode: quote.promo ? quote.promo.code : null,
+            priceBreakdown: quote.lines,
+            holdExpiresAt: new Date(now.getTime() + holdMinutes * 60 * 1000),
+        });
+        return done(booking.toObject());
+    } catch (err) {
+        // Give the seats and promo code back if the booking itself could not be stored.
+        await Departure.releaseHeld(held._id, seats);
+        await releasePromo();
+        throw err;
+    }
+};
+
+/**
+ * Confirms an unexpired, paid hold and converts its held seats into sold
+ * seats. `scope` restricts which bookings may be touched (e.g. { user }).
+ */
+exports.confirm = async (bookingId, scope = {}, now = new Date()) => {
+    if (!ObjectId.isValid(bookingId)) return refuse('NOT_FOUND', 'Booking not found');
+
+    const payment = await PaymentIntent.findOne({ booking: bookingId, status: 'succeeded' })
+        .select('_id')
+        .lean()
+        .exec();
+
+    const booking = payment
+        ? await Booking.findOneAndUpdate(
+              { _id: bookingId, ...scope, status: 'held', holdExpiresAt: { $gt: now } },
+              { status: 'confirmed', confirmedAt: now, payment: payment._id },
+              { new: true }
+          )
+              .lean()
+              .exec()
+        : null;
+
+    if (!booking) {
+        const existing = await Booking.findOne({ _id: bookingId, ...scope })
+            .lean()
+            .exec();
+        if (!existing) return refuse('NOT_FOUND', 'Booking not found');
+        if (existing.status !== 'held') {
+            return refuse('INVALID_STATE', `Booking is already ${existing.status}`);
+        }
+        if (existing.holdExpiresAt <= now) return refuse('EXPIRED', 'Booking hold has expired');
+        return refuse('PAYMENT_REQUIRED', 'Booking must be paid before it can be confirmed');
+    }
+
+    await Departure.commitHeld(booking.departure, booking.seats);
+    exports.events.emit('confirmed', booking);
+    return done(booking);
+};
+
+/**
+ * Cancels a held or confirmed booking and frees its seats.
+ */
+exports.cancel = async (bookingId, scope = {}, now = new Date()) => {
+    if (!ObjectId.isValid(bookingId)) return refuse('NOT_FOUND', 'Booking not found');
+
+    // The pre-update document tells which seat pool to release.
+    const previous = await Booking.findOneAndUpdate(
+        { _id: bookingId, ...scope, status: { $in: ['held', 'confirmed'] } },
+        { status: 'cancelled', cancelledAt: now }
+    )
+        .lean()
+        .exec();
+
+    if (!previous) {
+        const existing = await Booking.findOne({ _id: bookingId, ...scope })
+            .lean()
+            .exec();
+        if (!existing) return refuse('NOT_FOUND', 'Booking not found');
+        return refuse('INVALID_STATE', `Booking is already ${existing.status}`);
+    }
+
+    if (previous.status === 'held') {
+        await Departure.releaseHeld(previous.departure, previous.seats);
+        await PaymentIntent.cancelOpen(previous._id, 'Booking cancelled', now);
+        if (previous.promoCode) await PromoCode.release(previous.promoCode);
+    } else {
+        await Departure.releaseSold(previous.departure, previous.seats);
+    }
+
+    const cancelled = { ...previous, status: 'cancelled', cancelledAt: now };
+    exports.events.emit('seatsReleased', cancelled);
+    return done(cancelled);
+};
+
+/**
+ * Expires every hold whose window has lapsed and releases its seats.
+ * Resolves to the list of expired bookings.
+ */
+exports.expireHolds = async (now = new Date()) => {
+    const lapsed = await Booking.find({ status: 'held', holdExpiresAt: { $lte: now } })
+        .select('_id')
+        .lean()
+        .exec();
+
+    const expired = [];
+    for (const { _id } of lapsed) {
+        const booking = await Booking.findOneAndUpdate(
+            { _id, status: 'held' },
+            { status: 'expired', expiredAt: now },
+            { new: true }
+        )
+            .lean()
+            .exec();
+        if (!booking) continue; // confirmed or cancelled in the meantime
+        await Departure.releaseHeld(booking.departure, booking.seats);
+        await PaymentIntent.cancelOpen(booking._id, 'Booking hold expired', now);
+        if (booking.promoCode) await PromoCode.release(booking.promoCode);
+        exports.events.emit('seatsReleased', booking);
+        expired.push(booking);
+    }
+    return expired;
+};
@@ -0,0 +1,117 @@
+/* Cancellation service layer.
+ * Applies the trip's cancellation policy when a booking is cancelled:
+ * releases the seats (booking service), issues a credit note recording the
+ * policy evaluation and refunds the computed amount (payment service).
+ *
+ * The policy is evaluated against the booking's departure date, which is
+ * the start of the trip for that booking (the trip's `start` is used for
+ * bookings without one). Held bookings were never charged, so cancelling
+ * them only releases the hold.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const Trip = require('../models/travlr');
+const Booking = require('../models/booking');
+const CreditNote = require('../models/creditNote');
+const bookingService = require('./bookingService');
+const paymentService = require('./paymentService');
+const { evaluatePolicy } = require('../utils/cancellationPolicy');
+const { plainPrice, toCents } = require('../utils/money');
+
+const refuse = (code, reason) => ({ ok: false, code, reason });
+
+// Evaluates the policy of the booking's trip at `now`.
+const evaluateFor = async (booking, now) => {
+    const trip = await Trip.findById(booking.trip).select('start cancellationPolicy').lean().exec();
+    return evaluatePolicy(trip?.cancellationPolicy, {
+        start: booking.departureDate || trip?.start,
+        price: plainPrice(booking.totalPrice),
+        now,
+    });
+};
+
+/**
+ * Previews the refund a confirmed booking would receive if cancelled now.
+ * Resolves to { ok: true, quote } or a refusal.
+ */
+exports.quote = async (bookingId, scope = {}, now = new Date()) => {
+    if (!ObjectId.isValid(bookingId)) return refuse('NOT_FOUND', 'Booking not found');
+    const booking = await Booking.findOne({ _id: bookingId, ...scope })
+        .lean()
+        .exec();
+    if (!booking) return refuse('NOT_FOUND', 'Booking not found');
+    if (booking.status !== 'confirmed') {
+        return refuse(
+            'INVALID_STATE',
+            `Only confirmed bookings are refundable (booking is ${booking.status})`
+        );
+    }
+
+    const evaluation = await evaluateFor(booking, now);
+    return {
+        ok: true,
+        quote: { ...evaluation, bookingTotal: plainPrice(booking.totalPrice) },
+    };
+};
+
+/**
+ * Cancels a booking and, when it was paid, issues its credit note and
+ * refund. Resolves to { ok: true, booking, creditNote } (creditNote is null
+ * for unpaid holds) or a refusal.
+ */
+exports.cancel = async (bookingId, scope = {}, { issuedBy = null } = {}, now = new Date()) => {
+    const result = await bookingService.cancel(bookingId, scope, now);
+    if (!result.ok) return result;
+
+    const { booking } = result;
+    if (!booking.payment) return { ...result, creditNote: null };
+
+    const evaluation = await evaluateFor(booking, now);
+    const note = await CreditNote.issue({
+        booking: booking._id,
+        user: booking.user,
+        trip: booking.trip,
+        tripCode: booking.tripCode,
+        payment: booking.payment,
+        bookingTotal: booking.totalPrice,
+        daysBeforeStart: evaluation.daysBeforeStart,
+        refundPercent: evaluation.refundPercent,
+        policy: evaluation.policy,
+        refundAmount: evaluation.refundAmount,
+        issuedBy,
+    });
+
+    // Nothing to refund: record that instead of pretending a refund happened.
+    if (!toCents(evaluation.refundAmount.amount)) {
+        const creditNote = await CreditNote.findByIdAndUpdate(
+            note._id,
+            { refundStatus: 'not_due' },
+            { new: true }
+        )
+            .lean()
+            .exec();
+        return { ...result, creditNote };
+    }
+
+    // The note is stored first so a failed refund stays visible as pending with
+    // refundedAt: null. refund() resolves to null when the intent was no longer
+    // refundable (e.g. already refunded), which also leaves the note pending.
+    const refunded = await paymentService.refund(
+        booking.payment,
+        evaluation.refundAmount,
+        'Booking cancelled',
+        now
+    );
+    if (!refunded) return { ...result, creditNote: note };
+
+    const creditNote = await CreditNote.findByIdAndUpdate(
+        note._id,
+        { refundStatus: 'refunded', refundedAt: now, payment: refunded._id },
+        { new: true }
+    )
+        .lean()
+        .exec();
+    return { ...result, creditNote };
+};
@@ -0,0 +1,206 @@
+/* Lockout service layer.
+ * Brute-force protection for /login and /auth/forgot, backed by the
+ * LoginThrottle counters:
+ *   - Failed logins count per account (LOGIN_MAX_FAILURES, default 5) and
+ *     per client IP (LOGIN_IP_MAX_FAILURES, default 20). Each failure past
+ *     the threshold doubles the lockout, starting at LOGIN_LOCKOUT_SECONDS
+ *     (default 60) and capped at LOGIN_LOCKOUT_MAX_SECONDS (default 3600).
+ *     Counters reset after LOGIN_FAILURE_WINDOW_MINUTES (default 15) without
+ *     failures; a successful login clears the account counter.
+ *   - Wrong second-factor codes count per user like account failures.
+ *   - Password-reset emails are limited per address to FORGOT_MAX_REQUESTS
+ *     (default 3) per FORGOT_WINDOW_MINUTES (default 15).
+ */
+
+const LoginThrottle = require('../models/loginThrottle');
+
+const MINUTE_MS = 60 * 1000;
+
+const envInt = (name, fallback) => {
+    const n = parseInt(process.env[name], 10);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+// Exponential lockout: base * 2^(attempts past the threshold), capped.
+const loginLockMs = (count, lockAt) => {
+    const base = envInt('LOGIN_LOCKOUT_SECONDS', 60) * 1000;
+    const cap = envInt('LOGIN_LOCKOUT_MAX_SECONDS', 3600) * 1000;
+    return Math.min(base * 2 ** Math.min(count - lockAt, 30), cap);
+};
+
+// lockAt: the attempt count that locks the key. Login counters lock on the
+// failure that reaches the limit (later attempts are refused before they
+// count); the forgot counter locks on the first request over the allowance
+// and holds it for one window, after which the count restarts.
+const POLICIES = {
+    account: () => ({
+        lockAt: envInt('LOGIN_MAX_FAILURES', 5),
+        windowMs: envInt('LOGIN_FAILURE_WINDOW_MINUTES', 15) * MINUTE_MS,
+        lockMs: loginLockMs,
+    }),
+    ip: () => ({
+        lockAt: envInt('LOGIN_IP_MAX_FAILURES', 20),
+        windowMs: envInt('LOGIN_FAILURE_WINDOW_MINUTES', 15) * MINUTE_MS,
+        lockMs: loginLockMs,
+    }),
+    mfa: () => POLICIES.account(),
+    forgot: () => ({
+        lockAt: envInt('FORGOT_MAX_REQUESTS', 3) + 1,
+        windowMs: envInt('FORGOT_WINDOW_MINUTES', 15) * MINUTE_MS,
+        lockMs: null,
+    }),
+};
+
+const normalizeEmail = (email) =>
+    String(email || '')
+        .trim()
+        .toLowerCase();
+
+// Seconds until `lockedUntil`, or 0 when not locked.
+const secondsLeft = (doc, now) =>
+    doc?.lockedUntil && doc.lockedUntil > now
+        ? Math.ceil((doc.lockedUntil.getTime() - now.getTime()) / 1000)
+        : 0;
+
+/**
+ * Counts one attempt against (kind, key). The counter restarts when its
+ * window has ended. Resolves to the counter after any lockout was applied.
+ */
+const hit = async (kind, key, now = new Date()) => {
+    const policy = POLICIES[kind]();
+    const windowEnd = new Date(now.getTime() + policy.windowMs);
+
+    // Pipeline update so the window reset and increment happen atomically.
+    const doc = await LoginThrottle.findOneAndUpdate(
+        { kind, key },
+        [
+            {
+                $set: {
+                    kind,
+                    key,
+                    count: {
+                        $cond: [{ $gt: ['$expiresAt', now] }, { $add: ['$count', 1] }, 1],
+                    },
+                    lockedUntil: {
+                        $cond: [{ $gt: ['$expiresAt', now] }, '$lockedUntil', null],
+                    },
+                    lastAttemptAt: now,
+                },
+            },
+        ],
+        { upsert: true, new: true }
+    )
+        .lean()
+        .exec();
+
+    if (doc.count < policy.lockAt) {
+        await LoginThrottle.updateOne({ _id: doc._id }, { expiresAt: windowEnd }).exec();
+        return { ...doc, expiresAt: windowEnd };
+    }
+
+    let lockedUntil;
+    let expiresAt;
+    if (policy.lockMs) {
+        // Keep counting through the lockout so repeat offenders wait longer
+        lockedUntil = new Date(now.getTime() + policy.lockMs(doc.count, policy.lockAt));
+        expiresAt = lockedUntil > windowEnd ? lockedUntil : windowEnd;
+    } else {
+        // Counter ends with the lockout, so the allowance starts over afterwards
+        lockedUntil = doc.lockedUntil > now ? doc.lockedUntil : windowEnd;
+        expiresAt = lockedUntil;
+    }
+    await LoginThrottle.updateOne({ _id: doc._id }, { lockedUntil, expiresAt }).exec();
+    return { ...doc, lockedUntil, expiresAt };
+};
+
+/**
+ * Checks whether a login for `email` from `ip` is currently locked out.
+ * Resolves to { locked, retryAfter } (retryAfter in seconds).
+ */
+exports.checkLogin = async ({ email, ip }, now = new Date()) => {
+    const docs = await LoginThrottle.find({
+        $or: [
+            { kind: 'account', key: normalizeEmail(email) },
+            { kind: 'ip', key: String(ip || '') },
+        ],
+        lockedUntil: { $gt: now },
+    })
+        .lean()
+        .exec();
+    const retryAfter = Math.max(0, ...docs.map((d) => secondsLeft(d, now)));
+    return { locked: retryAfter > 0, retryAfter };
+};
+
+/**
+ * Records a failed login for the account and the client IP.
+ * Resolves to { locked, retryAfter } after the failure was counted.
+ */
+exports.recordLoginFailure = async ({ email, ip }, now = new Date()) => {
+    const counters = await Promise.all([
+        hit('account', normalizeEmail(email), now),
+        ip ? hit('ip', String(ip), now) : null,
+    ]);
+    const retryAfter = Math.max(0, ...counters.map((d) => secondsLeft(d, now)));
+    return { locked: retryAfter > 0, retryAfter };
+};
+
+/**
+ * Clears the account's failure counter after a successful login. The IP
+ * counter is kept so logging into one's own account cannot reset it.
+ */
+exports.recordLoginSuccess = ({ email }) =>
+    LoginThrottle.deleteOne({ kind: 'account', key: normalizeEmail(email) }).exec();
+
+/**
+ * Checks whether second-factor attempts for the user are locked out.
+ * Resolves to { locked, retryAfter }.
+ */
+exports.checkMfa = async (userId, now = new Date()) => {
+    const doc = await LoginThrottle.findOne({ kind: 'mfa', key: String(userId) })
+        .lean()
+        .exec();
+    const retryAfter = secondsLeft(doc, now);
+    return { locked: retryAfter > 0, retryAfter };
+};
+
+/**
+ * Records a wrong second-factor code. Resolves to { locked, retryAfter }.
+ */
+exports.recordMfaFailure = async (userId, now = new Date()) => {
+    const retryAfter = secondsLeft(await hit('mfa', String(userId), now), now);
+    return { locked: retryAfter > 0, retryAfter };
+};
+
+// Clears the user's second-factor failure counter.
+exports.recordMfaSuccess = (userId) =>
+    LoginThrottle.deleteOne({ kind: 'mfa', key: String(userId) }).exec();
+
+/**
+ * Counts a password-reset request for `email`.
+ * Resolves to { allowed, retryAfter }.
+ */
+exports.allowForgot = async (email, now = new Date()) => {
+    const doc = await hit('forgot', normalizeEmail(email), now);
+    const retryAfter = secondsLeft(doc, now);
+    return { allowed: retryAfter === 0, retryAfter };
+};
+
+/**
+ * Lists counters, most recently active first.
+ * Filters: { kind, key, active } — `active` keeps only current lockouts.
+ */
+exports.list = ({ kind, key, active, limit = 50 } = {}, now = new Date()) => {
+    const filter = {};
+    if (kind) filter.kind = kind;
+    if (key) filter.key = key;
+    if (active) filter.lockedUntil = { $gt: now };
+    return LoginThrottle.find(filter).sort({ lastAttemptAt: -1 }).limit(limit).lean().exec();
+};
+
+/**
+ * Removes a counter, lifting any lockout it holds. Resolves to the removed
+ * counter or null.
+ */
+exports.clear = (id) => LoginThrottle.findByIdAndDelete(id).lean().exec();
+
+exports.normalizeEmail = normalizeEmail;
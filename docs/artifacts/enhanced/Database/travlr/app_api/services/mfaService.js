@@ -0,0 +1,254 @@
+/* Two-factor authentication service layer.
+ * TOTP enrollment and verification for user accounts:
+ *   - Enrollment: setup() stores a pending secret and returns it with its
+ *     otpauth URI; confirm() promotes it once a valid code proves the
+ *     authenticator app has it, and issues ten one-time recovery codes
+ *     (stored as SHA-256 digests).
+ *   - Login: a password login for an enrolled account yields a short-lived
+ *     challenge token (MFA_CHALLENGE_MINUTES) instead of a session;
+ *     completeChallenge() exchanges it plus a TOTP or recovery code for the
+ *     user. Challenge tokens are signed with a key derived from JWT_SECRET,
+ *     so they can never pass as access tokens.
+ *   - Each TOTP step is accepted once; wrong codes count towards the `mfa`
+ *     lockout in services/lockoutService.
+ * MFA_REQUIRED_FOR_ADMINS=true makes permission-protected routes refuse admin
+ * sessions without a second factor (see requirePermission in routes/index).
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/user');
+const totp = require('../utils/totp');
+const lockoutService = require('./lockoutService');
+
+const RECOVERY_CODE_COUNT = 10;
+const SECRET_FIELDS = '+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes';
+
+const issuer = () => process.env.MFA_ISSUER || 'Travlr';
+const challengeMinutes = () => Number(process.env.MFA_CHALLENGE_MINUTES) || 5;
+
+const refuse = (code, reason, extra = {}) => ({ ok: false, code, reason, ...extra });
+
+// Signing key for challenge tokens, distinct from the access-token key.
+const challengeKey = () =>
+    crypto.createHmac('sha256', String(process.env.JWT_SECRET)).update('mfa-challenge').digest();
+
+// Recovery codes are compared case- and separator-insensitively.
+const hashRecoveryCode = (code) =>
+    crypto
+        .createHash('sha256')
+        .update(
+            String(code || '')
+                .toLowerCase()
+                .replace(/[^0-9a-z]/g, '')
+        )
+        .digest('hex');
+
+// Ten fresh "xxxxx-xxxxx" codes and their digests.
+const newRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, stored: codes.map((c) => ({ hash: hashRecoveryCode(c), usedAt: null })) };
+};
+
+/**
+ * True when the policy demands a second factor for this role.
+ */
+exports.requiredFor = (role) =>
+    role === 'admin' && String(process.env.MFA_REQUIRED_FOR_ADMINS).toLowerCase() === 'true';
+
+/**
+ * Checks a TOTP `code` or a `recoveryCode` for the user and consumes it.
+ * Both are consumed atomically, so a code cannot be used twice. Wrong codes
+ * count towards the user's `mfa` lockout. Resolves to { ok: true } or a
+ * refusal (INVALID, LOCKED with retryAfter, INVALID_STATE).
+ */
+const checkProof = async (userId, { code, recoveryCode } = {}, now = new Date()) => {
+    const lock = await lockoutService.checkMfa(userId, now);
+    if (lock.locked) {
+        return refuse('LOCKED', 'Too many invalid codes. Try again later.', {
+            retryAfter: lock.retryAfter,
+        });
+    }
+
+    let accepted = false;
+    if (code) {
+        const user = await User.findById(userId).select(SECRET_FIELDS).lean().exec();
+        if (!user?.mfa?.enabled) return refuse('INVALID_STATE', 'Two-factor authentication is off');
+
+        const step = totp.verifyCode(user.mfa.secret, code, now);
+        if (step !== null) {
+            const claimed = await User.updateOne(
+                {
+                    _id: userId,
+                    $or: [{ 'mfa.lastUsedStep': { $lt: step } }, { 'mfa.lastUsedStep': null }],
+                },
+                { $set: { 'mfa.lastUsedStep': step } }
+            ).exec();
+            accepted = claimed.modifiedCount === 1;
+        }
+    } else if (recoveryCode) {
+        const used = await User.updateOne(
+            {
+                _id: userId,
+                'mfa.enabled': true,
+                'mfa.recoveryCodes': {
+                    $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null },
+                },
+            },
+            { $set: { 'mfa.recoveryCodes.$.usedAt': now } }
+        ).exec();
+        accepted = used.modifiedCount === 1;
+    } else {
+        return refuse('INVALID', 'A code or recovery code is required');
+    }
+
+    if (!accepted) {
+        const after = await lockoutService.recordMfaFailure(userId, now);
+        if (after.locked) {
+            return refuse('LOCKED', 'Too many invalid codes. Try again later.', {
+                retryAfter: after.retryAfter,
+            });
+        }
+        return refuse('INVALID', 'Invalid or already used code');
+    }
+    await lockoutService.recordMfaSuccess(userId);
+    return { ok: true };
+};
+
+/**
+ * The user's two-factor status: { enabled, enabledAt, required,
+ * recoveryCodesLeft }.
+ */
+exports.status = async (userId) => {
+    const user = await User.findById(userId).select('role mfa +mfa.recoveryCodes').lean().exec();
+    if (!user) return null;
+    const mfa = user.mfa || {};
+    return {
+        enabled: Boolean(mfa.enabled),
+        enabledAt: mfa.enabledAt || null,
+        required: exports.requiredFor(user.role),
+        recoveryCodesLeft: mfa.enabled
+            ? (mfa.recoveryCodes || []).filter((c) => !c.usedAt).length
+            : 0,
+    };
+};
+
+/**
+ * Starts enrollment with a new secret. Calling it again replaces the pending
+ * secret. Resolves to { ok: true, secret, otpauthUri } or a refusal.
+ */
+exports.setup = async (userId) => {
+    const user = await User.findById(userId).select('email mfa').lean().exec();
+    if (!user) return refuse('NOT_FOUND', 'User not found');
+    if (user.mfa?.enabled) return refuse('CONFLICT', 'Two-factor authentication is already on');
+
+    const secret = totp.generateSecret();
+    await User.updateOne({ _id: userId }, { $set: { 'mfa.pendingSecret': secret } }).exec();
+    return {
+        ok: true,
+        secret,
+        otpauthUri: totp.otpauthUri({ issuer: issuer(), account: user.email, secret }),
+    };
+};
+
+/**
+ * Completes enrollment when `code` matches the pending secret.
+ * Resolves to { ok: true, recoveryCodes } (shown once) or a refusal.
+ */
+exports.confirm = async (userId, code, now = new Date()) => {
+    const user = await User.findById(userId).select(SECRET_FIELDS).lean().exec();
+    if (!user) return refuse('NOT_FOUND', 'User not found');
+    if (user.mfa?.enabled) return refuse('CONFLICT', 'Two-factor authentication is already on');
+    if (!user.mfa?.pendingSecret) return refuse('INVALID_STATE', 'Start the setup first');
+
+    const step = totp.verifyCode(user.mfa.pendingSecret, code, now);
+    if (step === null) return refuse('INVALID', 'Invalid code');
+
+    const { codes, stored } = newRecoveryCodes();
+    const updated = await User.updateOne(
+        { _id: userId, 'mfa.enabled': { $ne: true }, 'mfa.pendingSecret': user.mfa.pendingSecret },
+        {
+            $set: {
+                'mfa.enabled': true,
+                'mfa.enabledAt': now,
+                'mfa.secret': user.mfa.pendingSecret,
+                'mfa.lastUsedStep': step,
+                'mfa.recoveryCodes': stored,
+            },
+            $unset: { 'mfa.pendingSecret': 1 },
+        }
+    ).exec();
+    if (updated.modifiedCount !== 1) return refuse('CONFLICT', 'Enrollment changed concurrently');
+    return { ok: true, recoveryCodes: codes };
+};
+
+/**
+ * Turns two-factor authentication off after checking a code.
+ * Resolves to { ok: true } or a refusal.
+ */
+exports.disable = async (userId, proof, now = new Date()) => {
+    const checked = await checkProof(userId, proof, now);
+    if (!checked.ok) return checked;
+    await User.updateOne(
+        { _id: userId },
+        {
+            $set: { 'mfa.enabled': false },
+            $unset: {
+                'mfa.secret': 1,
+                'mfa.enabledAt': 1,
+                'mfa.lastUsedStep': 1,
+                'mfa.recoveryCodes': 1,
+            },
+        }
+    ).exec();
+    return { ok: true };
+};
+
+/**
+ * Replaces the recovery codes after checking a code.
+ * Resolves to { ok: true, recoveryCodes } or a refusal.
+ */
+exports.regenerateRecoveryCodes = async (userId, proof, now = new Date()) => {
+    const checked = await checkProof(userId, proof, now);
+    if (!checked.ok) return checked;
+    const { codes, stored } = newRecoveryCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'mfa.recoveryCodes': stored } }).exec();
+    return { ok: true, recoveryCodes: codes };
+};
+
+/**
+ * Challenge token for the second login step.
+ * Resolves to { challengeToken, expiresIn } (expiresIn in seconds).
+ */
+exports.createChallenge = (user) => {
+    const expiresIn = challengeMinutes() * 60;
+    const challengeToken = jwt.sign({ _id: user._id, tv: user.tokenVersion || 0 }, challengeKey(), {
+        expiresIn,
+    });
+    return { challengeToken, expiresIn };
+};
+
+/**
+ * Second login step: validates the challenge token and the code.
+ * Resolves to { ok: true, user } (a full user document) or a refusal.
+ */
+exports.completeChallenge = async (challengeToken, proof, now = new Date()) => {
+    let payload;
+    try {
+        payload = jwt.verify(String(challengeToken || ''), challengeKey());
+    } catch {
+        return refuse('INVALID', 'Invalid or expired challenge');
+    }
+
+    const user = await User.findById(payload._id).exec();
+    if (!user || user.disabledAt || (user.tokenVersion || 0) !== (payload.tv || 0)) {
+        return refuse('INVALID', 'Invalid or expired challenge');
+    }
+
+    const checked = await checkProof(user._id, proof, now);
+    if (!checked.ok) return checked;
+    return { ok: true, user };
+};
@@ -0,0 +1,196 @@
+/* Payment service layer.
+ * Drives payment intents for held bookings through the configured gateway
+ * and applies the gateway's webhook outcomes: a succeeded payment confirms
+ * the booking, and a payment whose booking can no longer be confirmed
+ * (e.g. the hold expired meanwhile) is refunded in full.
+ *
+ * Functions resolve to { ok: true, intent } or { ok: false, code, reason }
+ * using the same codes as the booking service.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const Booking = require('../models/booking');
+const PaymentIntent = require('../models/paymentIntent');
+const bookingService = require('./bookingService');
+const { getGateway } = require('../payments');
+const { plainPrice, toCents } = require('../utils/money');
+
+const done = (intent) => ({ ok: true, intent });
+const refuse = (code, reason) => ({ ok: false, code, reason });
+
+// Loads the caller's intent together with its booking, or a refusal.
+const loadIntent = async (intentId, userId) => {
+    if (!ObjectId.isValid(intentId)) return refuse('NOT_FOUND', 'Payment not found');
+    const intent = await PaymentIntent.findOne({ _id: intentId, user: userId }).lean().exec();
+    if (!intent) return refuse('NOT_FOUND', 'Payment not found');
+    const booking = await Booking.findById(intent.booking).lean().exec();
+    return { ok: true, intent, booking };
+};
+
+// Refuses payment for bookings that are no longer an unexpired hold.
+const checkPayable = (booking, now) => {
+    if (!booking || booking.status !== 'held') {
+        return refuse('INVALID_STATE', `Booking is ${booking ? booking.status : 'missing'}`);
+    }
+    if (booking.holdExpiresAt <= now) return refuse('EXPIRED', 'Booking hold has expired');
+    return null;
+};
+
+/**
+ * Creates (or returns the still-open) payment intent for the caller's held
+ * booking, for the booking's total price.
+ */
+exports.createForBooking = async (bookingId, userId, now = new Date()) => {
+    if (!ObjectId.isValid(bookingId)) return refuse('NOT_FOUND', 'Booking not found');
+    const booking = await Booking.findOne({ _id: bookingId, user: userId }).lean().exec();
+    if (!booking) return refuse('NOT_FOUND', 'Booking not found');
+    const refusal = checkPayable(booking, now);
+    if (refusal) return refusal;
+
+    const existing = await PaymentIntent.findOne({
+        booking: booking._id,
+        status: { $nin: ['cancelled', 'refunded'] },
+    })
+        .sort({ createdAt: -1 })
+        .lean()
+        .exec();
+    if (existing) return done(existing);
+
+    const gateway = getGateway();
+    const amount = plainPrice(booking.totalPrice);
+    const { providerRef, status } = await gateway.createIntent({
+        ...amount,
+        reference: String(booking._id),
+    });
+
+    const intent = await PaymentIntent.create({
+        booking: booking._id,
+        user: userId,
+        provider: gateway.name,
+        providerRef,
+        amount,
+        status,
+        history: [{ status, at: now }],
+    });
+    return done(intent.toObject());
+};
+
+/**
+ * Submits a card for the caller's intent. The intent is claimed as
+ * `processing` before the gateway is called so that a fast webhook always
+ * finds it in a state it can settle.
+ */
+exports.confirm = async (intentId, userId, { cardNumber }, now = new Date()) => {
+    const loaded = await loadIntent(intentId, userId);
+    if (!loaded.ok) return loaded;
+    const refusal = checkPayable(loaded.booking, now);
+    if (refusal) return refusal;
+
+    const digits = String(cardNumber).replace(/[\s-]/g, '');
+    const claimed = await PaymentIntent.transition(
+        loaded.intent._id,
+        'processing',
+        { set: { cardLast4: digits.slice(-4), failureCode: null, nextAction: null } },
+        now
+    );
+    if (!claimed) return refuse('INVALID_STATE', `Payment is ${loaded.intent.status}`);
+
+    const gateway = getGateway(claimed.provider);
+    let result;
+    try {
+        result = await gateway.confirmIntent(claimed.providerRef, { cardNumber: digits });
+    } catch (err) {
+        await PaymentIntent.transition(claimed._id, 'failed', {
+            set: { failureCode: 'provider_error' },
+            reason: err.message,
+        });
+        throw err;
+    }
+
+    if (result.status === 'processing') return done(claimed);
+    const settled = await PaymentIntent.transition(claimed._id, result.status, {
+        set: { nextAction: result.nextAction || null, failureCode: result.failureCode || null },
+    });
+    return done(settled || claimed);
+};
+
+/**
+ * Completes (approve = true) or abandons a 3-D Secure challenge.
+ */
+exports.authenticate = async (intentId, userId, { approve }, now = new Date()) => {
+    const loaded = await loadIntent(intentId, userId);
+    if (!loaded.ok) return loaded;
+    if (loaded.intent.status !== 'requires_action') {
+        return refuse('INVALID_STATE', 'Payment does not require authentication');
+    }
+    const refusal = checkPayable(loaded.booking, now);
+    if (refusal) return refusal;
+
+    const claimed = await PaymentIntent.transition(
+        loaded.intent._id,
+        'processing',
+        { set: { nextAction: null } },
+        now
+    );
+    if (!claimed) return refuse('INVALID_STATE', 'Payment does not require authentication');
+
+    await getGateway(claimed.provider).authenticate(claimed.providerRef, { approve });
+    return done(claimed);
+};
+
+/**
+ * Applies a verified gateway webhook event. Repeated deliveries are
+ * harmless because every transition is conditional on the current status.
+ */
+exports.handleWebhook = async (event, now = new Date()) => {
+    const providerRef = event?.data?.providerRef;
+    const intent = providerRef ? await PaymentIntent.findOne({ providerRef }).lean().exec() : null;
+    if (!intent) return refuse('NOT_FOUND', 'Payment not found');
+
+    if (event.type === 'payment_intent.payment_failed') {
+        await PaymentIntent.transition(
+            intent._id,
+            'failed',
+            { set: { failureCode: event.data.failureCode || 'payment_failed' } },
+            now
+        );
+        return done(intent);
+    }
+
+    if (event.type !== 'payment_intent.succeeded') return done(intent); // not relevant
+
+    const succeeded = await PaymentIntent.transition(intent._id, 'succeeded', {}, now);
+    if (!succeeded) return done(intent); // duplicate delivery
+
+    const confirmed = await bookingService.confirm(intent.booking, {}, now);
+    if (confirmed.ok) return done(succeeded);
+
+    // Paid, but the booking cannot take the seats any more: give the money back.
+    const refunded = await exports.refund(intent._id, intent.amount, confirmed.reason, now);
+    return done(refunded || succeeded);
+};
+
+/**
+ * Refunds `amount` ({ amount, currency }) of a succeeded intent through its
+ * gateway. Zero amounts are a no-op. Resolves to the refunded intent, or null
+ * when the intent was not in a refundable state.
+ */
+exports.refund = async (intentId, amount, reason, now = new Date()) => {
+    const price = plainPrice(amount);
+    if (!toCents(price.amount)) return null;
+
+    const intent = await PaymentIntent.findOne({ _id: intentId, status: 'succeeded' })
+        .lean()
+        .exec();
+    if (!intent) return null;
+
+    await getGateway(intent.provider).refund(intent.providerRef, price);
+    return PaymentIntent.transition(
+        intent._id,
+        'refunded',
+        { set: { refundedAmount: price }, reason },
+        now
+    );
+};
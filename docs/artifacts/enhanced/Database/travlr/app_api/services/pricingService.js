@@ -0,0 +1,161 @@
+/* Pricing service layer.
+ * Builds itemized price quotes for a number of travelers on a trip:
+ *   1. base      per-person price (the departure's override, else the trip's
+ *                perPerson) times the number of travelers
+ *   2. rules     for each rule kind, the best applicable active pricing rule;
+ *                every rule's percentage is taken off the base, so different
+ *                kinds add up
+ *   3. promo     the promo code, taken off what is left after the rules
+ * Discounts never take the total below zero. Day counts are measured from
+ * the departure date when one is given, else from the trip's `start`.
+ * Amounts are computed in integer cents (see utils/money.js).
+ */
+
+const PromoCode = require('../models/promoCode');
+const PricingRule = require('../models/pricingRule');
+const { plainPrice, toCents, fromCents } = require('../utils/money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * `percent` of `cents` (BigInt), rounded half-up to a whole cent. `percent`
+ * may have two decimals.
+ */
+exports.percentOf = (cents, percent) =>
+    (cents * BigInt(Math.round(percent * 100)) + 5000n) / 10000n;
+
+const minCents = (a, b) => (a < b ? a : b);
+
+// True when a rule or promo code is not scoped away from `trip`.
+const inScope = (doc, trip) =>
+    (!doc.tripCodes?.length || doc.tripCodes.includes(trip.code)) &&
+    (!doc.resorts?.length || doc.resorts.includes(trip.resort));
+
+const ruleApplies = (rule, { daysBeforeStart, travelers }) => {
+    switch (rule.kind) {
+        case 'early_bird':
+            return daysBeforeStart >= rule.minDaysBefore;
+        case 'last_minute':
+            return daysBeforeStart >= 0 && daysBeforeStart <= rule.maxDaysBefore;
+        case 'group':
+            return travelers >= rule.minTravelers;
+        default:
+            return false;
+    }
+};
+
+// Reason a promo code cannot be used for this quote, or null when it can.
+const promoRefusal = (promo, trip, currency, now) => {
+    if (!promo || !promo.active) return 'Promo code not found';
+    if (promo.validFrom && promo.validFrom > now) return 'Promo code is not valid yet';
+    if (promo.validUntil && promo.validUntil < now) return 'Promo code has expired';
+    if (promo.maxRedemptions !== null && promo.redemptions >= promo.maxRedemptions) {
+        return 'Promo code has been fully redeemed';
+    }
+    if (!inScope(promo, trip)) return 'Promo code does not apply to this trip';
+    if (promo.type === 'fixed' && promo.amountOff.currency !== currency) {
+        return `Promo code does not apply to prices in ${currency}`;
+    }
+    return null;
+};
+
+/**
+ * Per-person price of a trip: the departure's override when set, else the
+ * trip's perPerson. `departure` may be null.
+ */
+exports.unitPriceFor = (trip, departure) => {
+    const override = plainPrice(departure?.price);
+    return override && override.amount !== null ? override : plainPrice(trip.perPerson);
+};
+
+/**
+ * Quotes `travelers` seats on `trip` (lean), optionally on `departure` and
+ * with `promoCode`. An unusable promo code does not fail the quote; it is
+ * reported as { code, applied: false, reason }.
+ */
+exports.quote = async ({
+    trip,
+    departure = null,
+    travelers,
+    promoCode = null,
+    now = new Date(),
+}) => {
+    const unitPrice = exports.unitPriceFor(trip, departure);
+    const { currency } = unitPrice;
+    const start = departure ? departure.date : trip.start;
+    const daysBeforeStart = Math.floor((new Date(start).getTime() - now.getTime()) / DAY_MS);
+    const price = (cents) => ({ amount: fromCents(cents), currency });
+
+    const baseCents = (toCents(unitPrice.amount) || 0n) * BigInt(travelers);
+    const lines = [
+        {
+            type: 'base',
+            label: `${travelers} × ${unitPrice.amount} ${currency}`,
+            amount: fromCents(baseCents),
+        },
+    ];
+
+    // Best applicable rule of each kind.
+    const rules = await PricingRule.find({ active: true }).lean().exec();
+    const best = new Map();
+    rules
+        .filter((r) => inScope(r, trip) && ruleApplies(r, { daysBeforeStart, travelers }))
+        .forEach((r) => {
+            const current = best.get(r.kind);
+            if (!current || r.percentOff > current.percentOff) best.set(r.kind, r);
+        });
+
+    let discountCents = 0n;
+    PricingRule.KINDS.forEach((kind) => {
+        const rule = best.get(kind);
+        if (!rule) return;
+        const off = exports.percentOf(baseCents, rule.percentOff);
+        discountCents += off;
+        lines.push({
+            type: 'rule',
+            kind,
+            rule: rule._id,
+            label: `${rule.name} (${rule.percentOff}% off)`,
+            amount: fromCents(-off),
+        });
+    });
+
+    let promo = null;
+    if (promoCode) {
+        const code = String(promoCode).trim().toUpperCase();
+        const doc = await PromoCode.findOne({ code }).lean().exec();
+        const reason = promoRefusal(doc, trip, currency, now);
+        if (reason) {
+            promo = { code, applied: false, reason };
+        } else {
+            const remaining = baseCents - minCents(discountCents, baseCents);
+            const off =
+                doc.type === 'fixed'
+                    ? minCents(toCents(doc.amountOff.amount), remaining)
+                    : exports.percentOf(remaining, doc.percentOff);
+            discountCents += off;
+            lines.push({
+                type: 'promo',
+                code,
+                label: doc.description || `Promo code ${code}`,
+                amount: fromCents(-off),
+            });
+            promo = { code, applied: true };
+        }
+    }
+
+    discountCents = minCents(discountCents, baseCents);
+    return {
+        tripCode: trip.code,
+        travelers,
+        start,
+        daysBeforeStart,
+        currency,
+        unitPrice,
+        lines,
+        subtotal: price(baseCents),
+        discount: price(discountCents),
+        total: price(baseCents - discountCents),
+        promo,
+    };
+};
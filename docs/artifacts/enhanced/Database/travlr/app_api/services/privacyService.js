@@ -0,0 +1,327 @@
+/* Privacy service layer.
+ * Answers data access and erasure requests:
+ *   - exportData() collects everything stored about a user: profile,
+ *     bookings, payments, credit notes, reviews, waitlist and wishlist
+ *     entries, sessions and the audit entries they authored
+ *   - requestErasure() schedules erasure after a grace period
+ *     (ERASURE_GRACE_DAYS, default 30) during which it can be cancelled;
+ *     admins may also erase immediately
+ *   - processDue() is run by the processErasures job and carries out the
+ *     requests whose grace period has ended
+ *
+ * Erasure deletes the account, its reviews, wishlist and waitlist entries,
+ * sessions and throttle counters, and strips personal data from the records
+ * kept for accounting: bookings, payments and credit notes stay, linked only
+ * to the id of a user that no longer exists. Audit entries keep the actor id
+ * but lose the email address. The completed ErasureRequest is the record of
+ * the erasure.
+ */
+
+const crypto = require('crypto');
+const transporter = require('../config/mail');
+const User = require('../models/user');
+const Booking = require('../models/booking');
+const PaymentIntent = require('../models/paymentIntent');
+const CreditNote = require('../models/creditNote');
+const Review = require('../models/review');
+const WaitlistEntry = require('../models/waitlistEntry');
+const WishlistItem = require('../models/wishlistItem');
+const RefreshToken = require('../models/refreshToken');
+const LoginThrottle = require('../models/loginThrottle');
+const TripRevision = require('../models/tripRevision');
+const ErasureRequest = require('../models/erasureRequest');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const graceDays = () => {
+    const days = Number(process.env.ERASURE_GRACE_DAYS);
+    return Number.isFinite(days) && days >= 0 ? days : 30;
+};
+// Requests carried out per job run
+const BATCH_SIZE = 20;
+
+const refuse = (code, reason) => ({ ok: false, code, reason });
+
+const emailDigest = (email) =>
+    crypto
+        .createHash('sha256')
+        .update(String(email || '').toLowerCase())
+        .digest('hex');
+
+// Secrets and one-time tokens are never exported.
+const PRIVATE_USER_FIELDS =
+    '-hash -salt -hashParams -resetPasswordToken -resetPasswordExpires ' +
+    '-emailVerifyToken -emailVerifyExpires -emailChangeToken -emailChangeExpires';
+
+// Sends a best-effort notice; a failed email never fails the request.
+const notify = async (to, subject, html) => {
+    try {
+        await transporter.sendMail({ to, from: process.env.FROM_EMAIL, subject, html });
+    } catch (err) {
+        console.error(`[PRIVACY] Email to ${to} failed:`, err.message);
+    }
+};
+
+/**
+ * Everything stored about the user, as one JSON-friendly object, or null
+ * when the user does not exist.
+ */
+exports.exportData = async (userId, now = new Date()) => {
+    const user = await User.findById(userId).select(PRIVATE_USER_FIELDS).lean().exec();
+    if (!user) return null;
+
+    const byUser = { user: user._id };
+    const [
+        bookings,
+        payments,
+        creditNotes,
+        reviews,
+        waitlist,
+        wishlist,
+        sessions,
+        tripRevisions,
+        moderatedReviews,
+        issuedCreditNotes,
+        erasureRequests,
+    ] = await Promise.all([
+        Booking.find(byUser).sort({ createdAt: 1 }).lean().exec(),
+        PaymentIntent.find(byUser).sort({ createdAt: 1 }).lean().exec(),
+        CreditNote.find(byUser).sort({ createdAt: 1 }).lean().exec(),
+        Review.find(byUser).sort({ createdAt: 1 }).lean().exec(),
+        WaitlistEntry.find(byUser).sort({ createdAt: 1 }).lean().exec(),
+        WishlistItem.find(byUser).sort({ createdAt: 1 }).lean().exec(),
+        RefreshToken.find(byUser)
+            .select('family mfa userAgent ip expiresAt revokedAt revokedReason createdAt')
+            .sort({ createdAt: 1 })
+            .lean()
+            .exec(),
+        TripRevision.find({ changedBy: user._id })
+            .select('tripCode n action changes createdAt')
+            .sort({ createdAt: 1 })
+            .lean()
+            .exec(),
+        Review.find({ moderatedBy: user._id })
+            .select('tripCode status moderatedAt moderationNote')
+            .sort({ moderatedAt: 1 })
+            .lean()
+            .exec(),
+        CreditNote.find({ issuedBy: user._id })
+            .select('number tripCode booking createdAt')
+            .sort({ number: 1 })
+            .lean()
+            .exec(),
+        ErasureRequest.find(byUser).sort({ createdAt: 1 }).lean().exec(),
+    ]);
+
+    return {
+        exportedAt: now,
+        profile: { ...user, createdAt: user._id.getTimestamp() },
+        bookings: bookings.map((b) => Booking.present(b)),
+        payments: payments.map((p) => PaymentIntent.present(p)),
+        creditNotes: creditNotes.map((n) => CreditNote.present(n)),
+        reviews,
+        waitlist,
+        wishlist,
+        sessions,
+        auditEntries: { tripRevisions, moderatedReviews, issuedCreditNotes },
+        erasureRequests,
+    };
+};
+
+/**
+ * The user's pending erasure request, or null.
+ */
+exports.pendingFor = (userId) =>
+    ErasureRequest.findOne({ user: userId, status: 'pending' }).lean().exec();
+
+/**
+ * Schedules erasure of the user's data after the grace period, or right away
+ * with `immediate` (admins only). Asking again while a request is pending
+ * returns that request. The user is emailed when erasure is scheduled.
+ * Resolves to { ok: true, request, created } or a refusal:
+ *   - NOT_FOUND: no such user
+ *   - LAST_ADMIN: the user is the only active admin
+ */
+exports.requestErasure = async (
+    { userId, requestedBy = null, reason = null, immediate = false },
+    now = new Date()
+) => {
+    const user = await User.findById(userId).lean().exec();
+    if (!user) return refuse('NOT_FOUND', 'User not found');
+    if (await User.isLastActiveAdmin(user)) {
+        return refuse('LAST_ADMIN', 'Cannot erase the last admin');
+    }
+
+    const scheduledFor = immediate ? now : new Date(now.getTime() + graceDays() * DAY_MS);
+    const existing = await exports.pendingFor(user._id);
+    if (existing) {
+        if (!immediate) return { ok: true, request: existing, created: false };
+        const request = await ErasureRequest.findOneAndUpdate(
+            { _id: existing._id, status: 'pending' },
+            { scheduledFor },
+            { new: true }
+        )
+            .lean()
+            .exec();
+        return request
+            ? { ok: true, request, created: false }
+            : refuse('NOT_FOUND', 'Erasure request not found');
+    }
+
+    let request;
+    try {
+        request = (
+            await ErasureRequest.create({
+                user: user._id,
+                emailHash: emailDigest(user.email),
+                requestedBy,
+                reason: reason ? String(reason) : null,
+                scheduledFor,
+            })
+        ).toObject();
+    } catch (err) {
+        // A concurrent request won the unique pending index
+        if (err?.code !== 11000) throw err;
+        return { ok: true, request: await exports.pendingFor(user._id), created: false };
+    }
+
+    if (!immediate) {
+        await notify(
+            user.email,
+            'Your Travlr account is scheduled for deletion',
+            `
+      <p>Your Travlr account and personal data will be erased on
+      ${scheduledFor.toUTCString()}.</p>
+      <p>Changed your mind? Log in before then and cancel the deletion from
+      your account settings: <a href="${process.env.CLIENT_URL}/account">${process.env.CLIENT_URL}/account</a></p>
+    `
+        );
+    }
+    return { ok: true, request, created: true };
+};
+
+/**
+ * Cancels the user's pending erasure request.
+ * Resolves to { ok: true, request } or a NOT_FOUND refusal.
+ */
+exports.cancelErasure = async ({ userId, cancelledBy = null }, now = new Date()) => {
+    const request = await ErasureRequest.findOneAndUpdate(
+        { user: userId, status: 'pending' },
+        { status: 'cancelled', cancelledAt: now, cancelledBy },
+        { new: true }
+    )
+        .lean()
+        .exec();
+    if (!request) return refuse('NOT_FOUND', 'No erasure is scheduled for this account');
+    return { ok: true, request };
+};
+
+/**
+ * Carries out a pending erasure request. Every step is idempotent, so a run
+ * interrupted by an error is completed by the next one. Resolves to the
+ * completed request, or null when it was cancelled meanwhile or the user has
+ * become the last active admin.
+ */
+exports.erase = async (request, now = new Date()) => {
+    const current = await ErasureRequest.findOne({ _id: request._id, status: 'pending' })
+        .lean()
+        .exec();
+    if (!current) return null;
+
+    const userId = current.user;
+    const user = await User.findById(userId).lean().exec();
+    if (user && (await User.isLastActiveAdmin(user))) {
+        console.error(`[PRIVACY] Not erasing user ${userId}: last active admin`);
+        return null;
+    }
+    // Kept for the closing notice; the user document is deleted below
+    const email = user?.email || null;
+
+    // Approved reviews count towards trip ratings, which are recomputed after
+    const reviewedTrips = await Review.distinct('trip', { user: userId, status: 'approved' });
+    const [reviews, wishlist, waitlist, sessions, throttles, payments, revisions] =
+        await Promise.all([
+            Review.deleteMany({ user: userId }).exec(),
+            WishlistItem.deleteMany({ user: userId }).exec(),
+            WaitlistEntry.deleteMany({ user: userId }).exec(),
+            RefreshToken.deleteMany({ user: userId }).exec(),
+            LoginThrottle.deleteMany({
+                $or: [
+                    ...(email ? [{ kind: { $in: ['account', 'forgot'] }, key: email }] : []),
+                    { kind: 'mfa', key: String(userId) },
+                ],
+            }).exec(),
+            PaymentIntent.updateMany({ user: userId }, { cardLast4: null }).exec(),
+            TripRevision.updateMany({ changedBy: userId }, { changedByEmail: null }).exec(),
+        ]);
+    await Promise.all(reviewedTrips.map((tripId) => Review.refreshTripRating(tripId)));
+    const account = await User.deleteOne({ _id: userId }).exec();
+
+    const counts = {
+        users: account.deletedCount || 0,
+        reviews: reviews.deletedCount || 0,
+        wishlistItems: wishlist.deletedCount || 0,
+        waitlistEntries: waitlist.deletedCount || 0,
+        refreshTokens: sessions.deletedCount || 0,
+        loginThrottles: throttles.deletedCount || 0,
+        paymentIntentsAnonymized: payments.modifiedCount || 0,
+        tripRevisionsAnonymized: revisions.modifiedCount || 0,
+        bookingsRetained: await Booking.countDocuments({ user: userId }).exec(),
+        creditNotesRetained: await CreditNote.countDocuments({ user: userId }).exec(),
+    };
+    const completed = await ErasureRequest.findOneAndUpdate(
+        { _id: current._id, status: 'pending' },
+        { status: 'completed', completedAt: now, counts },
+        { new: true }
+    )
+        .lean()
+        .exec();
+
+    // Only once everything is done, so a failed run retried later never
+    // announces an erasure twice or before it happened
+    if (completed && email) {
+        await notify(
+            email,
+            'Your Travlr account has been deleted',
+            `
+      <p>Your Travlr account and the personal data linked to it have been
+      erased.</p>
+      <p>Records we must keep for accounting (bookings, payments and credit
+      notes) are retained without your name or email address.</p>
+    `
+        );
+    }
+    return completed;
+};
+
+/**
+ * Carries out every pending request whose grace period has ended, oldest
+ * first, in batches. Resolves to the number of completed erasures.
+ */
+exports.processDue = async (now = new Date()) => {
+    const due = await ErasureRequest.find({ status: 'pending', scheduledFor: { $lte: now } })
+        .sort({ scheduledFor: 1 })
+        .limit(BATCH_SIZE)
+        .lean()
+        .exec();
+
+    let completed = 0;
+    for (const request of due) {
+        try {
+            if (await exports.erase(request, now)) completed += 1;
+        } catch (err) {
+            console.error(`[PRIVACY] Erasure ${request._id} failed:`, err.message);
+        }
+    }
+    return completed;
+};
+
+/**
+ * Erasure requests, newest first, optionally filtered by status or by the
+ * email address they were made for.
+ */
+exports.list = ({ status, email, limit = 50 } = {}) => {
+    const filter = {};
+    if (status) filter.status = status;
+    if (email) filter.emailHash = emailDigest(String(email).trim());
+    return ErasureRequest.find(filter).sort({ createdAt: -1 }).limit(limit).lean().exec();
+};
@@ -0,0 +1,169 @@
+/* Token service layer.
+ * Issues access/refresh token pairs and revokes them:
+ *   - Access tokens are short-lived JWTs (ACCESS_TOKEN_MINUTES) carrying a
+ *     `jti` and the user's `tokenVersion`.
+ *   - Refresh tokens last REFRESH_TOKEN_DAYS, are stored hashed and rotate
+ *     on every use; replaying a rotated token revokes its whole session.
+ *   - Logout denylists the presented access token's `jti` and revokes its
+ *     session; logging out of all devices bumps `tokenVersion`, which
+ *     invalidates every outstanding access token at once.
+ * authenticateJWT consults activeUser() on every request, so revocation takes
+ * effect immediately rather than when the token expires.
+ */
+
+const crypto = require('crypto');
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const User = require('../models/user');
+const RefreshToken = require('../models/refreshToken');
+const RevokedToken = require('../models/revokedToken');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const refuse = (code, reason) => ({ ok: false, code, reason });
+
+const hashToken = (raw) => crypto.createHash('sha256').update(String(raw)).digest('hex');
+
+// Creates a refresh token in `family` and returns its raw value.
+const createRefreshToken = async (user, family, meta = {}, now = new Date()) => {
+    const raw = crypto.randomBytes(48).toString('base64url');
+    await RefreshToken.create({
+        user: user._id,
+        tokenHash: hashToken(raw),
+        family,
+        expiresAt: new Date(now.getTime() + refreshTokenDays() * DAY_MS),
+        mfa: Boolean(meta.mfa),
+        userAgent: meta.userAgent || null,
+        ip: meta.ip || null,
+    });
+    return raw;
+};
+
+const revokeFamily = (family, reason, now = new Date()) =>
+    RefreshToken.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: now, revokedReason: reason }
+    ).exec();
+
+/**
+ * Issues a fresh access/refresh token pair starting a new session.
+ * meta: { userAgent, ip } recorded with the refresh token, and `mfa` when the
+ * login passed a second factor.
+ * Resolves to { token, refreshToken, expiresIn } (expiresIn in seconds).
+ */
+exports.issue = async (user, meta = {}, now = new Date()) => {
+    const refreshToken = await createRefreshToken(user, new ObjectId(), meta, now);
+    return {
+        token: user.generateJWT({ mfa: Boolean(meta.mfa) }),
+        refreshToken,
+        expiresIn: User.accessTokenSeconds(),
+    };
+};
+
+/**
+ * Exchanges a refresh token for a new pair, revoking the presented token.
+ * Resolves to { ok: true, tokens } or a refusal:
+ *   - INVALID: unknown, expired or revoked token
+ *   - REUSED: an already rotated token was replayed; its session is revoked
+ */
+exports.refresh = async (rawToken, meta = {}, now = new Date()) => {
+    if (!rawToken) return refuse('INVALID', 'Refresh token required');
+    const tokenHash = hashToken(rawToken);
+
+    // Claim the token atomically so two concurrent refreshes cannot both win.
+    const current = await RefreshToken.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        { revokedAt: now, revokedReason: 'rotated' },
+        { new: true }
+    )
+        .lean()
+        .exec();
+
+    if (!current) {
+        const known = await RefreshToken.findOne({ tokenHash }).lean().exec();
+        if (known?.revokedReason === 'rotated') {
+            await revokeFamily(known.family, 'reuse', now);
+            console.warn(`[AUTH] Refresh token reuse detected for user ${known.user}`);
+            return refuse('REUSED', 'Refresh token reuse detected; session revoked');
+        }
+        return refuse('INVALID', 'Invalid or expired refresh token');
+    }
+
+    const user = await User.findById(current.user).exec();
+    if (!user || user.disabledAt) return refuse('INVALID', 'Invalid or expired refresh token');
+
+    const session = { ...meta, mfa: current.mfa };
+    const refreshToken = await createRefreshToken(user, current.family, session, now);
+    return {
+        ok: true,
+        tokens: {
+            token: user.generateJWT({ mfa: current.mfa }),
+            refreshToken,
+            expiresIn: User.accessTokenSeconds(),
+        },
+    };
+};
+
+/**
+ * Ends one session: denylists the access token described by `auth` (the
+ * verified JWT payload) and, when given, revokes the refresh token's session.
+ * A refresh token belonging to another user is ignored.
+ */
+exports.logout = async (auth, rawRefreshToken, now = new Date()) => {
+    if (auth?.jti && auth.exp) {
+        await RevokedToken.updateOne(
+            { jti: auth.jti },
+            {
+                $setOnInsert: {
+                    jti: auth.jti,
+                    user: auth._id,
+                    expiresAt: new Date(auth.exp * 1000),
+                },
+            },
+            { upsert: true }
+        ).exec();
+    }
+    if (rawRefreshToken) {
+        const token = await RefreshToken.findOne({
+            tokenHash: hashToken(rawRefreshToken),
+            user: auth._id,
+        })
+            .lean()
+            .exec();
+        if (token) await revokeFamily(token.family, 'logout', now);
+    }
+};
+
+/**
+ * Ends every session of the user: all access tokens stop verifying and all
+ * refresh tokens are revoked. Resolves to the number of sessions revoked.
+ */
+exports.logoutAll = async (userId, reason = 'logout_all', now = new Date()) => {
+    await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } }).exec();
+    const families = await RefreshToken.distinct('family', { user: userId, revokedAt: null });
+    await RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: now, revokedReason: reason }
+    ).exec();
+    return families.length;
+};
+
+/**
+ * Resolves a verified access token payload to its user's current state
+ * ({ _id, role, tokenVersion, emailVerified, disabledAt }), or null when the token has been
+ * revoked: its `jti` is denylisted, its user no longer exists, or the
+ * user's tokenVersion moved on.
+ */
+exports.activeUser = async (payload) => {
+    const [denied, user] = await Promise.all([
+        payload.jti ? RevokedToken.exists({ jti: payload.jti }) : null,
+        User.findById(payload._id)
+            .select('role tokenVersion emailVerified disabledAt')
+            .lean()
+            .exec(),
+    ]);
+    if (denied || !user) return null;
+    return (payload.tv || 0) === (user.tokenVersion || 0) ? user : null;
+};
@@ -0,0 +1,234 @@
+/* Waitlist service layer.
+ * Keeps a FIFO queue of users per sold-out trip and promotes them when seats
+ * free up: the first waiting entry whose party fits the freed seats receives
+ * a held booking lasting WAITLIST_CLAIM_MINUTES and an email offering it.
+ * Entries that do not fit are skipped without losing their place.
+ *
+ * Promotion runs whenever the booking service reports released seats
+ * (cancellations and expired holds, including lapsed offers) and when
+ * admins add capacity to a departure. The booking event listeners are
+ * registered when this module is first required.
+ */
+
+const {
+    Types: { ObjectId },
+} = require('mongoose');
+const transporter = require('../config/mail');
+const Trip = require('../models/travlr');
+const Departure = require('../models/departure');
+const WaitlistEntry = require('../models/waitlistEntry');
+const bookingService = require('./bookingService');
+
+const ACTIVE_STATUSES = ['waiting', 'offered'];
+const claimMinutes = () => Number(process.env.WAITLIST_CLAIM_MINUTES) || 60;
+
+const refuse = (code, reason) => ({ ok: false, code, reason });
+
+// 1-based queue position of a waiting entry among its trip's waiting entries.
+const positionOf = async (entry) => {
+    if (entry.status !== 'waiting') return null;
+    const ahead = await WaitlistEntry.countDocuments({
+        trip: entry.trip,
+        status: 'waiting',
+        $or: [
+            { createdAt: { $lt: entry.createdAt } },
+            { createdAt: entry.createdAt, _id: { $lt: entry._id } },
+        ],
+    }).exec();
+    return ahead + 1;
+};
+
+const withPosition = async (entry) => ({ ...entry, position: await positionOf(entry) });
+
+// Emails the offer; failures are logged and never undo the offer.
+const notifyOffer = async (entry) => {
+    const bookingUrl = `${process.env.CLIENT_URL}/bookings/${entry.booking}`;
+    const html = `
+      <p>Good news: ${entry.seats} seat(s) on trip ${entry.tripCode} are now available for you.</p>
+      <p><a href="${bookingUrl}">Pay for your booking</a> to claim them.</p>
+      <p>This offer expires at ${entry.offerExpiresAt.toUTCString()}.</p>
+    `;
+    try {
+        await transporter.sendMail({
+            to: entry.email,
+            from: process.env.FROM_EMAIL,
+            subject: `A seat opened up on trip ${entry.tripCode}`,
+            html,
+        });
+    } catch (err) {
+        console.error(`[WAITLIST] Offer email to ${entry.email} failed:`, err.message);
+    }
+};
+
+/**
+ * Adds the user to the waitlist of a sold-out trip (any departure) or of one
+ * sold-out departure. Resolves to { ok: true, entry } with the entry's queue
+ * position, or a refusal (NOT_FOUND, INVALID_STATE, CONFLICT).
+ */
+exports.join = async ({ tripCode, departureId, userId, email, seats }, now = new Date()) => {
+    const trip = await Trip.findOne({ code: tripCode, deletedAt: null })
+        .select('_id code')
+        .lean()
+        .exec();
+    if (!trip) return refuse('NOT_FOUND', `Trip with code ${tripCode} not found`);
+
+    let departure = null;
+    if (departureId) {
+        if (!ObjectId.isValid(departureId)) return refuse('NOT_FOUND', 'Departure not found');
+        departure = await Departure.findOne({
+            _id: departureId,
+            trip: trip._id,
+            date: { $gt: now },
+        })
+            .lean()
+            .exec();
+        if (!departure) return refuse('NOT_FOUND', 'Departure not found');
+        const room = await Departure.exists({
+            _id: departure._id,
+            ...Departure.hasRoomFilter(seats),
+        });
+        if (room) return refuse('INVALID_STATE', 'Seats are available on this departure');
+    } else {
+        const next = await Departure.nextAvailable([trip._id]);
+        if (next.size) return refuse('INVALID_STATE', 'Seats are available for this trip');
+    }
+
+    const existing = await WaitlistEntry.exists({
+        trip: trip._id,
+        user: userId,
+        departure: departure ? departure._id : null,
+        status: { $in: ACTIVE_STATUSES },
+    });
+    if (existing) return refuse('CONFLICT', 'Already on the waitlist for this trip');
+
+    const entry = await WaitlistEntry.create({
+        trip: trip._id,
+        tripCode: trip.code,
+        departure: departure ? departure._id : null,
+        user: userId,
+        email,
+        seats,
+    });
+    return { ok: true, entry: await withPosition(entry.toObject()) };
+};
+
+/**
+ * The user's active waitlist entries for a trip, with queue positions.
+ */
+exports.listForUser = async (tripCode, userId) => {
+    const entries = await WaitlistEntry.find({
+        tripCode,
+        user: userId,
+        status: { $in: ACTIVE_STATUSES },
+    })
+        .sort({ createdAt: 1 })
+        .lean()
+        .exec();
+    return Promise.all(entries.map(withPosition));
+};
+
+/**
+ * Removes the user from a trip's waitlist. Outstanding offers are withdrawn
+ * by cancelling their held booking, which passes the seats on. Resolves to
+ * the number of entries left.
+ */
+exports.leave = async (tripCode, userId, now = new Date()) => {
+    const entries = await WaitlistEntry.find({
+        tripCode,
+        user: userId,
+        status: { $in: ACTIVE_STATUSES },
+    })
+        .lean()
+        .exec();
+
+    let left = 0;
+    for (const entry of entries) {
+        const r = await WaitlistEntry.updateOne(
+            { _id: entry._id, status: entry.status },
+            { status: 'cancelled' }
+        ).exec();
+        if (!r.modifiedCount) continue;
+        left += 1;
+        if (entry.status === 'offered' && entry.booking) {
+            await bookingService.cancel(entry.booking, { user: userId }, now);
+        }
+    }
+    return left;
+};
+
+/**
+ * Offers the free seats of a departure to the waitlist, oldest entry first,
+ * until no waiting entry fits. Resolves to the entries that received offers.
+ */
+exports.promote = async (departureId, now = new Date()) => {
+    const offers = [];
+    for (;;) {
+        const departure = await Departure.findById(departureId).lean().exec();
+        if (!departure || departure.date <= now) break;
+        const free = departure.capacity - departure.seatsSold - (departure.seatsHeld || 0);
+        if (free < 1) break;
+
+        const entry = await WaitlistEntry.findOneAndUpdate(
+            {
+                trip: departure.trip,
+                status: 'waiting',
+                departure: { $in: [null, departure._id] },
+                seats: { $lte: free },
+            },
+            { status: 'offered', offeredAt: now },
+            { sort: { createdAt: 1, _id: 1 }, new: true }
+        )
+            .lean()
+            .exec();
+        if (!entry) break;
+
+        const hold = await bookingService.placeHold(
+            {
+                userId: entry.user,
+                tripCode: entry.tripCode,
+                departureId: departure._id,
+                seats: entry.seats,
+                holdMinutes: claimMinutes(),
+            },
+            now
+        );
+        if (!hold.ok) {
+            // Seats were taken in the meantime; the entry keeps its place.
+            await WaitlistEntry.updateOne(
+                { _id: entry._id },
+                { status: 'waiting', offeredAt: null }
+            ).exec();
+            break;
+        }
+
+        const offered = await WaitlistEntry.findByIdAndUpdate(
+            entry._id,
+            { booking: hold.booking._id, offerExpiresAt: hold.booking.holdExpiresAt },
+            { new: true }
+        )
+            .lean()
+            .exec();
+        await notifyOffer(offered);
+        offers.push(offered);
+    }
+    return offers;
+};
+
+// -----------------------------------------------------------------------------
+// Booking lifecycle hooks
+// -----------------------------------------------------------------------------
+const logFailure = (what) => (err) => console.error(`[WAITLIST] ${what} failed:`, err.message);
+
+// Freed seats end any offer they belonged to and go to the next in line.
+bookingService.events.on('seatsReleased', (booking) => {
+    WaitlistEntry.updateOne({ booking: booking._id, status: 'offered' }, { status: 'lapsed' })
+        .exec()
+        .then(() => exports.promote(booking.departure))
+        .catch(logFailure('Promotion'));
+});
+
+bookingService.events.on('confirmed', (booking) => {
+    WaitlistEntry.updateOne({ booking: booking._id, status: 'offered' }, { status: 'claimed' })
+        .exec()
+        .catch(logFailure('Claim update'));
+});
@@ -0,0 +1,167 @@
+/* Wishlist service layer.
+ * Saves and removes trips on a user's wishlist, reports which trips of a
+ * listing the caller has saved, and emails the users who saved a trip when
+ * its per-person price drops or a new departure is added to it (unless they
+ * turned `preferences.wishlistAlerts` off).
+ *
+ * Notifications are dispatched without awaiting them, so the admin write
+ * that triggered them never waits for mail delivery; failures are logged.
+ */
+
+const transporter = require('../config/mail');
+const Trip = require('../models/travlr');
+const User = require('../models/user');
+const WishlistItem = require('../models/wishlistItem');
+const { plainPrice, toCents, formatPrice } = require('../utils/money');
+
+const refuse = (code, reason) => ({ ok: false, code, reason });
+
+const findActiveTrip = (tripCode) =>
+    Trip.findOne({ code: String(tripCode || '').trim(), deletedAt: null })
+        .lean()
+        .exec();
+
+// Emails every user who saved `tripId`, except those who turned wishlist alerts
+// off in their preferences; one failed address does not stop the rest.
+const notifySavers = async (tripId, subject, html) => {
+    const saved = await WishlistItem.find({ trip: tripId }).select('user email').lean().exec();
+    const optedOut = await User.distinct('_id', {
+        _id: { $in: saved.map((item) => item.user) },
+        'preferences.wishlistAlerts': false,
+    });
+    const muted = new Set(optedOut.map(String));
+    const items = saved.filter((item) => !muted.has(String(item.user)));
+    await Promise.all(
+        items.map(async ({ email }) => {
+            try {
+                await transporter.sendMail({
+                    to: email,
+                    from: process.env.FROM_EMAIL,
+                    subject,
+                    html,
+                });
+            } catch (err) {
+                console.error(`[WISHLIST] Email to ${email} failed:`, err.message);
+            }
+        })
+    );
+    return items.length;
+};
+
+/**
+ * Adds a trip to the user's wishlist. Saving a trip twice is a no-op.
+ * Resolves to { ok: true, item, created } or a NOT_FOUND refusal.
+ */
+exports.save = async ({ userId, email, tripCode }) => {
+    const trip = await findActiveTrip(tripCode);
+    if (!trip) return refuse('NOT_FOUND', `Trip with code ${tripCode} not found`);
+
+    const result = await WishlistItem.findOneAndUpdate(
+        { user: userId, trip: trip._id },
+        { $setOnInsert: { user: userId, trip: trip._id, tripCode: trip.code, email } },
+        { upsert: true, new: true, includeResultMetadata: true, runValidators: true }
+    )
+        .lean()
+        .exec();
+    return { ok: true, item: result.value, created: !result.lastErrorObject?.updatedExisting };
+};
+
+/**
+ * Removes a trip from the user's wishlist.
+ * Resolves to { ok: true, item } or a NOT_FOUND refusal.
+ */
+exports.remove = async ({ userId, tripCode }) => {
+    const code = String(tripCode || '').trim();
+    const item = await WishlistItem.findOneAndDelete({ user: userId, tripCode: code })
+        .lean()
+        .exec();
+    if (!item) return refuse('NOT_FOUND', `Trip ${code} is not on your wishlist`);
+    return { ok: true, item };
+};
+
+/**
+ * The user's wishlist item for one trip, or null.
+ */
+exports.findForUser = (userId, tripCode) =>
+    WishlistItem.findOne({ user: userId, tripCode: String(tripCode || '').trim() })
+        .lean()
+        .exec();
+
+/**
+ * The user's saved trips, most recently saved first. Trips deleted since
+ * they were saved are left out.
+ */
+exports.listForUser = async (userId) => {
+    const items = await WishlistItem.find({ user: userId }).sort({ createdAt: -1 }).lean().exec();
+    const trips = await Trip.find({ _id: { $in: items.map((i) => i.trip) }, deletedAt: null })
+        .lean()
+        .exec();
+    const byId = new Map(trips.map((t) => [String(t._id), t]));
+    return items
+        .filter((i) => byId.has(String(i.trip)))
+        .map((i) => ({ savedAt: i.createdAt, trip: byId.get(String(i.trip)) }));
+};
+
+/**
+ * Ids (as strings) of the given trips that the user has saved.
+ */
+exports.savedTripIds = async (userId, tripIds) => {
+    const items = await WishlistItem.find({ user: userId, trip: { $in: tripIds } })
+        .select('trip')
+        .lean()
+        .exec();
+    return new Set(items.map((i) => String(i.trip)));
+};
+
+/**
+ * Emails the trip's savers when an update lowered its per-person price.
+ * Prices in different currencies are not compared. Resolves to the number
+ * of users notified.
+ */
+exports.notifyPriceDrop = async (previous, updated) => {
+    try {
+        const before = plainPrice(previous?.perPerson);
+        const after = plainPrice(updated?.perPerson);
+        if (!before || !after || before.currency !== after.currency) return 0;
+
+        const oldCents = toCents(before.amount);
+        const newCents = toCents(after.amount);
+        if (oldCents === null || newCents === null || newCents >= oldCents) return 0;
+
+        const tripUrl = `${process.env.CLIENT_URL}/trips/${updated.code}`;
+        const html = `
+      <p>The price of ${updated.name} (${updated.code}), a trip on your wishlist, has dropped
+      from ${formatPrice(before)} to ${formatPrice(after)} per person.</p>
+      <p><a href="${tripUrl}">View the trip</a></p>
+    `;
+        return await notifySavers(updated._id, `Price drop on ${updated.name}`, html);
+    } catch (err) {
+        console.error(
+            `[WISHLIST] Price drop notification for ${updated?.code} failed:`,
+            err.message
+        );
+        return 0;
+    }
+};
+
+/**
+ * Emails the trip's savers about a newly added departure. Resolves to the
+ * number of users notified.
+ */
+exports.notifyNewDeparture = async (trip, departure) => {
+    try {
+        const tripUrl = `${process.env.CLIENT_URL}/trips/${trip.code}`;
+        const html = `
+      <p>A new departure of ${trip.name} (${trip.code}), a trip on your wishlist, is now
+      bookable: ${new Date(departure.date).toUTCString()}.</p>
+      <p><a href="${tripUrl}">View the trip</a></p>
+    `;
+        return await notifySavers(trip._id, `New departure for ${trip.name}`, html);
+    } catch (err) {
+        console.error(
+            `[WISHLIST] New departure notification for ${trip?.code} failed:`,
+            err.message
+        );
+        return 0;
+    }
+};
@@ -0,0 +1,89 @@
+/* Cancellation policy helpers.
+ * A policy is a list of refund tiers { daysBefore, refundPercent }: a booking
+ * cancelled at least `daysBefore` whole days before its start is refunded
+ * `refundPercent` of its price. The applicable tier with the largest
+ * `daysBefore` wins; when none applies nothing is refunded.
+ *
+ * A trip's policy is null when it has none of its own, and DEFAULT_POLICY
+ * applies. An empty list is a policy too: nothing is ever refunded. In the
+ * text form used by CSV these are '' and "none" respectively.
+ */
+
+const { toCents, fromCents } = require('./money');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Full refund until 30 days before the start, half until 7 days before
+const DEFAULT_POLICY = [
+    { daysBefore: 30, refundPercent: 100 },
+    { daysBefore: 7, refundPercent: 50 },
+];
+
+// One tier in the compact text form used by CSV, e.g. "30:100"
+const TIER_TEXT = /^\s*(\d+)\s*:\s*(\d+)\s*%?\s*$/;
+// Text form of the empty, never-refunding policy
+const NO_REFUND = 'none';
+
+/**
+ * Coerces policy input into tiers sorted by `daysBefore`, largest first.
+ * Accepts an array of tiers or the text form "30:100;7:50"; null and ''
+ * clear the policy (the default applies) and "none" is the empty policy.
+ * Unparseable tiers are passed on for schema casting to reject.
+ */
+const toPolicy = (value) => {
+    if (value === undefined) return value;
+    if (value === null || (typeof value === 'string' && !value.trim())) return null;
+    if (typeof value === 'string' && value.trim().toLowerCase() === NO_REFUND) return [];
+
+    let tiers = value;
+    if (typeof value === 'string') {
+        tiers = value
+            .split(';')
+            .filter((part) => part.trim())
+            .map((part) => {
+                const m = part.match(TIER_TEXT);
+                return m
+                    ? { daysBefore: Number(m[1]), refundPercent: Number(m[2]) }
+                    : { daysBefore: part.trim(), refundPercent: null };
+            });
+    }
+    if (!Array.isArray(tiers)) return value;
+
+    return tiers
+        .map((t) => ({ daysBefore: t?.daysBefore, refundPercent: t?.refundPercent }))
+        .sort((a, b) => b.daysBefore - a.daysBefore);
+};
+
+// Compact text form, e.g. "30:100;7:50" ('' for no policy, "none" for the
+// empty one).
+const formatPolicy = (tiers) => {
+    if (!tiers) return '';
+    if (!tiers.length) return NO_REFUND;
+    return tiers.map((t) => `${t.daysBefore}:${t.refundPercent}`).join(';');
+};
+
+// The trip's own tiers, or DEFAULT_POLICY when it has none.
+const effectivePolicy = (tiers) => toPolicy(tiers ?? DEFAULT_POLICY);
+
+/**
+ * Computes the refund for cancelling a booking of `price` ({ amount,
+ * currency }) that starts at `start`, at time `now`. The refund is rounded
+ * half-up to whole cents.
+ */
+const evaluatePolicy = (tiers, { start, price, now = new Date() }) => {
+    const policy = effectivePolicy(tiers);
+    const daysBeforeStart = Math.floor((new Date(start).getTime() - now.getTime()) / DAY_MS);
+    const tier = policy.find((t) => daysBeforeStart >= t.daysBefore) || null;
+    const refundPercent = tier ? tier.refundPercent : 0;
+    const refundCents = ((toCents(price.amount) || 0n) * BigInt(refundPercent) + 50n) / 100n;
+
+    return {
+        policy,
+        daysBeforeStart,
+        tier,
+        refundPercent,
+        refundAmount: { amount: fromCents(refundCents), currency: price.currency },
+    };
+};
+
+module.exports = { DEFAULT_POLICY, toPolicy, formatPolicy, effectivePolicy, evaluatePolicy };
@@ -0,0 +1,90 @@
+/* Minimal RFC 4180 CSV reader/writer (no external deps).
+ * Handles quoted fields, escaped quotes ("") and line breaks inside quotes.
+ * Accepts both LF and CRLF line endings and ignores a leading BOM; output
+ * always uses CRLF.
+ */
+
+/**
+ * Splits CSV text into an array of records, each an array of raw strings.
+ * Returns { ok: false, reason } when a quoted field is left unterminated.
+ */
+const parseRecords = (text) => {
+    const src = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < src.length; i += 1) {
+        const ch = src[i];
+        if (quoted) {
+            if (ch === '"' && src[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            record.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && src[i + 1] === '\n') i += 1;
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (quoted) return { ok: false, reason: 'Unterminated quoted field' };
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Drop blank lines (a single empty field)
+    return { ok: true, records: records.filter((r) => r.length > 1 || r[0] !== '') };
+};
+
+/**
+ * Parses CSV text whose first record is a header row. Returns entries of
+ * { row, values }, where `values` is keyed by the trimmed header names and
+ * `row` is the 1-based record number (the header being record 1).
+ */
+const parseCsv = (text) => {
+    const parsed = parseRecords(text);
+    if (!parsed.ok) return parsed;
+
+    const [header, ...rows] = parsed.records;
+    if (!header) return { ok: false, reason: 'CSV is empty' };
+
+    const columns = header.map((h) => h.trim());
+    const entries = rows.map((r, idx) => {
+        const values = {};
+        columns.forEach((col, i) => {
+            if (col) values[col] = r[i] === undefined ? undefined : r[i];
+        });
+        return { row: idx + 2, values };
+    });
+    return { ok: true, columns, entries };
+};
+
+/**
+ * Serializes one record as a CRLF-terminated CSV line. Values containing
+ * commas, quotes or line breaks are quoted; null/undefined become empty.
+ */
+const formatCsvRow = (values) =>
+    values
+        .map((v) => {
+            const str = v === null || v === undefined ? '' : String(v);
+            return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+        })
+        .join(',') + '\r\n';
+
+module.exports = { parseCsv, formatCsvRow };
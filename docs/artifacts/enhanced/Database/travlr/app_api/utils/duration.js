@@ -0,0 +1,69 @@
+/* Trip duration helpers.
+ * Durations are stored as { nights, days }. Legacy free-text lengths such as
+ * "4 nights / 5 days", "3 nights", "7 days" or "2 weeks" are parsed into that
+ * shape; whichever half is missing is derived as days = nights + 1.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses free-text trip length into { nights, days }.
+ * Returns null when no nights/days/weeks count can be found.
+ */
+const parseDuration = (text) => {
+    const str = String(text || '');
+    const count = (re) => {
+        const m = str.match(re);
+        return m ? Number(m[1]) : null;
+    };
+
+    let nights = count(/(\d+)\s*(?:nights?|n)\b/i);
+    let days = count(/(\d+)\s*(?:days?|d)\b/i);
+    const weeks = count(/(\d+)\s*(?:weeks?|wks?)\b/i);
+
+    if (days === null && weeks !== null) days = weeks * 7 + (nights === null ? 1 : 0);
+    if (nights === null && days === null) return null;
+    if (nights === null) nights = Math.max(days - 1, 0);
+    if (days === null) days = nights + 1;
+    return { nights, days };
+};
+
+/**
+ * Coerces duration input into { nights, days }: legacy strings are parsed,
+ * objects have their counts converted to numbers and a missing half derived.
+ * Unparseable input is returned unchanged so schema casting rejects it.
+ */
+const toDuration = (value) => {
+    if (value === null || value === undefined || value === '') return value;
+    if (typeof value === 'string') return parseDuration(value) || value;
+    if (typeof value !== 'object') return value;
+
+    const nights =
+        value.nights === undefined || value.nights === null ? null : Number(value.nights);
+    const days = value.days === undefined || value.days === null ? null : Number(value.days);
+    if (nights === null && days === null) return value;
+    return {
+        nights: nights === null ? Math.max(days - 1, 0) : nights,
+        days: days === null ? nights + 1 : days,
+    };
+};
+
+// Human-readable form used where the legacy `length` text is still expected.
+const formatDuration = (duration) => {
+    if (!duration) return '';
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    return `${plural(duration.nights, 'night')} / ${plural(duration.days, 'day')}`;
+};
+
+/**
+ * Last day of a trip: `start` plus its nights (or days - 1 for day trips).
+ * Returns null when either input is missing or invalid.
+ */
+const computeEnd = (start, duration) => {
+    const d = new Date(start);
+    if (!start || Number.isNaN(d.getTime()) || !duration) return null;
+    const offset = Number(duration.nights) || Math.max(Number(duration.days) - 1, 0) || 0;
+    return new Date(d.getTime() + offset * DAY_MS);
+};
+
+module.exports = { parseDuration, toDuration, formatDuration, computeEnd };
@@ -0,0 +1,90 @@
+/* iCalendar (RFC 5545) helpers for trip exports.
+ * Produces all-day VEVENTs spanning a trip's duration, with text escaping
+ * and 75-octet line folding as required by the spec.
+ */
+
+const { parseDuration, computeEnd } = require('./duration');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Escapes TEXT values: backslash, semicolon, comma and newlines.
+const escapeText = (value) =>
+    String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+
+// Folds a content line to 75 octets per physical line (continuations start with a space).
+const foldLine = (line) => {
+    const out = [];
+    let current = '';
+    let octets = 0;
+    for (const ch of line) {
+        const size = Buffer.byteLength(ch);
+        const limit = out.length ? 74 : 75;
+        if (octets + size > limit) {
+            out.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += ch;
+        octets += size;
+    }
+    out.push(current);
+    return out.join('\r\n ');
+};
+
+// YYYYMMDD for DATE values and YYYYMMDDTHHMMSSZ for UTC DATE-TIME values.
+const formatDate = (d) => d.toISOString().slice(0, 10).replace(/-/g, '');
+const formatDateTime = (d) => `${d.toISOString().slice(0, 19).replace(/[-:]/g, '')}Z`;
+
+// Strips HTML tags and collapses whitespace from rich-text descriptions.
+const plainText = (html) =>
+    String(html || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+const calendarHeader = () =>
+    [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Travlr Getaways//Trips Export//EN',
+        'CALSCALE:GREGORIAN',
+    ]
+        .map(foldLine)
+        .join('\r\n') + '\r\n';
+
+const calendarFooter = () => 'END:VCALENDAR\r\n';
+
+/**
+ * Serializes a trip as a VEVENT. DTEND is exclusive for all-day events, so
+ * it lands on the day after the trip's last day. Legacy documents without a
+ * structured `duration` fall back to parsing `length`. Returns '' when the
+ * trip has no valid start date.
+ */
+const tripEvent = (trip, now = new Date()) => {
+    const start = new Date(trip.start);
+    if (Number.isNaN(start.getTime())) return '';
+    const last = computeEnd(start, trip.duration || parseDuration(trip.length)) || start;
+    const end = new Date(last.getTime() + DAY_MS);
+
+    return (
+        [
+            'BEGIN:VEVENT',
+            `UID:${escapeText(`${trip.code}-${formatDate(start)}@travlr`)}`,
+            `DTSTAMP:${formatDateTime(now)}`,
+            `DTSTART;VALUE=DATE:${formatDate(start)}`,
+            `DTEND;VALUE=DATE:${formatDate(end)}`,
+            `SUMMARY:${escapeText(trip.name)}`,
+            `LOCATION:${escapeText(trip.resort)}`,
+            `DESCRIPTION:${escapeText(plainText(trip.description))}`,
+            'END:VEVENT',
+        ]
+            .map(foldLine)
+            .join('\r\n') + '\r\n'
+    );
+};
+
+module.exports = { calendarHeader, calendarFooter, tripEvent };
@@ -0,0 +1,85 @@
+/* Money helpers for structured prices.
+ * Prices are stored as { amount: Decimal128, currency: ISO 4217 code }.
+ * Arithmetic is done in integer minor units (BigInt cents) so totals never
+ * pick up binary floating-point error; formatting is locale-aware via Intl.
+ */
+
+const DEFAULT_CURRENCY = String(process.env.DEFAULT_CURRENCY || 'USD').toUpperCase();
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || 'en-US';
+
+// Non-negative decimal with at most two fractional digits
+const AMOUNT_PATTERN = /^\d+(\.\d{1,2})?$/;
+
+/**
+ * Coerces legacy price input (a numeric string or number) into the structured
+ * { amount, currency } shape using DEFAULT_CURRENCY. Objects pass through.
+ */
+const toPrice = (value) => {
+    if (value === null || value === undefined || value === '') return value;
+    if (typeof value === 'string' || typeof value === 'number') {
+        return { amount: String(value).trim(), currency: DEFAULT_CURRENCY };
+    }
+    return value;
+};
+
+// Decimal128 (or string/number) amount as its canonical decimal string.
+const amountString = (amount) =>
+    amount === null || amount === undefined ? null : amount.toString();
+
+// JSON-friendly copy of a stored price with the amount as a string.
+const plainPrice = (price) => {
+    if (!price || typeof price !== 'object') return price;
+    return { amount: amountString(price.amount), currency: price.currency };
+};
+
+/**
+ * Parses a decimal amount into integer minor units (cents) as a BigInt.
+ * Returns null when the value is not a valid non-negative amount.
+ */
+const toCents = (amount) => {
+    const str = amountString(amount);
+    if (str === null || !/^\d+(\.\d+)?$/.test(str)) return null;
+    const [whole, frac = ''] = str.split('.');
+    // Round half-up on the third fractional digit
+    const cents = BigInt(whole) * 100n + BigInt((frac + '00').slice(0, 2));
+    return frac.length > 2 && Number(frac[2]) >= 5 ? cents + 1n : cents;
+};
+
+// Formats BigInt cents back into a decimal string with two fractional digits.
+const fromCents = (cents) => {
+    const sign = cents < 0n ? '-' : '';
+    const abs = cents < 0n ? -cents : cents;
+    return `${sign}${abs / 100n}.${String(abs % 100n).padStart(2, '0')}`;
+};
+
+// First requested locale that Intl supports, else DEFAULT_LOCALE.
+const resolveLocale = (candidates = []) => {
+    const wanted = candidates.filter((l) => l && l !== '*');
+    const supported = wanted.length ? Intl.NumberFormat.supportedLocalesOf(wanted) : [];
+    return supported[0] || DEFAULT_LOCALE;
+};
+
+// Locale-aware currency string, e.g. "$1,299.00" (en-US) or "1.299,00 €" (de-DE).
+const formatPrice = (price, locale = DEFAULT_LOCALE) => {
+    if (!price || price.amount === null || price.amount === undefined) return null;
+    try {
+        return new Intl.NumberFormat(locale, {
+            style: 'currency',
+            currency: price.currency || DEFAULT_CURRENCY,
+        }).format(Number(amountString(price.amount)));
+    } catch {
+        return null;
+    }
+};
+
+module.exports = {
+    DEFAULT_CURRENCY,
+    DEFAULT_LOCALE,
+    AMOUNT_PATTERN,
+    toPrice,
+    plainPrice,
+    toCents,
+    fromCents,
+    resolveLocale,
+    formatPrice,
+};
@@ -0,0 +1,97 @@
+/* Password hashing helpers.
+ * Hashes are derived asynchronously (off the event loop) with the algorithm
+ * selected by PASSWORD_HASH: "scrypt" (default) or "pbkdf2". The parameters
+ * used are stored next to each hash, so verification always replays the
+ * exact derivation and hashes made with older or weaker settings can be
+ * detected and upgraded. Hashes stored without parameters are the legacy
+ * PBKDF2-SHA512 format with 1000 iterations.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+// Parameters of hashes created before they were stored per user
+const LEGACY_PARAMS = { algorithm: 'pbkdf2', iterations: 1000, digest: 'sha512', keylen: 64 };
+
+const envInt = (name, fallback) => {
+    const n = parseInt(process.env[name], 10);
+    return Number.isInteger(n) && n > 0 ? n : fallback;
+};
+
+/**
+ * Parameters for new hashes, read from the environment:
+ *   - scrypt: PASSWORD_SCRYPT_N (cost, power of two, default 32768),
+ *     PASSWORD_SCRYPT_R (block size, default 8), PASSWORD_SCRYPT_P (default 1)
+ *   - pbkdf2: PASSWORD_PBKDF2_ITERATIONS (default 600000, SHA-512)
+ */
+const currentParams = () => {
+    if (String(process.env.PASSWORD_HASH || 'scrypt').toLowerCase() === 'pbkdf2') {
+        return {
+            algorithm: 'pbkdf2',
+            iterations: envInt('PASSWORD_PBKDF2_ITERATIONS', 600000),
+            digest: 'sha512',
+            keylen: KEY_LENGTH,
+        };
+    }
+    return {
+        algorithm: 'scrypt',
+        N: envInt('PASSWORD_SCRYPT_N', 32768),
+        r: envInt('PASSWORD_SCRYPT_R', 8),
+        p: envInt('PASSWORD_SCRYPT_P', 1),
+        keylen: KEY_LENGTH,
+    };
+};
+
+// Derives the key for `password` and `salt` (hex) with the given parameters.
+const derive = (password, salt, params) => {
+    if (params.algorithm === 'scrypt') {
+        const { N, r, p, keylen } = params;
+        // scrypt needs 128 * N * r bytes; leave headroom above Node's 32 MiB default
+        return scrypt(String(password), salt, keylen, { N, r, p, maxmem: 256 * N * r });
+    }
+    if (params.algorithm === 'pbkdf2') {
+        const { iterations, keylen, digest } = params;
+        return pbkdf2(String(password), salt, iterations, keylen, digest);
+    }
+    return Promise.reject(new Error(`Unsupported password hash algorithm: ${params.algorithm}`));
+};
+
+/**
+ * Hashes a password with the current parameters.
+ * Resolves to { hash, salt, params } with hex-encoded hash and salt.
+ */
+const hashPassword = async (password) => {
+    const params = currentParams();
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const key = await derive(password, salt, params);
+    return { hash: key.toString('hex'), salt, params };
+};
+
+/**
+ * True when `password` matches the stored { hash, salt, params }. The
+ * comparison runs in constant time; missing params mean LEGACY_PARAMS.
+ */
+const verifyPassword = async (password, { hash, salt, params } = {}) => {
+    if (!hash || !salt) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const key = await derive(password, salt, params?.algorithm ? params : LEGACY_PARAMS);
+    return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+};
+
+/**
+ * True when a stored hash was made with parameters other than the current
+ * ones (including legacy hashes without parameters) and should be redone.
+ */
+const needsRehash = (params) => {
+    if (!params?.algorithm) return true;
+    const current = currentParams();
+    return Object.keys(current).some((k) => params[k] !== current[k]);
+};
+
+module.exports = { LEGACY_PARAMS, currentParams, hashPassword, verifyPassword, needsRehash };
@@ -0,0 +1,153 @@
+/* Patch helpers for partial trip updates.
+ * Implements the two standard JSON patch formats without external deps:
+ *   - RFC 7396 JSON Merge Patch (application/merge-patch+json)
+ *   - RFC 6902 JSON Patch (application/json-patch+json)
+ * Both operate on plain JSON values and never mutate their inputs.
+ */
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+// Keys that would reach Object.prototype (or a constructor) instead of the
+// document; patches may never address them.
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+const isUnsafeKey = (key) => UNSAFE_KEYS.includes(key);
+
+// -----------------------------------------------------------------------------
+// RFC 7396 JSON Merge Patch
+// Objects merge recursively, `null` removes a member, anything else replaces.
+// -----------------------------------------------------------------------------
+const mergePatch = (target, patch) => {
+    if (!isPlainObject(patch)) return clone(patch);
+
+    const out = isPlainObject(target) ? clone(target) : {};
+    Object.keys(patch).forEach((key) => {
+        if (isUnsafeKey(key)) return;
+        if (patch[key] === null) {
+            delete out[key];
+        } else {
+            out[key] = mergePatch(out[key], patch[key]);
+        }
+    });
+    return out;
+};
+
+// -----------------------------------------------------------------------------
+// RFC 6901 JSON Pointer parsing
+// "/a/b~1c" -> ['a', 'b/c']; the empty pointer addresses the whole document.
+// -----------------------------------------------------------------------------
+const parsePointer = (pointer) => {
+    if (pointer === '') return [];
+    if (typeof pointer !== 'string' || !pointer.startsWith('/')) return null;
+    return pointer
+        .slice(1)
+        .split('/')
+        .map((t) => t.replace(/~1/g, '/').replace(/~0/g, '~'));
+};
+
+// Resolves the container holding the last token of `tokens`, or null.
+const parentOf = (doc, tokens) => {
+    let node = doc;
+    for (let i = 0; i < tokens.length - 1; i += 1) {
+        if (node === null || typeof node !== 'object' || !Object.hasOwn(node, tokens[i])) {
+            return null;
+        }
+        node = node[tokens[i]];
+    }
+    return node !== null && typeof node === 'object' ? node : null;
+};
+
+const readAt = (doc, tokens) => {
+    if (!tokens.length) return { found: true, value: doc };
+    const parent = parentOf(doc, tokens);
+    const key = tokens[tokens.length - 1];
+    if (!parent || !Object.hasOwn(parent, key)) return { found: false };
+    return { found: true, value: parent[key] };
+};
+
+// -----------------------------------------------------------------------------
+// RFC 6902 JSON Patch
+// Applies `ops` in order to a copy of `doc`. Returns { ok, doc } on success or
+// { ok: false, reason } describing the first failing operation.
+// -----------------------------------------------------------------------------
+const applyJsonPatch = (doc, ops) => {
+    if (!Array.isArray(ops)) return { ok: false, reason: 'JSON Patch body must be an array' };
+
+    let out = clone(doc);
+
+    const put = (tokens, value, insert) => {
+        if (!tokens.length) {
+            out = value;
+            return true;
+        }
+        const parent = parentOf(out, tokens);
+        const key = tokens[tokens.length - 1];
+        if (!parent || isUnsafeKey(key)) return false;
+        if (Array.isArray(parent)) {
+            const idx = key === '-' ? parent.length : Number(key);
+            if (!Number.isInteger(idx) || idx < 0 || idx > parent.length) return false;
+            if (insert) parent.splice(idx, 0, value);
+            else parent[idx] = value;
+            return true;
+        }
+        parent[key] = value;
+        return true;
+    };
+
+    const drop = (tokens) => {
+        const parent = parentOf(out, tokens);
+        const key = tokens[tokens.length - 1];
+        if (!parent || !Object.hasOwn(parent, key)) return false;
+        if (Array.isArray(parent)) parent.splice(Number(key), 1);
+        else delete parent[key];
+        return true;
+    };
+
+    for (let i = 0; i < ops.length; i += 1) {
+        const op = ops[i] || {};
+        const path = parsePointer(op.path);
+        const fail = (msg) => ({ ok: false, reason: `Operation ${i} (${op.op}): ${msg}` });
+        if (!path) return fail('invalid path');
+        if (path.some(isUnsafeKey)) return fail('forbidden path');
+
+        switch (op.op) {
+            case 'add':
+                if (!('value' in op)) return fail('missing value');
+                if (!put(path, clone(op.value), true)) return fail('path not found');
+                break;
+            case 'remove':
+                if (!path.length || !drop(path)) return fail('path not found');
+                break;
+            case 'replace':
+                if (!('value' in op)) return fail('missing value');
+                if (!readAt(out, path).found) return fail('path not found');
+                if (!put(path, clone(op.value), false)) return fail('path not found');
+                break;
+            case 'move':
+            case 'copy': {
+                const from = parsePointer(op.from);
+                if (!from) return fail('invalid from');
+                if (from.some(isUnsafeKey)) return fail('forbidden from');
+                const src = readAt(out, from);
+                if (!src.found) return fail('from not found');
+                const value = clone(src.value);
+                if (op.op === 'move' && !drop(from)) return fail('from not found');
+                if (!put(path, value, true)) return fail('path not found');
+                break;
+            }
+            case 'test': {
+                const cur = readAt(out, path);
+                if (!cur.found || JSON.stringify(cur.value) !== JSON.stringify(op.value)) {
+                    return fail('test failed');
+                }
+                break;
+            }
+            default:
+                return fail('unsupported operation');
+        }
+    }
+
+    return { ok: true, doc: out };
+};
+
+module.exports = { isPlainObject, mergePatch, applyJsonPatch };
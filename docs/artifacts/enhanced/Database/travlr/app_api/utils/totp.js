@@ -0,0 +1,97 @@
+/* TOTP helpers (RFC 6238, HMAC-SHA1, 6 digits, 30-second steps).
+ * Secrets are random bytes shared with the authenticator app in base32;
+ * otpauthUri() builds the URI that enrollment QR codes encode. Codes are
+ * accepted one step either side of the current one to absorb clock drift;
+ * callers get the matched step back so they can refuse replays.
+ */
+
+const crypto = require('crypto');
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const SECRET_BYTES = 20;
+const BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 4648 base32 without padding.
+const base32Encode = (buf) => {
+    let bits = 0;
+    let value = 0;
+    let out = '';
+    for (const byte of buf) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            out += BASE32[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) out += BASE32[(value << (5 - bits)) & 31];
+    return out;
+};
+
+// Decodes base32 (case-insensitive, spaces and padding ignored); null when invalid.
+const base32Decode = (str) => {
+    const clean = String(str || '')
+        .toUpperCase()
+        .replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const ch of clean) {
+        const idx = BASE32.indexOf(ch);
+        if (idx === -1) return null;
+        value = (value << 5) | idx;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+// Time step containing `now`.
+const stepAt = (now = new Date()) => Math.floor(now.getTime() / 1000 / STEP_SECONDS);
+
+// The code for a base32 secret at a given time step (RFC 4226 truncation).
+const codeAt = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const digest = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = digest[digest.length - 1] & 0xf;
+    const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// New random base32 secret.
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * Checks a submitted code against the secret around `now`.
+ * Returns the matched time step, or null when the code is wrong.
+ */
+const verifyCode = (secret, code, now = new Date(), window = 1) => {
+    const submitted = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(submitted) || !base32Decode(secret)?.length) return null;
+    const current = stepAt(now);
+    for (let step = current - window; step <= current + window; step += 1) {
+        const expected = codeAt(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(submitted))) return step;
+    }
+    return null;
+};
+
+// otpauth:// URI understood by authenticator apps.
+const otpauthUri = ({ issuer, account, secret }) => {
+    const label = encodeURIComponent(`${issuer}:${account}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = { generateSecret, verifyCode, codeAt, stepAt, otpauthUri, base32Encode };
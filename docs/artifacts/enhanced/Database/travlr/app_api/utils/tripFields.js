@@ -0,0 +1,27 @@
+/* Trip field whitelist.
+ * Shared by every controller that accepts trip payloads so that only the
+ * expected properties are ever copied onto a Trip document.
+ */
+
+const { toPrice } = require('./money');
+const { toDuration } = require('./duration');
+const { toPolicy } = require('./cancellationPolicy');
+
+// -----------------------------------------------------------------------------
+// Field whitelist to prevent mass-assignment
+// -----------------------------------------------------------------------------
+const pickTripFields = (b = {}) => ({
+    code: b.code,
+    name: b.name,
+    duration: toDuration(b.duration ?? b.length), // Legacy `length` text is still accepted
+    start: b.start, // Date-compatible value; parsed in validation
+    resort: b.resort,
+    perPerson: toPrice(b.perPerson), // Legacy "799.00" strings become { amount, currency }
+    cancellationPolicy: toPolicy(b.cancellationPolicy), // Text form "30:100;7:50" is accepted
+    image: b.image,
+    description: b.description,
+});
+
+const TRIP_FIELDS = Object.keys(pickTripFields());
+
+module.exports = { pickTripFields, TRIP_FIELDS };
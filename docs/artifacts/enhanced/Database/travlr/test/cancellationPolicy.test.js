@@ -0,0 +1,63 @@
+/* Tests for app_api/utils/cancellationPolicy (run with `npm test`). */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    DEFAULT_POLICY,
+    toPolicy,
+    formatPolicy,
+    evaluatePolicy,
+} = require('../app_api/utils/cancellationPolicy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-01-01T12:00:00Z');
+const PRICE = { amount: '100.00', currency: 'USD' };
+
+const startIn = (ms) => new Date(NOW.getTime() + ms);
+const refund = (tiers, start, price = PRICE) =>
+    evaluatePolicy(tiers, { start, price, now: NOW }).refundAmount.amount;
+
+test('a tier applies from exactly its daysBefore', () => {
+    assert.strictEqual(refund(DEFAULT_POLICY, startIn(30 * DAY_MS)), '100.00');
+    assert.strictEqual(refund(DEFAULT_POLICY, startIn(30 * DAY_MS - 1)), '50.00');
+    assert.strictEqual(refund(DEFAULT_POLICY, startIn(7 * DAY_MS)), '50.00');
+    assert.strictEqual(refund(DEFAULT_POLICY, startIn(7 * DAY_MS - 1)), '0.00');
+});
+
+test('the reported tier and day count match the boundary', () => {
+    const result = evaluatePolicy(DEFAULT_POLICY, {
+        start: startIn(30 * DAY_MS - 1),
+        price: PRICE,
+        now: NOW,
+    });
+    assert.strictEqual(result.daysBeforeStart, 29);
+    assert.deepStrictEqual(result.tier, { daysBefore: 7, refundPercent: 50 });
+    assert.strictEqual(result.refundPercent, 50);
+});
+
+test('refunds are rounded half-up to whole cents', () => {
+    const half = [{ daysBefore: 0, refundPercent: 50 }];
+    const start = startIn(DAY_MS);
+    assert.strictEqual(refund(half, start, { amount: '0.01', currency: 'USD' }), '0.01');
+    assert.strictEqual(refund(half, start, { amount: '0.03', currency: 'USD' }), '0.02');
+    assert.strictEqual(refund(half, start, { amount: '10.01', currency: 'USD' }), '5.01');
+    const third = [{ daysBefore: 0, refundPercent: 33 }];
+    assert.strictEqual(refund(third, start, { amount: '0.50', currency: 'USD' }), '0.17');
+});
+
+test('no policy uses the default and an empty policy refunds nothing', () => {
+    const start = startIn(40 * DAY_MS);
+    assert.strictEqual(refund(null, start), '100.00');
+    assert.strictEqual(refund(undefined, start), '100.00');
+    assert.strictEqual(refund([], start), '0.00');
+});
+
+test('the text form round-trips, including no policy and the empty one', () => {
+    assert.deepStrictEqual(toPolicy('7:50; 30:100%'), DEFAULT_POLICY);
+    assert.strictEqual(formatPolicy(toPolicy('7:50;30:100')), '30:100;7:50');
+    assert.strictEqual(toPolicy(''), null);
+    assert.strictEqual(toPolicy(null), null);
+    assert.strictEqual(formatPolicy(null), '');
+    assert.deepStrictEqual(toPolicy('none'), []);
+    assert.strictEqual(formatPolicy([]), 'none');
+});
@@ -0,0 +1,43 @@
+/* Tests for app_api/utils/patch (run with `npm test`). */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergePatch, applyJsonPatch } = require('../app_api/utils/patch');
+
+test('JSON Patch applies add, replace and remove in order', () => {
+    const result = applyJsonPatch({ name: 'a', tags: ['x'] }, [
+        { op: 'replace', path: '/name', value: 'b' },
+        { op: 'add', path: '/tags/-', value: 'y' },
+        { op: 'remove', path: '/tags/0' },
+    ]);
+    assert.deepStrictEqual(result, { ok: true, doc: { name: 'b', tags: ['y'] } });
+});
+
+test('JSON Patch cannot write to Object.prototype', () => {
+    const paths = ['/__proto__/polluted', '/constructor/prototype/polluted', '/__proto__'];
+    for (const path of paths) {
+        const result = applyJsonPatch({ name: 'a' }, [{ op: 'add', path, value: 'yes' }]);
+        assert.strictEqual(result.ok, false, path);
+    }
+    const copied = applyJsonPatch({ name: 'a' }, [
+        { op: 'copy', from: '/__proto__', path: '/proto' },
+    ]);
+    assert.strictEqual(copied.ok, false);
+    assert.strictEqual({}.polluted, undefined);
+});
+
+test('JSON Patch does not resolve inherited members', () => {
+    const result = applyJsonPatch({ name: 'a' }, [
+        { op: 'replace', path: '/toString', value: 'x' },
+    ]);
+    assert.strictEqual(result.ok, false);
+    assert.strictEqual(applyJsonPatch({}, [{ op: 'remove', path: '/hasOwnProperty' }]).ok, false);
+});
+
+test('Merge Patch ignores prototype keys', () => {
+    const patch = JSON.parse('{"__proto__": {"polluted": "yes"}, "name": "b"}');
+    const out = mergePatch({ name: 'a' }, patch);
+    assert.deepStrictEqual(out, { name: 'b' });
+    assert.strictEqual(Object.getPrototypeOf(out), Object.prototype);
+    assert.strictEqual({}.polluted, undefined);
+});
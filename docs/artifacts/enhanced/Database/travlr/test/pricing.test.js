@@ -0,0 +1,114 @@
+/* Tests for app_api/services/pricingService (run with `npm test`).
+ * The rule and promo code lookups are replaced per test, so no database is
+ * needed.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const PricingRule = require('../app_api/models/pricingRule');
+const PromoCode = require('../app_api/models/promoCode');
+const pricingService = require('../app_api/services/pricingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date('2026-01-01T12:00:00Z');
+
+const TRIP = {
+    code: 'GALR210214',
+    resort: 'Gale Reef',
+    start: new Date(NOW.getTime() + 60 * DAY_MS),
+    perPerson: { amount: '100.00', currency: 'USD' },
+};
+
+const RULES = [
+    { _id: 'r1', kind: 'early_bird', name: 'Early bird', percentOff: 10, minDaysBefore: 30 },
+    { _id: 'r2', kind: 'early_bird', name: 'Very early', percentOff: 15, minDaysBefore: 45 },
+    { _id: 'r3', kind: 'group', name: 'Group', percentOff: 5, minTravelers: 2 },
+    { _id: 'r4', kind: 'last_minute', name: 'Last minute', percentOff: 20, maxDaysBefore: 7 },
+    {
+        _id: 'r5',
+        kind: 'group',
+        name: 'Other trip',
+        percentOff: 50,
+        minTravelers: 1,
+        tripCodes: ['OTHER'],
+    },
+];
+
+const promo = (fields) => ({
+    active: true,
+    validFrom: null,
+    validUntil: null,
+    maxRedemptions: null,
+    redemptions: 0,
+    tripCodes: [],
+    resorts: [],
+    description: '',
+    ...fields,
+});
+
+// Query stand-in resolving to `value` through .lean().exec()
+const query = (value) => ({ lean: () => ({ exec: async () => value }) });
+
+const quote = (t, { rules = RULES, promoDoc = null, ...input }) => {
+    t.mock.method(PricingRule, 'find', () => query(rules));
+    t.mock.method(PromoCode, 'findOne', () => query(promoDoc));
+    return pricingService.quote({ trip: TRIP, now: NOW, ...input });
+};
+
+test('percentOf rounds half-up to whole cents', () => {
+    const { percentOf } = pricingService;
+    assert.strictEqual(percentOf(10000n, 15), 1500n);
+    assert.strictEqual(percentOf(1n, 50), 1n);
+    assert.strictEqual(percentOf(3n, 50), 2n);
+    assert.strictEqual(percentOf(999n, 12.5), 125n);
+    assert.strictEqual(percentOf(1234n, 0), 0n);
+});
+
+test('the best rule of each kind applies and kinds add up on the base', async (t) => {
+    const result = await quote(t, { travelers: 2 });
+    assert.strictEqual(result.subtotal.amount, '200.00');
+    assert.deepStrictEqual(
+        result.lines.filter((l) => l.type === 'rule').map((l) => [l.kind, l.amount]),
+        [
+            ['early_bird', '-30.00'],
+            ['group', '-10.00'],
+        ]
+    );
+    assert.strictEqual(result.discount.amount, '40.00');
+    assert.strictEqual(result.total.amount, '160.00');
+});
+
+test('a percent promo is taken off what the rules left', async (t) => {
+    const promoDoc = promo({ code: 'TENOFF', type: 'percent', percentOff: 10 });
+    const result = await quote(t, { travelers: 2, promoCode: 'tenoff', promoDoc });
+    assert.deepStrictEqual(result.promo, { code: 'TENOFF', applied: true });
+    assert.strictEqual(result.lines.at(-1).amount, '-16.00');
+    assert.strictEqual(result.total.amount, '144.00');
+});
+
+test('a fixed promo larger than the remaining total is clamped to it', async (t) => {
+    const promoDoc = promo({
+        code: 'BIG',
+        type: 'fixed',
+        amountOff: { amount: '500.00', currency: 'USD' },
+    });
+    const result = await quote(t, { travelers: 2, promoCode: 'BIG', promoDoc });
+    assert.strictEqual(result.lines.at(-1).amount, '-160.00');
+    assert.strictEqual(result.discount.amount, '200.00');
+    assert.strictEqual(result.total.amount, '0.00');
+});
+
+test('an unusable promo is reported without failing the quote', async (t) => {
+    const promoDoc = promo({
+        code: 'EUROS',
+        type: 'fixed',
+        amountOff: { amount: '10.00', currency: 'EUR' },
+    });
+    const result = await quote(t, { travelers: 1, promoCode: 'EUROS', promoDoc, rules: [] });
+    assert.deepStrictEqual(result.promo, {
+        code: 'EUROS',
+        applied: false,
+        reason: 'Promo code does not apply to prices in USD',
+    });
+    assert.strictEqual(result.total.amount, '100.00');
+});